@@ -1,11 +1,11 @@
 #!/usr/bin/env node
 
 const chalk = require("chalk");
-const { question } = require("readline-sync");
 
 const { GLOBAL_NAME, SHORT_NAME, VERSION, BUILD } = require("./src/variables/constants");
 
 const _intCmds = require("./src/functions/interpret");
+const _readCommand = require("./src/functions/readCommand");
 const _detectArgs = require("./src/functions/detectArgs");
 const _caseSensitivePath = require("./src/functions/caseSensitivePath");
 
@@ -58,12 +58,18 @@ const Verbose = require("./src/classes/Verbose");
   Verbose.custom("Starting command interpreter...");
   while (true) {
     // Ask the user for a command
-    const command = question(
+    const command = await _readCommand(
       `${chalk.bold.green(SHORT_NAME.toLowerCase())} ${chalk.blueBright(
         _caseSensitivePath(process.cwd())
       )} ${chalk.red("$")} `
     );
 
+    // The input has ended (e.g. Ctrl+D was pressed)
+    if (command === null) {
+      Verbose.exitProcess();
+      process.exit(0);
+    }
+
     Verbose.custom("Interpreting command...");
     await _intCmds(command?.trim());
   }
@@ -2,15 +2,19 @@ const chalk = require("chalk");
 
 const { GLOBAL_NAME } = require("../variables/constants");
 
+const Streams = require("./Streams");
+
 /**
  * A function to interpret an error and format
- * the error code and message.
+ * the error code and message. The current command
+ * is also marked as failed.
  *
  * @param {number | string} code The error code that should be in the error.
  * @param {string} message The error message that should be in the error.
  */
 const _interpretError = (code, message) => {
-  console.log(chalk.red(`${chalk.bold(`[${String(code)}]`)} ${message}\n`));
+  Streams.fail();
+  Streams.error(chalk.red(`${chalk.bold(`[${String(code)}]`)} ${message}\n`));
 };
 
 /**
@@ -34,6 +38,13 @@ const _interpretError = (code, message) => {
  * - `14` - `dirToNonDir()`
  * - `15` - `invalidUNCPath()`
  * - `16` - `unknown()`
+ * - `17` - `invalidSyntax()`
+ * - `18` - `aliasLoop()`
+ * - `19` - `historyExpansion()`
+ * - `20` - `scriptError()`
+ * - `21` - `scriptRecursion()`
+ * - `22` - `scriptTooDeep()`
+ * - `23` - `promptNotAllowed()`
  */
 class Errors {
   constructor() {}
@@ -392,6 +403,174 @@ class Errors {
 
     _interpretError(CODE, MESSAGE);
   }
+
+  /**
+   * Information about the error message:
+   *
+   * **Name:** _Invalid syntax_
+   *
+   * **Parameters:** `reason`
+   *
+   * **Error code:** `17`
+   *
+   * **Message:** The command could not be understood, as `reason`. (INVALID_SYNTAX)
+   *
+   * @param {string} reason The reason why the syntax is invalid (e.g. _there is an unclosed double quote_).
+   */
+  static invalidSyntax(reason) {
+    const CODE = 17;
+    const MESSAGE = `The command could not be understood, as ${reason}. ${chalk.dim(
+      "(INVALID_SYNTAX)"
+    )}`;
+
+    _interpretError(CODE, MESSAGE);
+  }
+
+  /**
+   * Information about the error message:
+   *
+   * **Name:** _Alias loop_
+   *
+   * **Parameters:** `chain`
+   *
+   * **Error code:** `18`
+   *
+   * **Message:** The alias cannot be set, as it would create a loop (**_`chain`_**). (ALIAS_LOOP)
+   *
+   * @param {string[]} chain The aliases in the loop, in the order that they would be expanded (e.g. _['a', 'b', 'a']_).
+   */
+  static aliasLoop(chain) {
+    const CODE = 18;
+    const MESSAGE = `The alias cannot be set, as it would create a loop (${chalk.bold.italic(
+      chain.join(" -> ")
+    )}). ${chalk.dim("(ALIAS_LOOP)")}`;
+
+    _interpretError(CODE, MESSAGE);
+  }
+
+  /**
+   * Information about the error message:
+   *
+   * **Name:** _History expansion_
+   *
+   * **Parameters:** `expansion`, `reason`
+   *
+   * **Error code:** `19`
+   *
+   * **Message:** The history expansion, **_`expansion`_**, could not be done, as `reason`. (HISTORY_EXPANSION)
+   *
+   * @param {string} expansion The history expansion that failed (e.g. _!ls_).
+   * @param {string} reason The reason why the expansion failed (e.g. _there are no commands in the history_).
+   */
+  static historyExpansion(expansion, reason) {
+    const CODE = 19;
+    const MESSAGE = `The history expansion, ${chalk.italic.bold(
+      `'${expansion}'`
+    )}, could not be done, as ${reason}. ${chalk.dim("(HISTORY_EXPANSION)")}`;
+
+    _interpretError(CODE, MESSAGE);
+  }
+
+  /**
+   * Information about the error message:
+   *
+   * **Name:** _Script error_
+   *
+   * **Parameters:** `file`, `line`, `reason`
+   *
+   * **Error code:** `20`
+   *
+   * **Message:** There is an error on line `line` of the script, **_`file`_**, as `reason`. (SCRIPT_ERROR)
+   *
+   * @param {string} file The path of the script.
+   * @param {number} line The line number in the script that caused the error.
+   * @param {string} reason The reason for the error (e.g. _the 'if' block is missing its 'end'_).
+   */
+  static scriptError(file, line, reason) {
+    const CODE = 20;
+    const MESSAGE = `There is an error on line ${chalk.bold(
+      line
+    )} of the script, ${chalk.italic.bold(`'${file}'`)}, as ${reason}. ${chalk.dim(
+      "(SCRIPT_ERROR)"
+    )}`;
+
+    _interpretError(CODE, MESSAGE);
+  }
+
+  /**
+   * Information about the error message:
+   *
+   * **Name:** _Script recursion_
+   *
+   * **Parameters:** `chain`
+   *
+   * **Error code:** `21`
+   *
+   * **Message:** The script, **_`file`_**, cannot be run, as it is already running (**_`chain`_**). (SCRIPT_RECURSION)
+   *
+   * @param {string[]} chain The scripts that are running, in the order that they were run, ending with the script that is already running (e.g. _['a.bub', 'b.bub', 'a.bub']_).
+   */
+  static scriptRecursion(chain) {
+    const CODE = 21;
+    const MESSAGE = `The script, ${chalk.italic.bold(
+      `'${chain[chain.length - 1]}'`
+    )}, cannot be run, as it is already running (${chalk.bold.italic(
+      chain.join(" -> ")
+    )}). ${chalk.dim("(SCRIPT_RECURSION)")}`;
+
+    _interpretError(CODE, MESSAGE);
+  }
+
+  /**
+   * Information about the error message:
+   *
+   * **Name:** _Script nested too deeply_
+   *
+   * **Parameters:** `maxDepth`, `chain`
+   *
+   * **Error code:** `22`
+   *
+   * **Message:** The script, **_`file`_**, cannot be run, as only `maxDepth` scripts can be running inside of each other (**_`chain`_**). (SCRIPT_TOO_DEEP)
+   *
+   * @param {number} maxDepth The maximum number of scripts that can be running inside of each other.
+   * @param {string[]} chain The scripts that are running, in the order that they were run, ending with the script that could not be run.
+   */
+  static scriptTooDeep(maxDepth, chain) {
+    const CODE = 22;
+    const MESSAGE = `The script, ${chalk.italic.bold(
+      `'${chain[chain.length - 1]}'`
+    )}, cannot be run, as only ${chalk.bold(
+      maxDepth
+    )} scripts can be running inside of each other (${chalk.bold.italic(
+      chain.join(" -> ")
+    )}). ${chalk.dim("(SCRIPT_TOO_DEEP)")}`;
+
+    _interpretError(CODE, MESSAGE);
+  }
+
+  /**
+   * Information about the error message:
+   *
+   * **Name:** _Prompt not allowed_
+   *
+   * **Parameters:** `what`
+   *
+   * **Error code:** `23`
+   *
+   * **Message:** BubbleOS cannot ask for `what`, as prompts are not allowed (the prompt policy is _'fail'_, or BubbleOS was started with _'-c'_ or _'-'_). (PROMPT_NOT_ALLOWED)
+   *
+   * @param {string} what What BubbleOS needed to ask for (e.g. _'the phrase to find'_).
+   */
+  static promptNotAllowed(what) {
+    const CODE = 23;
+    const MESSAGE = `${GLOBAL_NAME} cannot ask for ${what}, as prompts are not allowed (the prompt policy is ${chalk.italic(
+      "'fail'"
+    )}, or ${GLOBAL_NAME} was started with ${chalk.italic("'-c'")} or ${chalk.italic(
+      "'-'"
+    )}). ${chalk.dim("(PROMPT_NOT_ALLOWED)")}`;
+
+    _interpretError(CODE, MESSAGE);
+  }
 }
 
 module.exports = Errors;
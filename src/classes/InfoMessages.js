@@ -1,5 +1,7 @@
 const chalk = require("chalk");
 
+const Streams = require("./Streams");
+
 /**
  * Class to display various messages, either a success, information, warning, or error (not fatal) message.
  *
@@ -11,19 +13,20 @@ class InfoMessages {
   constructor() {}
 
   static success(message) {
-    console.log(chalk.green(`${chalk.white.bgGreen(" SUCCESS: ")} ${message}\n`));
+    Streams.log(chalk.green(`${chalk.white.bgGreen(" SUCCESS: ")} ${message}\n`));
   }
 
   static info(message) {
-    console.log(chalk.blue(`${chalk.white.bgBlue(" INFO: ")} ${message}\n`));
+    Streams.log(chalk.blue(`${chalk.white.bgBlue(" INFO: ")} ${message}\n`));
   }
 
   static warning(message) {
-    console.log(chalk.yellow(`${chalk.black.bgYellow(" WARNING: ")} ${message}\n`));
+    Streams.error(chalk.yellow(`${chalk.black.bgYellow(" WARNING: ")} ${message}\n`));
   }
 
   static error(message) {
-    console.log(chalk.red(`${chalk.white.bgRed(" ERROR: ")} ${message}\n`));
+    Streams.fail();
+    Streams.error(chalk.red(`${chalk.white.bgRed(" ERROR: ")} ${message}\n`));
   }
 }
 
@@ -0,0 +1,80 @@
+const _detectArgs = require("../functions/detectArgs");
+
+const Streams = require("./Streams");
+
+/**
+ * The formats that the output of informational commands (such as `sysinfo`) can be in:
+ * - `text`: Formatted text with colors, for people to read.
+ * - `json`: One JSON document, for other programs to read.
+ */
+const FORMATS = ["text", "json"];
+
+/**
+ * The output format of the current session, which starts as `json` if
+ * BubbleOS was started with `--json`. Changes are only kept until BubbleOS is exited.
+ */
+let _format = _detectArgs("json") ? "json" : "text";
+
+/**
+ * Class to choose and write the output format of informational commands,
+ * so that they can either show formatted text, or JSON that other programs can read.
+ *
+ * Commands that support JSON collect their data first, and then either
+ * render it as text or pass it into `OutputFormat.json()`. The field names
+ * of each command are listed in the README, and should not be changed.
+ *
+ * Initialization is not required, so you can call it like `OutputFormat.get()`.
+ *
+ * Methods in this class:
+ * - `get()`
+ * - `set(format)`
+ * - `isJson(args)`
+ * - `json(data)`
+ */
+class OutputFormat {
+  constructor() {}
+
+  /**
+   * Get the output format of the current session.
+   *
+   * @returns {"text" | "json"} The output format.
+   */
+  static get() {
+    return _format;
+  }
+
+  /**
+   * Set the output format of the current session (e.g. with `format json`).
+   *
+   * @param {string} format The output format, which must be one in `FORMATS`.
+   * @returns {boolean} `true` if the format was set, or `false` if it does not exist.
+   */
+  static set(format) {
+    if (!FORMATS.includes(format)) return false;
+
+    _format = format;
+    return true;
+  }
+
+  /**
+   * Check if a command should write JSON, either because `--json` was passed
+   * into it, or because the output format of the session is `json`.
+   *
+   * @param {string[]} args The arguments passed into the command.
+   * @returns {boolean} If the command should write JSON.
+   */
+  static isJson(args = []) {
+    return args.includes("--json") || _format === "json";
+  }
+
+  /**
+   * Write data to the output of the current command as one JSON document.
+   *
+   * @param {any} data The data to write, which must be able to be converted to JSON.
+   */
+  static json(data) {
+    Streams.log(JSON.stringify(data, null, 2));
+  }
+}
+
+module.exports = OutputFormat;
@@ -0,0 +1,67 @@
+/**
+ * All of the functions that have been defined by the `.bub` file that is running.
+ *
+ * @type {Map<string, (args: string[]) => Promise<number>>}
+ */
+let _functions = new Map();
+
+/**
+ * Class to store the functions defined in `.bub` files with `function <name>`,
+ * which can then be run like commands (including in pipelines and chains).
+ *
+ * Each `.bub` file has its own functions, so they are saved before a file
+ * runs and restored once it has finished.
+ *
+ * Initialization is not required, so you can call it like `ScriptFunctions.get()`.
+ *
+ * Methods in this class:
+ * - `define(name, run)`
+ * - `get(name)`
+ * - `save()`
+ * - `restore(saved)`
+ */
+class ScriptFunctions {
+  constructor() {}
+
+  /**
+   * Define a function, replacing it if it already exists.
+   *
+   * @param {string} name The name of the function.
+   * @param {(args: string[]) => Promise<number>} run Runs the function with its arguments, and returns its status.
+   */
+  static define(name, run) {
+    _functions.set(name, run);
+  }
+
+  /**
+   * Get a function, so that it can be run.
+   *
+   * @param {string} name The name of the function.
+   * @returns {((args: string[]) => Promise<number>) | undefined} The function, or `undefined` if it does not exist.
+   */
+  static get(name) {
+    return _functions.get(name);
+  }
+
+  /**
+   * Save all of the functions, and remove them so that a new `.bub` file starts with none.
+   *
+   * @returns {Map<string, (args: string[]) => Promise<number>>} The functions that were saved, which should be passed into `restore()`.
+   */
+  static save() {
+    const saved = _functions;
+    _functions = new Map();
+    return saved;
+  }
+
+  /**
+   * Restore the functions that were saved with `save()`.
+   *
+   * @param {Map<string, (args: string[]) => Promise<number>>} saved The functions that were saved.
+   */
+  static restore(saved) {
+    _functions = saved;
+  }
+}
+
+module.exports = ScriptFunctions;
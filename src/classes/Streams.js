@@ -0,0 +1,153 @@
+const util = require("util");
+const fs = require("fs");
+
+/**
+ * The stack of streams for the commands that are currently running.
+ *
+ * Every time a command is run by the interpreter, a new entry is
+ * added to the top, and it is removed once the command has finished.
+ * Each entry can have an input (`stdin`), which is the text piped into
+ * the command, an output (`stdout`), which is where the output of
+ * the command is written to, and an error output (`stderr`), which is where
+ * errors and warnings are written to. If an output is not set, the output of
+ * the entry below it is used, and if none are set, it is written to the terminal.
+ * Each entry also records if the command has failed (`failed`).
+ *
+ * @type {{ stdin: string | undefined, stdout: { write: (text: string) => void } | undefined, stderr: { write: (text: string) => void } | undefined, failed: boolean }[]}
+ */
+const _frames = [];
+
+/**
+ * Class to read the input of a command and write its output,
+ * instead of using `console.log()` directly. This allows the output
+ * of a command to be piped into the input of another command.
+ *
+ * Initialization is not required, so you can call it like `Streams.log()`.
+ *
+ * Methods in this class:
+ * - `log(...data)`
+ * - `write(text)`
+ * - `error(...data)`
+ * - `isPiped()`
+ * - `read()`
+ * - `toFile(file, append)`
+ * - `fail()`
+ * - `hasFailed()`
+ * - `run(fn, streams)`
+ */
+class Streams {
+  constructor() {}
+
+  /**
+   * Write data to the output of the current command, followed by a newline.
+   *
+   * This works the same way as `console.log()`, so the data is formatted using `util.format()`.
+   *
+   * @param {...any} data The data to write.
+   */
+  static log(...data) {
+    this.write(`${util.format(...data)}\n`);
+  }
+
+  /**
+   * Write text to the output of the current command, without adding a newline.
+   *
+   * @param {string} text The text to write.
+   */
+  static write(text) {
+    const output = [..._frames].reverse().find((frame) => typeof frame.stdout !== "undefined");
+
+    if (typeof output === "undefined") process.stdout.write(text);
+    else output.stdout.write(text);
+  }
+
+  /**
+   * Write data to the error output of the current command, followed by a newline.
+   *
+   * This should be used for errors and warnings, so that they are not piped
+   * into the next command, and can be redirected separately (using `2>`).
+   *
+   * @param {...any} data The data to write.
+   */
+  static error(...data) {
+    const text = `${util.format(...data)}\n`;
+    const output = [..._frames].reverse().find((frame) => typeof frame.stderr !== "undefined");
+
+    if (typeof output === "undefined") process.stderr.write(text);
+    else output.stderr.write(text);
+  }
+
+  /**
+   * Returns `true` if text was piped into the current command, else, returns `false`.
+   */
+  static isPiped() {
+    return typeof _frames[_frames.length - 1]?.stdin !== "undefined";
+  }
+
+  /**
+   * Gives the text that was piped into the current command.
+   *
+   * @returns The text piped into the command, or `undefined` if nothing was piped in.
+   */
+  static read() {
+    return _frames[_frames.length - 1]?.stdin;
+  }
+
+  /**
+   * Create an output that writes to a file, which can be passed into `run()`.
+   *
+   * Colors are removed from the text before it is written. The file is created
+   * straight away, and if `append` is `false`, its contents are removed.
+   * If the file cannot be written to, the error from `fs` is thrown.
+   *
+   * @param {string} file The absolute path of the file to write to.
+   * @param {boolean} append If the text should be added to the end of the file, instead of replacing it. Defaults to `false`.
+   * @returns {{ write: (text: string) => void }} The output that writes to the file.
+   */
+  static toFile(file, append = false) {
+    fs.writeFileSync(file, "", { flag: append ? "a" : "w" });
+
+    return {
+      write: (text) => fs.appendFileSync(file, util.stripVTControlCharacters(text)),
+    };
+  }
+
+  /**
+   * Mark the current command as failed. This is done automatically
+   * when an error is shown using the `Errors` or `InfoMessages` classes.
+   */
+  static fail() {
+    if (_frames.length !== 0) _frames[_frames.length - 1].failed = true;
+  }
+
+  /**
+   * Returns `true` if the current command has failed, else, returns `false`.
+   */
+  static hasFailed() {
+    return _frames[_frames.length - 1]?.failed ?? false;
+  }
+
+  /**
+   * Run a function (usually a command) with its own input and output.
+   *
+   * @param {Function} fn The function to run. It can be asynchronous.
+   * @param {{ stdin: string | undefined, stdout: { write: (text: string) => void } | undefined, stderr: { write: (text: string) => void } | undefined }} streams The input and outputs of the function. If an output is not set, the current output is used.
+   * @returns The value returned by the function.
+   */
+  static async run(fn, streams = { stdin: undefined, stdout: undefined, stderr: undefined }) {
+    _frames.push({
+      stdin: streams.stdin,
+      stdout: streams.stdout,
+      stderr: streams.stderr,
+      failed: false,
+    });
+
+    try {
+      return await fn();
+    } finally {
+      _frames.pop();
+    }
+  }
+}
+
+module.exports = Streams;
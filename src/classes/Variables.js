@@ -0,0 +1,186 @@
+/**
+ * All of the variables in the current session, and if they have been exported.
+ *
+ * This starts with all of the environment variables of the BubbleOS process,
+ * which are already exported. Any changes are only kept until BubbleOS is exited.
+ *
+ * @type {Map<string, { value: string, exported: boolean }>}
+ */
+const _variables = new Map(
+  Object.entries(process.env).map(([name, value]) => [name, { value, exported: true }])
+);
+
+/**
+ * The status of the last command that was run, which can be read using `$?`.
+ */
+let _lastStatus = 0;
+
+/**
+ * The arguments of the `.bub` file or function that is running, which can be read
+ * using `$1`, `$2`, etc. The first item is the name of the file (`$0`).
+ *
+ * @type {string[]}
+ */
+let _args = [];
+
+/**
+ * Get the name that a variable is stored under.
+ *
+ * On Windows, variable names are not case-sensitive (e.g. `%Path%` and `%PATH%` are the same),
+ * so the stored name is found regardless of its casing.
+ *
+ * @param {string} name The name of the variable.
+ * @returns {string} The name the variable is stored under, or `name` if it does not exist.
+ */
+const _findName = (name) => {
+  if (process.platform !== "win32" || _variables.has(name)) return name;
+  return [..._variables.keys()].find((key) => key.toUpperCase() === name.toUpperCase()) ?? name;
+};
+
+/**
+ * Class to store the variables of the BubbleOS session, which can be used in
+ * commands with `$NAME`, `${NAME}` or `%NAME%`. Exported variables are also
+ * passed into programs started by BubbleOS.
+ *
+ * Initialization is not required, so you can call it like `Variables.get()`.
+ *
+ * Methods in this class:
+ * - `validName(name)`
+ * - `get(name)`
+ * - `set(name, value, exported)`
+ * - `unset(name)`
+ * - `exists(name)`
+ * - `isExported(name)`
+ * - `list(exported)`
+ * - `environment()`
+ * - `setLastStatus(status)`
+ * - `getArgs()`
+ * - `setArgs(args)`
+ */
+class Variables {
+  constructor() {}
+
+  /**
+   * Returns `true` if the name can be used for a variable, else, returns `false`.
+   *
+   * Names can only contain letters, numbers and underscores, and cannot start with a number.
+   *
+   * @param {string} name The name to check.
+   */
+  static validName(name) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name);
+  }
+
+  /**
+   * Get the value of a variable. There are also some special variables:
+   * - `?`: The status of the last command.
+   * - `0`, `1`, `2`, etc.: The name of the `.bub` file, and the arguments passed into it (or into a function).
+   * - `#`: The number of arguments.
+   * - `@`: All of the arguments, separated by spaces.
+   *
+   * @param {string} name The name of the variable.
+   * @returns {string | undefined} The value of the variable, or `undefined` if it does not exist.
+   */
+  static get(name) {
+    if (name === "?") return String(_lastStatus);
+    if (name === "#") return String(Math.max(_args.length - 1, 0));
+    if (name === "@") return _args.slice(1).join(" ");
+    if (/^\d+$/.test(name)) return _args[Number(name)];
+
+    return _variables.get(_findName(name))?.value;
+  }
+
+  /**
+   * Set the value of a variable, creating it if it does not exist.
+   *
+   * @param {string} name The name of the variable.
+   * @param {string} value The value of the variable.
+   * @param {boolean | undefined} exported If the variable should be passed into programs started by BubbleOS. If not set, an existing variable stays the same, and a new variable is not exported.
+   */
+  static set(name, value, exported = undefined) {
+    name = _findName(name);
+    _variables.set(name, {
+      value,
+      exported: exported ?? _variables.get(name)?.exported ?? false,
+    });
+  }
+
+  /**
+   * Remove a variable.
+   *
+   * @param {string} name The name of the variable.
+   * @returns {boolean} `true` if the variable existed, else, `false`.
+   */
+  static unset(name) {
+    return _variables.delete(_findName(name));
+  }
+
+  /**
+   * Returns `true` if the variable exists, else, returns `false`.
+   *
+   * @param {string} name The name of the variable.
+   */
+  static exists(name) {
+    return _variables.has(_findName(name));
+  }
+
+  /**
+   * Returns `true` if the variable exists and is exported, else, returns `false`.
+   *
+   * @param {string} name The name of the variable.
+   */
+  static isExported(name) {
+    return _variables.get(_findName(name))?.exported ?? false;
+  }
+
+  /**
+   * Get all of the variables, sorted by their name.
+   *
+   * @param {boolean} exported `true` to only get exported variables, `false` to only get variables that are not exported.
+   * @returns {[string, string][]} The names and values of the variables.
+   */
+  static list(exported) {
+    return [..._variables.entries()]
+      .filter(([, variable]) => variable.exported === exported)
+      .map(([name, variable]) => [name, variable.value])
+      .sort(([a], [b]) => a.localeCompare(b));
+  }
+
+  /**
+   * Get the environment to pass into programs started by BubbleOS, which contains all exported variables.
+   *
+   * @returns {Object<string, string>} The exported variables, which can be passed into `child_process` as the `env` option.
+   */
+  static environment() {
+    return Object.fromEntries(this.list(true));
+  }
+
+  /**
+   * Set the status of the last command that was run, which can be read using `$?`.
+   *
+   * @param {number} status The status of the command.
+   */
+  static setLastStatus(status) {
+    _lastStatus = status;
+  }
+
+  /**
+   * Get the arguments of the `.bub` file or function that is running.
+   *
+   * @returns {string[]} The arguments, where the first item is the name of the file (`$0`).
+   */
+  static getArgs() {
+    return [..._args];
+  }
+
+  /**
+   * Set the arguments of the `.bub` file or function that is running.
+   *
+   * @param {string[]} args The arguments, where the first item is the name of the file (`$0`).
+   */
+  static setArgs(args) {
+    _args = [...args];
+  }
+}
+
+module.exports = Variables;
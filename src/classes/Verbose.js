@@ -11,7 +11,6 @@ const { GLOBAL_NAME } = require("../variables/constants");
  *
  * - `initArgs`
  * - `pathAbsolute`
- * - `parseQuotes`
  * - `initChecker`
  * - `initArgs`
  * - `chkEmpty`
@@ -50,10 +49,6 @@ class Verbose {
     this.custom(`Convering path '${chalk.italic(path)}' to an absolute path...`);
   }
 
-  static parseQuotes() {
-    this.custom("Parsing double quotes for paths with spaces...");
-  }
-
   static initChecker() {
     this.custom("Initializing checker...");
   }
@@ -4,6 +4,7 @@ const { GLOBAL_NAME, AUTHOR, VERSION, BUILD } = require("../variables/constants"
 
 const _fatalError = require("../functions/fatalError");
 
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -24,16 +25,16 @@ const about = (...args) => {
 
     // Title
     Verbose.custom("Displaying information...");
-    console.log(chalk.underline.bold.red(`About ${aboutName}\n`));
+    Streams.log(chalk.underline.bold.red(`About ${aboutName}\n`));
 
     // Information about build and author
-    console.log(`${aboutName}, v${VERSION} (build ${BUILD})`);
-    console.log(`Made by ${AUTHOR}!\n`);
+    Streams.log(`${aboutName}, v${VERSION} (build ${BUILD})`);
+    Streams.log(`Made by ${AUTHOR}!\n`);
 
     // MIT Liecense (variable year)
     if (license) {
       Verbose.custom("Displaying license...");
-      console.log(
+      Streams.log(
         chalk.dim(`    MIT License
 
     Copyright (c) ${new Date().getFullYear()} ${aboutName}
@@ -59,8 +60,8 @@ const about = (...args) => {
     }
 
     // Links
-    console.log(`GitHub: ${chalk.underline.blueBright("https://github.com/arnavt78/bubbleos")}`);
-    console.log(`YouTube: ${chalk.underline.blueBright("https://youtube.com/InfiniTech78")}\n`);
+    Streams.log(`GitHub: ${chalk.underline.blueBright("https://github.com/arnavt78/bubbleos")}`);
+    Streams.log(`YouTube: ${chalk.underline.blueBright("https://youtube.com/InfiniTech78")}\n`);
   } catch (err) {
     Verbose.fatalError();
     _fatalError(err);
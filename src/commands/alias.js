@@ -0,0 +1,150 @@
+const chalk = require("chalk");
+
+const _fatalError = require("../functions/fatalError");
+const _tokenize = require("../functions/tokenize");
+const { _findAliasLoop } = require("../functions/expandAlias");
+
+const Errors = require("../classes/Errors");
+const InfoMessages = require("../classes/InfoMessages");
+const ConfigManager = require("../classes/ConfigManager");
+const Streams = require("../classes/Streams");
+const Verbose = require("../classes/Verbose");
+
+/**
+ * Characters that cannot be in the name of an alias, as they have
+ * a special meaning in commands (such as operators and quotes).
+ */
+const INVALID_NAME_REGEX = /[\s=|&;><'"\\$%]/;
+
+/**
+ * Get the aliases stored in the BubbleOS configuration file.
+ *
+ * If the configuration file does not exist yet, it is created. If it cannot be read,
+ * an error is shown and the file is reset. In both cases, there are no aliases.
+ *
+ * @returns {Object<string, string>} The aliases and the commands they run.
+ */
+const _getAliases = () => {
+  const config = new ConfigManager();
+
+  Verbose.custom("Checking if configuration exists...");
+  if (!config.configChk.doesExist()) {
+    Verbose.custom("Creating configuration file...");
+    config.createConfig();
+    return {};
+  } else if (typeof config.getConfig() === "undefined") {
+    InfoMessages.error("Error when reading aliases from the configuration file. Resetting file...");
+
+    Verbose.custom("Resetting configuration file...");
+    config.deleteConfig();
+    config.createConfig();
+    return {};
+  }
+
+  Verbose.custom("Getting aliases stored in configuration file...");
+  return config.getConfig().aliases ?? {};
+};
+
+/**
+ * Formats an alias and the command it runs, and logs it.
+ *
+ * @param {string} name The name of the alias.
+ * @param {string} value The command that the alias runs.
+ */
+const _formatAlias = (name, value) => {
+  Streams.log(`  ${chalk.bold.yellow(name)}=${value}`);
+};
+
+/**
+ * The `alias` command, used to create a shortcut for a command.
+ *
+ * Aliases are stored in the BubbleOS configuration file, so they are kept
+ * when BubbleOS is restarted. When the first word of a command is an alias,
+ * it is replaced with the command the alias runs (e.g. `alias ll="ls -s"` makes
+ * `ll` run `ls -s`). Aliases that would create a loop cannot be set.
+ *
+ * If nothing is passed, all aliases are shown. If only a name is passed, that alias is shown.
+ *
+ * @param {...string} alias The alias to set, in the format `name=command`. If the command has spaces, they are kept.
+ */
+const alias = (...alias) => {
+  try {
+    const aliases = _getAliases();
+
+    if (alias.length === 0) {
+      Verbose.custom("Showing all aliases...");
+      if (Object.keys(aliases).length === 0) {
+        Verbose.custom("No aliases detected.");
+        Streams.log(chalk.yellow("No aliases have been set yet.\n"));
+        return;
+      }
+
+      for (const name of Object.keys(aliases).sort()) {
+        _formatAlias(name, aliases[name]);
+      }
+
+      Streams.log();
+      return;
+    }
+
+    alias = alias.join(" ");
+    const separator = alias.indexOf("=");
+    const name = separator === -1 ? alias : alias.slice(0, separator);
+    const value = separator === -1 ? undefined : alias.slice(separator + 1).trim();
+
+    Verbose.custom("Validating alias name...");
+    if (name === "" || INVALID_NAME_REGEX.test(name)) {
+      Errors.invalidCharacters(
+        "alias name",
+        "letters, numbers and symbols",
+        "spaces, quotes, '=', '$', '%' or operators",
+        name
+      );
+      return;
+    }
+
+    if (typeof value === "undefined") {
+      Verbose.custom(`Showing alias '${name}'...`);
+      if (!Object.hasOwn(aliases, name)) {
+        Verbose.custom(`Alias '${name}' was detected to not exist.`);
+        Errors.doesNotExist("alias", name);
+        return;
+      }
+
+      _formatAlias(name, aliases[name]);
+      Streams.log();
+      return;
+    } else if (value === "") {
+      Verbose.chkEmpty();
+      Errors.enterParameter("a command", 'alias ll="ls -s"');
+      return;
+    }
+
+    // Make sure that the command can be understood before saving it
+    Verbose.custom("Checking the syntax of the command the alias runs...");
+    try {
+      _tokenize(value);
+    } catch (err) {
+      if (err.code !== "INVALID_SYNTAX") throw err;
+
+      Errors.invalidSyntax(err.message);
+      return;
+    }
+
+    Verbose.custom("Checking if the alias would create a loop...");
+    const loop = _findAliasLoop({ ...aliases, [name]: value }, name);
+    if (loop !== null) {
+      Verbose.custom(`Alias '${name}' was detected to create a loop.`);
+      Errors.aliasLoop(loop);
+      return;
+    }
+
+    Verbose.custom(`Saving alias '${name}' to configuration file...`);
+    new ConfigManager().addData({ aliases: { ...aliases, [name]: value } });
+  } catch (err) {
+    Verbose.fatalError();
+    _fatalError(err);
+  }
+};
+
+module.exports = { alias, _getAliases };
@@ -1,88 +1,727 @@
 const fs = require("fs");
 const chalk = require("chalk");
 const path = require("path");
+const { question } = require("readline-sync");
 
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 const _convertAbsolute = require("../functions/convAbs");
+const _tokenize = require("../functions/tokenize");
+const _parseCommand = require("../functions/parseCommand");
+const _lintScript = require("../functions/lintScript");
+const { _parseScript, _scriptError } = require("../functions/parseScript");
+const _expandVariables = require("../functions/expandVars");
+const _expandWords = require("../functions/expandWords");
 const _fatalError = require("../functions/fatalError");
 const _caseSensitivePath = require("../functions/caseSensitivePath");
+const { _canAsk } = require("../functions/promptPolicy");
 
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
+const ConfigManager = require("../classes/ConfigManager");
 const InfoMessages = require("../classes/InfoMessages");
+const Streams = require("../classes/Streams");
+const Variables = require("../classes/Variables");
+const ScriptFunctions = require("../classes/ScriptFunctions");
 const Verbose = require("../classes/Verbose");
 
 /**
- * Interpret a BubbleOS file. This function should only be
- * used as a private function to be called inside of `bub()`.
+ * Flags of the `bub` command. All other arguments are passed into the file
+ * (as `$1`, `$2`, etc.), as well as any arguments after `--`.
+ */
+const BUB_FLAGS = [
+  "-d",
+  "--allow-exit",
+  "--strict",
+  "--dry-run",
+  "--step",
+  "--check",
+  "--max-depth",
+];
+
+/**
+ * Commands that delete or change files or processes, which are marked when using `--dry-run`.
+ */
+const DESTRUCTIVE_COMMANDS = ["del", "rename", "taskkill", "crash"];
+
+/**
+ * The answers to the prompt before each line when using `--step`.
+ */
+const STEP_ANSWERS = ["c", "s", "w", "r", "a"];
+
+/**
+ * The default number of `.bub` files that can be running inside of each other
+ * (with `bub` or `source`). This can be changed with `--max-depth`, or in the
+ * configuration file as `bubMaxDepth`.
+ */
+const DEFAULT_MAX_DEPTH = 32;
+
+/**
+ * The `.bub` files that are running, where the last one is the file that is currently running.
  *
- * The `intCmds()` function **must** be passed at the start.
- * This is because BubbleOS cannot read the function correctly
- * if it imported instead of passed in (it will be an empty
- * object - `{}` - instead of a function).
+ * Each file is stored as its canonical absolute path (with symbolic links resolved), so that the
+ * same file is always found, no matter how it was run. Each file also stores the maximum depth that
+ * it was run with, which is used by the files that it runs.
  *
- * @param {Function} intCmds The `intCmds` function that needs to be passed as BubbleOS cannot read it properly (as explained above).
- * @param {string} file The path the points to the `.bub` file. It should be a `.bub` file, but others are accepted, as there is no such check for this in the function.
- * @param {{ displayCommand: boolean, allowExit: boolean }} options Optional. Defines options that can modify the behaviour of this function. The available keys are listed above.
+ * @type {{ file: string, maxDepth: number }[]}
  */
-const _interpretFile = async (
-  intCmds,
-  file,
-  options = { displayCommand: false, allowExit: false }
-) => {
+const _callStack = [];
+
+/**
+ * Get the maximum depth that a `.bub` file can be run at, if it was not given with `--max-depth`.
+ *
+ * This is the maximum depth of the file that is running, or the one in the configuration file
+ * (`bubMaxDepth`) if no file is running.
+ *
+ * @returns {number} The maximum depth.
+ */
+const _defaultMaxDepth = () => {
+  if (_callStack.length !== 0) return _callStack[_callStack.length - 1].maxDepth;
+
+  const maxDepth = new ConfigManager().getConfig()?.bubMaxDepth;
+  return Number.isInteger(maxDepth) && maxDepth > 0 ? maxDepth : DEFAULT_MAX_DEPTH;
+};
+
+/**
+ * Add a `.bub` file to the call stack, before it starts running.
+ *
+ * If the file is already running (e.g. a file that runs itself, or `a.bub` running `b.bub` which runs
+ * `a.bub`), or the maximum depth has been reached, an error with the code `SCRIPT_RECURSION` is thrown
+ * instead. The error has the `chain` of files that caused it, and the `maxDepth` if it was too deep.
+ *
+ * @param {string} file The absolute path of the file.
+ * @param {number} maxDepth The maximum number of files that can be running, including this one.
+ */
+const _pushScript = (file, maxDepth) => {
+  let canonical;
+  try {
+    canonical = fs.realpathSync.native(file);
+  } catch {
+    canonical = path.resolve(file);
+  }
+
+  const chain = [..._callStack.map((script) => script.file), canonical];
+  const recursive = _callStack.some((script) => script.file === canonical);
+
+  if (recursive || chain.length > maxDepth) {
+    const err = new Error(
+      recursive ? "the file is already running" : "the files are nested too deeply"
+    );
+    err.code = "SCRIPT_RECURSION";
+    err.chain = chain;
+    if (!recursive) err.maxDepth = maxDepth;
+    throw err;
+  }
+
+  Verbose.custom(`Adding '${canonical}' to the call stack (depth ${chain.length})...`);
+  _callStack.push({ file: canonical, maxDepth });
+};
+
+/**
+ * Show an error from `_pushScript()`, with the chain of files that caused it.
+ *
+ * @param {Error} err The error, with the code `SCRIPT_RECURSION`.
+ */
+const _showRecursionError = (err) => {
+  Verbose.custom("File was detected to be running recursively...");
+  if (typeof err.maxDepth !== "undefined") Errors.scriptTooDeep(err.maxDepth, err.chain);
+  else Errors.scriptRecursion(err.chain);
+};
+
+/**
+ * Read a `.bub` file, and parse it into the statements that it runs.
+ *
+ * If the file has an error, the error thrown by `_parseScript()` has the path of the file added to it (as `file`).
+ *
+ * @param {string} file The absolute path of the file.
+ * @returns {object[]} The statements in the file.
+ */
+const _readScript = (file) => {
   // Seperate the file into lines to allow executing each command line-by-line
   Verbose.custom("Reading file and separating into lines...");
   const lines = fs.readFileSync(file, { encoding: "utf-8", flag: "r" }).split("\n");
 
-  // Command that causes infinite loop
-  // TODO make it so that if the user enters full path,
-  // it will also be detected as invalid
-  Verbose.custom("Creating invalid 'bub' command to avoid an infinite loop...");
-  const invalidBubCommand = `bub ${path.basename(file)}`;
+  try {
+    Verbose.custom("Parsing file...");
+    return _parseScript(lines);
+  } catch (err) {
+    if (err.code === "SCRIPT_ERROR") err.file ??= file;
+    throw err;
+  }
+};
+
+/**
+ * Check if a condition in an `if` or `while` statement of a `.bub` file is true.
+ *
+ * The following conditions are supported:
+ * - `not <condition>`: True if the condition is false.
+ * - `exists <path>`: True if the path exists. Glob patterns can be used, which are true if they match anything.
+ * - `<value> == <value>` and `<value> != <value>`: True if the values are the same (or different).
+ * - Anything else is run as a command, which is true if the command succeeded (its status is `0`).
+ *
+ * @param {string} condition The condition to check.
+ * @param {{ intCmds: Function }} context The context that the file is running in.
+ * @returns {Promise<boolean>} If the condition is true.
+ */
+const _checkCondition = async (condition, context) => {
+  const negated = condition.match(/^not\s+(.+)$/);
+  if (negated !== null) return !(await _checkCondition(negated[1], context));
 
-  // Loop through all lines
-  for (let i = 0; i < lines.length; i++) {
-    Verbose.custom("Trimming current line...");
-    const line = lines[i]?.trim();
+  const exists = condition.match(/^exists\s+(.+)$/);
+  if (exists !== null) {
+    const paths = _expandWords(_tokenize(exists[1]).filter((token) => token.type === "word"));
 
-    if (line.startsWith("#") || line === "") {
-      // Comment or empty line
-      Verbose.custom(`Line '${line}' was detected to either be empty or a comment, skipping...`);
-      continue;
-    } else if (line === invalidBubCommand) {
-      // Prevents infinite loop by .bub file executing itself
-      if (options.displayCommand) {
-        Verbose.custom("Displaying currently executing command...");
-        console.log(chalk.underline.bold.red(line));
+    Verbose.custom(`Checking if '${paths.join("', '")}' exists...`);
+    return (
+      paths.length !== 0 && paths.every((item) => new Checks(_convertAbsolute(item)).doesExist())
+    );
+  }
+
+  const tokens = _tokenize(condition);
+  if (
+    tokens.length === 3 &&
+    tokens.every((token) => token.type === "word") &&
+    ["==", "!="].includes(tokens[1].value)
+  ) {
+    const [left, , right] = tokens.map((word) => _expandVariables(word).value);
+
+    Verbose.custom(`Comparing '${left}' and '${right}'...`);
+    return (left === right) === (tokens[1].value === "==");
+  }
+
+  Verbose.custom("Running command in condition...");
+  return (await context.intCmds(condition, false, context.options.allowExit)) === 0;
+};
+
+/**
+ * Run a command from a line in a `.bub` file.
+ *
+ * @param {string} line The command to run.
+ * @param {{ intCmds: Function, file: string, options: { displayCommand: boolean, allowExit: boolean, dryRun: boolean, step: boolean }, strict: boolean, inTry: boolean, failures: object[], stepper: { running: boolean, aborted: boolean } }} context The context that the file is running in.
+ * @returns {Promise<number>} The status of the command.
+ */
+const _runLine = async (line, context) => {
+  const { intCmds, options } = context;
+
+  // Interprets command, without adding to history. The 'exit' command is skipped
+  // anywhere in the line (e.g. 'print x; exit 1') if --allow-exit was not passed
+  Verbose.custom("Interpreting command...");
+  return await intCmds(line, false, options.allowExit);
+};
+
+/**
+ * Check if a `.bub` file should stop at the first line that fails.
+ *
+ * A file is strict if it starts with the `#strict` directive (which new files made with
+ * `mkfile` start with). Files without a directive are not strict, unless `bubStrict` is
+ * set to `true` in the configuration file, in which case they can start with the
+ * `#nostrict` directive to not be strict.
+ *
+ * @param {object[]} statements The statements of the file, from `_parseScript()`.
+ * @returns {boolean} If the file should stop at the first line that fails.
+ */
+const _isStrict = (statements) => {
+  const directive = statements.find(
+    (statement) => statement.type === "directive" && ["strict", "nostrict"].includes(statement.name)
+  );
+  if (typeof directive !== "undefined") return directive.name === "strict";
+
+  return new ConfigManager().getConfig()?.bubStrict === true;
+};
+
+/**
+ * Record a line of a `.bub` file that failed, so that it is shown once the file has finished.
+ *
+ * If the file is strict, or the line is in a `try` block, an error with the code
+ * `SCRIPT_FAILED` is thrown, which stops running the lines after it.
+ *
+ * @param {{ line: number, text: string }} statement The statement of the line that failed.
+ * @param {number} status The status of the line.
+ * @param {{ file: string, strict: boolean, inTry: boolean, failures: object[] }} context The context that the file is running in.
+ */
+const _lineFailed = (statement, status, context) => {
+  const failure = {
+    file: context.file,
+    line: statement.line,
+    text: statement.text,
+    status,
+    caught: false,
+  };
+
+  Verbose.custom(`Line ${statement.line} was detected to have failed with status ${status}...`);
+  context.failures.push(failure);
+
+  if (context.strict || context.inTry) {
+    const err = new Error(`line ${statement.line} failed`);
+    err.code = "SCRIPT_FAILED";
+    err.failure = failure;
+    throw err;
+  }
+};
+
+/**
+ * Show the lines of a `.bub` file that failed while it was running, if there are any.
+ *
+ * @param {{ file: string, line: number, text: string, status: number, caught: boolean }[]} failures The lines that failed.
+ */
+const _showFailures = (failures) => {
+  if (failures.length === 0) return;
+
+  Verbose.custom("Showing the lines that failed...");
+  const lines = failures.map(
+    ({ file, line, text, status, caught }) =>
+      `  ${chalk.bold(`${file}:${line}`)}  ${text} ${chalk.dim(
+        `(status ${status}${caught ? ", caught" : ""})`
+      )}`
+  );
+
+  InfoMessages.warning(
+    `${failures.length} ${
+      failures.length === 1 ? "line" : "lines"
+    } failed while running the file:\n${lines.join("\n")}`
+  );
+};
+
+/**
+ * Show a line of a `.bub` file when using `--dry-run`, instead of running it.
+ *
+ * Commands are shown with their variables, glob patterns and aliases expanded,
+ * and are marked if they are destructive (see `DESTRUCTIVE_COMMANDS`) or are
+ * functions. Other lines (such as `if <condition>`) are shown as they are.
+ *
+ * @param {{ type: string, line: number, text: string }} statement The statement of the line.
+ * @param {{ file: string }} context The context that the file is running in.
+ */
+const _showDryRun = (statement, context) => {
+  const location = chalk.dim(`${path.basename(context.file)}:${statement.line}`);
+  if (statement.type !== "command") {
+    Streams.log(`${location} ${chalk.italic(statement.text)}`);
+    return;
+  }
+
+  let list;
+  try {
+    Verbose.custom("Parsing command to show in dry run...");
+    list = _parseCommand(statement.text, new ConfigManager().getConfig()?.aliases ?? {});
+  } catch (err) {
+    if (err.code !== "INVALID_SYNTAX") throw err;
+
+    Streams.log(`${location} ${statement.text} ${chalk.red(`(invalid syntax: ${err.message})`)}`);
+    return;
+  }
+
+  // Quote the arguments that would be split or changed if they were entered like this
+  const quote = (arg) => (arg === "" || /[\s'"|&;<>$%!]/.test(arg) ? `'${arg}'` : arg);
+  const marks = [];
+
+  Verbose.custom("Expanding command to show in dry run...");
+  const text = list
+    .map(({ connector, pipeline }) => {
+      const commands = pipeline
+        .map(({ argv, redirects }) => {
+          const args = _expandWords(argv);
+
+          if (typeof ScriptFunctions.get(args[0]) !== "undefined")
+            marks.push(chalk.dim("(function)"));
+          else if (DESTRUCTIVE_COMMANDS.includes(args[0]))
+            marks.push(chalk.red.bold(`(destructive: ${args[0]})`));
+
+          return [
+            ...args.map(quote),
+            ...redirects.map(
+              ({ operator, file }) => `${operator} ${quote(_expandVariables(file).value)}`
+            ),
+          ].join(" ");
+        })
+        .join(" | ");
+
+      if (connector === null) return commands;
+      return connector === ";" ? `; ${commands}` : ` ${connector} ${commands}`;
+    })
+    .join("");
+
+  Streams.log([location, text, ...marks].join(" "));
+};
+
+/**
+ * Create an error which stops a `.bub` file, after the user aborted it when using `--step`.
+ *
+ * @returns The error, with the code `SCRIPT_ABORTED`, which should be thrown.
+ */
+const _abortError = () => {
+  const err = new Error("the file was aborted");
+  err.code = "SCRIPT_ABORTED";
+  return err;
+};
+
+/**
+ * Pause before a line of a `.bub` file when using `--step`, and ask what to do with it.
+ *
+ * The line can be run (_c_), skipped (_s_), or the file can be aborted (_a_). The current working
+ * directory and status of the last command can be shown (_w_), and the rest of the file can be
+ * run without pausing (_r_).
+ *
+ * @param {{ line: number, text: string }} statement The statement of the line.
+ * @param {{ file: string, options: { step: boolean }, stepper: { running: boolean, aborted: boolean } }} context The context that the file is running in.
+ * @returns {boolean} If the line should be run.
+ */
+const _stepThrough = (statement, context) => {
+  const { stepper } = context;
+
+  // A function that was aborted cannot stop the file, so it is stopped at the next line instead
+  if (stepper.aborted) throw _abortError();
+  if (!context.options.step || stepper.running) return true;
+
+  Streams.log(
+    `${chalk.bold(`${path.basename(context.file)}:${statement.line}`)} ${statement.text}`
+  );
+  while (true) {
+    Verbose.promptUser();
+    const answer = question(
+      `${chalk.dim(`[${chalk.bold("c")}]ontinue, [s]kip, [w]here, [r]un to end, [a]bort`)} `,
+      {
+        limit: STEP_ANSWERS,
+        limitMessage: "Please enter one of c, s, w, r or a.",
+        defaultInput: "c",
+        caseSensitive: false,
       }
+    ).toLowerCase();
 
-      Verbose.custom(`Line '${line}' was detected to be an invalid 'bub' command, skipping...`);
-      InfoMessages.warning(
-        "Infinite loop detected due to executing the same '.bub' file, skipping..."
+    if (answer === "w") {
+      Streams.log(
+        `Current directory: ${chalk.bold(process.cwd())}\nStatus of the last command: ${chalk.bold(
+          Variables.get("?")
+        )}`
       );
       continue;
-    } else if (line === "exit" && !options.allowExit) {
-      // Prevents .bub command from exiting BubbleOS
-      // if --allow-exit was not passed
-      if (options.displayCommand) {
-        Verbose.custom("Displaying currently executing command...");
-        console.log(chalk.underline.bold.red(line));
-      }
+    } else if (answer === "a") {
+      Verbose.custom("Aborting file...");
+      stepper.aborted = true;
+      throw _abortError();
+    } else if (answer === "r") {
+      Verbose.custom("Running the rest of the file without pausing...");
+      stepper.running = true;
+    }
 
-      Verbose.custom(`Line '${line}' was detected to be the 'exit' command, skipping...`);
-      InfoMessages.info("Running the 'exit' command from a '.bub' file is currently disabled.");
+    return answer !== "s";
+  }
+};
+
+/**
+ * Run the statements of a `.bub` file, which come from `_parseScript()`.
+ *
+ * If a command fails, it is recorded in `failures`. If the file is strict or
+ * the command is in a `try` block, the lines after it are not run (see `_lineFailed()`).
+ *
+ * When using `--dry-run`, commands are shown instead of run (see `_showDryRun()`), and
+ * every block is shown once, as conditions are not checked.
+ *
+ * @param {object[]} statements The statements to run.
+ * @param {{ intCmds: Function, file: string, options: { displayCommand: boolean, allowExit: boolean, dryRun: boolean, step: boolean }, strict: boolean, inTry: boolean, failures: object[], stepper: { running: boolean, aborted: boolean } }} context The context that the file is running in.
+ * @returns {Promise<number>} The status of the last command that was run, or `0` if no commands were run.
+ */
+const _runStatements = async (statements, context) => {
+  let status = 0;
+
+  for (const statement of statements) {
+    if (!_stepThrough(statement, context)) {
+      Verbose.custom(`Skipping line ${statement.line}...`);
       continue;
     }
 
-    if (options.displayCommand) {
+    if (context.options.dryRun) {
+      _showDryRun(statement, context);
+
+      // Nothing is run, so the lines in each part of the block are shown
+      if (["if", "while", "try", "command"].includes(statement.type)) {
+        for (const body of [statement.body, statement.else, statement.catch, statement.finally]) {
+          if (Array.isArray(body)) await _runStatements(body, context);
+        }
+        continue;
+      }
+    } else if (context.options.displayCommand) {
       // Displays command if requested
       Verbose.custom("Displaying currently executing command...");
-      console.log(chalk.underline.bold.red(line));
+      Streams.log(chalk.underline.bold.red(statement.text));
+    }
+
+    if (statement.type === "if") {
+      Verbose.custom(`Checking condition of 'if' statement on line ${statement.line}...`);
+      const isTrue = await _checkCondition(statement.condition, context);
+      status = await _runStatements(isTrue ? statement.body : statement.else, context);
+    } else if (statement.type === "while") {
+      status = 0;
+
+      Verbose.custom(`Checking condition of 'while' statement on line ${statement.line}...`);
+      while (await _checkCondition(statement.condition, context)) {
+        status = await _runStatements(statement.body, context);
+      }
+    } else if (statement.type === "try") {
+      let failure = null;
+      try {
+        status = await _runStatements(statement.body, { ...context, inTry: true });
+      } catch (err) {
+        if (err.code !== "SCRIPT_FAILED") throw err;
+
+        failure = err;
+        status = err.failure.status;
+      }
+
+      try {
+        if (failure !== null && statement.catch !== null) {
+          Verbose.custom(`Running 'catch' of 'try' statement on line ${statement.line}...`);
+          failure.failure.caught = true;
+          failure = null;
+
+          Variables.setLastStatus(status);
+          status = await _runStatements(statement.catch, context);
+        }
+      } finally {
+        if (statement.finally !== null) {
+          Verbose.custom(`Running 'finally' of 'try' statement on line ${statement.line}...`);
+          await _runStatements(statement.finally, context);
+        }
+      }
+
+      // Without a 'catch', the failure continues as if the 'try' line failed
+      if (failure !== null && (context.strict || context.inTry)) throw failure;
+    } else if (statement.type === "for") {
+      Verbose.custom("Expanding values of 'for' statement...");
+      // Words without quotes that expand to nothing (e.g. an empty variable) are not values, so
+      // 'for NAME in $EMPTY' runs zero times, but 'for NAME in ""' runs once
+      const values = _tokenize(statement.values).flatMap((word) => {
+        const unquoted = word.parts.length !== 0 && word.parts.every((part) => part.glob);
+        return _expandWords([word]).filter((value) => !unquoted || value !== "");
+      });
+
+      status = 0;
+      for (const value of values) {
+        Variables.set(statement.name, value);
+        status = await _runStatements(statement.body, context);
+      }
+    } else if (statement.type === "assign") {
+      Verbose.custom(`Setting variable '${statement.name}'...`);
+      const value = _tokenize(statement.value)
+        .map((word) => _expandVariables(word).value)
+        .join(" ");
+
+      Variables.set(statement.name, value);
+      status = 0;
+      Variables.setLastStatus(status);
+    } else if (statement.type === "function") {
+      Verbose.custom(`Defining function '${statement.name}'...`);
+      ScriptFunctions.define(statement.name, (args) =>
+        _runFunction(statement.body, [Variables.getArgs()[0] ?? statement.name, ...args], {
+          ...context,
+          inTry: false,
+        })
+      );
+      status = 0;
+
+      if (context.options.dryRun) await _runStatements(statement.body, context);
+    } else if (statement.type === "source") {
+      // Files are found relative to the file that includes them
+      const [source] = _tokenize(statement.file).map((word) => _expandVariables(word).value);
+      const sourceFile = _caseSensitivePath(path.resolve(path.dirname(context.file), source));
+
+      Verbose.custom(`Including file '${sourceFile}'...`);
+      if (!new Checks(sourceFile).doesExist() || new Checks(sourceFile).validateType()) {
+        const err = _scriptError(
+          `the included file, '${sourceFile}', does not exist`,
+          statement.line
+        );
+        err.file = context.file;
+        throw err;
+      }
+
+      _pushScript(sourceFile, _defaultMaxDepth());
+      try {
+        // The included file is strict if it is strict by itself, or the file including it is strict
+        const sourceStatements = _readScript(sourceFile);
+        status = await _runStatements(sourceStatements, {
+          ...context,
+          file: sourceFile,
+          strict: context.strict || _isStrict(sourceStatements),
+        });
+      } finally {
+        _callStack.pop();
+      }
+    } else if (statement.type === "command") {
+      status = await _runLine(statement.text, context);
+
+      // A function that was aborted cannot stop the file, so it is stopped here instead
+      if (context.stepper.aborted) throw _abortError();
+      if (status !== 0) _lineFailed(statement, status, context);
     }
+  }
+
+  return status;
+};
+
+/**
+ * Run a function defined in a `.bub` file, with its own arguments (`$1`, `$2`, etc.).
+ *
+ * As functions are run like commands, errors in the function are shown here, rather than stopping the file.
+ * If a line in the function fails and stops it (see `_lineFailed()`), the function returns the status of that line.
+ *
+ * @param {object[]} body The statements in the function.
+ * @param {string[]} args The arguments of the function, where the first item is the name of the file (`$0`).
+ * @param {{ intCmds: Function, file: string, options: { displayCommand: boolean, allowExit: boolean, dryRun: boolean, step: boolean }, strict: boolean, inTry: boolean, failures: object[], stepper: { running: boolean, aborted: boolean } }} context The context that the function was defined in.
+ * @returns {Promise<number>} The status of the last command that was run in the function.
+ */
+const _runFunction = async (body, args, context) => {
+  const beforeArgs = Variables.getArgs();
+  Variables.setArgs(args);
+
+  try {
+    return await _runStatements(body, context);
+  } catch (err) {
+    if (err.code === "SCRIPT_FAILED") {
+      Verbose.custom("Function was stopped as a line failed...");
+      return err.failure.status;
+    } else if (err.code === "SCRIPT_ABORTED") {
+      return 1;
+    } else if (err.code === "SCRIPT_RECURSION") {
+      _showRecursionError(err);
+      return 1;
+    } else if (err.code !== "SCRIPT_ERROR") throw err;
+
+    Verbose.custom("Function was detected to have an error...");
+    Errors.scriptError(err.file, err.line, err.message);
+    return 1;
+  } finally {
+    Variables.setArgs(beforeArgs);
+  }
+};
+
+/**
+ * Check a `.bub` file for problems without running it (see `_lintScript()`), and show them with their line and column.
+ *
+ * @param {string} file The absolute path of the file.
+ * @param {{ allowExit: boolean }} options Options that change the problems that are found.
+ * @returns {number} `0` if there were no problems, else, `1`.
+ */
+const _checkFile = (file, options) => {
+  Verbose.custom("Checking file for problems...");
+  const problems = _lintScript(file, options);
+
+  if (problems.length === 0) {
+    InfoMessages.success(`No problems were found in ${chalk.bold(file)}.`);
+    return 0;
+  }
+
+  for (const { line, column, message } of problems) {
+    Streams.log(`${chalk.bold(`${file}:${line}:${column}`)} ${message}`);
+  }
+  Streams.log();
+
+  InfoMessages.error(
+    `${problems.length} ${
+      problems.length === 1 ? "problem was" : "problems were"
+    } found in ${chalk.bold(file)}.`
+  );
+  return 1;
+};
+
+/**
+ * Interpret a BubbleOS file. This function should only be
+ * used as a private function to be called inside of `bub()`.
+ *
+ * The file is parsed before anything is run, so if it has an
+ * error (such as an `if` block without an `end`), nothing runs
+ * and the error is shown with the line number.
+ *
+ * The file has its own arguments (`$1`, `$2`, etc.) and functions,
+ * which are restored to the ones before it once it has finished.
+ *
+ * If the file is strict (see `_isStrict()`, or with `--strict`), it stops
+ * at the first line that fails. Once it has finished, the lines that failed
+ * are shown.
+ *
+ * When using `--dry-run`, the commands are shown instead of run, and
+ * when using `--step`, the user is asked what to do before each line.
+ *
+ * The file is added to the call stack while it runs. If it is already
+ * running (even if it was run with a different path), or too many files
+ * are running inside of each other, it is not run and the chain of files
+ * is shown instead.
+ *
+ * The `intCmds()` function **must** be passed at the start.
+ * This is because BubbleOS cannot read the function correctly
+ * if it imported instead of passed in (it will be an empty
+ * object - `{}` - instead of a function).
+ *
+ * @param {Function} intCmds The `intCmds` function that needs to be passed as BubbleOS cannot read it properly (as explained above).
+ * @param {string} file The path the points to the `.bub` file. It should be a `.bub` file, but others are accepted, as there is no such check for this in the function.
+ * @param {{ displayCommand: boolean, allowExit: boolean, strict: boolean, dryRun: boolean, step: boolean, maxDepth: number }} options Optional. Defines options that can modify the behaviour of this function. The available keys are listed above.
+ * @param {string[]} args Optional. The arguments to pass into the file. Defaults to no arguments.
+ * @returns {Promise<number>} The status of the last command that was run in the file.
+ */
+const _interpretFile = async (
+  intCmds,
+  file,
+  options = {
+    displayCommand: false,
+    allowExit: false,
+    strict: false,
+    dryRun: false,
+    step: false,
+    maxDepth: _defaultMaxDepth(),
+  },
+  args = []
+) => {
+  const beforeArgs = Variables.getArgs();
+  const beforeFunctions = ScriptFunctions.save();
+  Variables.setArgs([file, ...args]);
+
+  const failures = [];
+  let pushed = false;
+  try {
+    _pushScript(file, options.maxDepth);
+    pushed = true;
+
+    const statements = _readScript(file);
+    const strict = options.strict || _isStrict(statements);
+    if (options.dryRun)
+      InfoMessages.info(
+        `Dry run of '${chalk.bold(
+          file
+        )}'. Commands are shown with their variables expanded, but nothing is run.`
+      );
 
-    // Interprets command, without adding to history
-    Verbose.custom("Interpreting command...");
-    await intCmds(line, false);
+    return await _runStatements(statements, {
+      intCmds,
+      file,
+      options,
+      strict,
+      inTry: false,
+      failures,
+      stepper: { running: false, aborted: false },
+    });
+  } catch (err) {
+    if (err.code === "SCRIPT_FAILED") {
+      Verbose.custom("File was stopped as a line failed...");
+      InfoMessages.error(
+        `Stopped running the file, as line ${chalk.bold(err.failure.line)} of '${chalk.bold(
+          err.failure.file
+        )}' failed.`
+      );
+      return err.failure.status;
+    } else if (err.code === "SCRIPT_ABORTED") {
+      Streams.log(chalk.yellow("Process aborted.\n"));
+      return 1;
+    } else if (err.code === "SCRIPT_RECURSION") {
+      _showRecursionError(err);
+      return 1;
+    } else if (err.code !== "SCRIPT_ERROR") throw err;
+
+    Verbose.custom("File was detected to have an error...");
+    Errors.scriptError(err.file, err.line, err.message);
+    return 1;
+  } finally {
+    _showFailures(failures);
+
+    if (pushed) _callStack.pop();
+    Variables.setArgs(beforeArgs);
+    ScriptFunctions.restore(beforeFunctions);
   }
 };
 
@@ -95,24 +734,45 @@ const _interpretFile = async (
  * object - `{}` - instead of a function).
  *
  * @param {Function} intCmds The `intCmds()` function.
- * @param {string} file The path to the BubbleOS file that is going to be executed.
- * @param {...string} args The arguments, of which the available ones are listed above.
+ * @param {string} file The path to the BubbleOS file that is going to be executed. Flags can also be passed before it (e.g. `bub --check test.bub`), in which case the file is the first argument that is not a flag.
+ * @param {...string} args The arguments, of which the available ones are listed above. All other arguments (and any arguments after `--`) are passed into the file.
+ * @returns {Promise<number | undefined>} The status of the last command that was run in the file, or `undefined` if the file could not be run.
  */
 const bub = async (intCmds, file, ...args) => {
   try {
+    Verbose.initArgs();
+    // Flags can be passed before the file (e.g. 'bub --check test.bub')
+    args = typeof file === "undefined" ? args : [file, ...args];
+    const separator = args.indexOf("--");
+    const bubArgs = separator === -1 ? args : args.slice(0, separator);
+
+    const displayCommand = bubArgs.includes("-d");
+    const allowExit = bubArgs.includes("--allow-exit");
+    const strict = bubArgs.includes("--strict");
+    const dryRun = bubArgs.includes("--dry-run");
+    const step = bubArgs.includes("--step");
+    const check = bubArgs.includes("--check");
+
+    // The value of --max-depth is the argument after it
+    const maxDepthIdx = bubArgs.indexOf("--max-depth");
+    const maxDepth = maxDepthIdx === -1 ? undefined : bubArgs[maxDepthIdx + 1];
+
+    // The file is the first argument that is not a flag, and the rest are passed into it
+    const [scriptFile, ...fileArgs] = [
+      ...bubArgs.filter(
+        (arg, idx) => !BUB_FLAGS.includes(arg) && (maxDepthIdx === -1 || idx !== maxDepthIdx + 1)
+      ),
+      ...(separator === -1 ? [] : args.slice(separator + 1)),
+    ];
+
     // Converts path to an absolute path and corrects
-    // casing on Windows, and resolves spaces
-    Verbose.pathAbsolute(file);
-    Verbose.parseQuotes();
-    file = _caseSensitivePath(_convertAbsolute(_parseDoubleQuotes([file, ...args])[0]));
+    // casing on Windows
+    Verbose.pathAbsolute(scriptFile);
+    file = _caseSensitivePath(_convertAbsolute(scriptFile));
 
     Verbose.initChecker();
     const fileChk = new Checks(file);
 
-    Verbose.initArgs();
-    const displayCommand = args?.includes("-d");
-    const allowExit = args?.includes("--allow-exit");
-
     if (fileChk.paramUndefined()) {
       Verbose.chkEmpty();
       Errors.enterParameter("a file", "bub test.bub");
@@ -150,14 +810,47 @@ const bub = async (intCmds, file, ...args) => {
       return;
     }
 
+    if (maxDepthIdx !== -1 && (!/^\d+$/.test(maxDepth ?? "") || Number(maxDepth) === 0)) {
+      Verbose.custom("Detected invalid characters passed into maximum depth...");
+      Errors.invalidCharacters(
+        "maximum depth",
+        "positive whole numbers",
+        "letters/symbols",
+        maxDepth ?? ""
+      );
+      return;
+    }
+
+    if (check) return _checkFile(file, { allowExit });
+
+    if (step && !_canAsk()) {
+      Verbose.custom("The user cannot be asked what to do before each line...");
+      Errors.promptNotAllowed("what to do before each line");
+      return;
+    }
+
     const beforeCwd = process.cwd();
 
     // Interprets each line and uses intCmds() function
     Verbose.custom("Interpreting file...");
-    await _interpretFile(intCmds, file, { displayCommand, allowExit });
+    const status = await _interpretFile(
+      intCmds,
+      file,
+      {
+        displayCommand,
+        allowExit,
+        strict,
+        dryRun,
+        step,
+        maxDepth: maxDepthIdx === -1 ? _defaultMaxDepth() : Number(maxDepth),
+      },
+      fileArgs
+    );
 
     Verbose.custom("Changing current working directory to path before file was executed...");
     process.chdir(_caseSensitivePath(beforeCwd));
+
+    return status;
   } catch (err) {
     if (err.code === "EPERM") {
       Verbose.permError();
@@ -1,12 +1,12 @@
 const chalk = require("chalk");
 const fs = require("fs");
 
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 const _fatalError = require("../functions/fatalError");
 const _caseSensitivePath = require("../functions/caseSensitivePath");
 
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 const InfoMessages = require("../classes/InfoMessages");
 
@@ -21,9 +21,8 @@ const InfoMessages = require("../classes/InfoMessages");
  */
 const cd = (dir, ...args) => {
   try {
-    // Converts path into case-sensitive path for Windows, and resolves spaces
-    Verbose.parseQuotes();
-    dir = _caseSensitivePath(_parseDoubleQuotes([dir, ...args])[0]);
+    // Converts path into case-sensitive path for Windows
+    dir = _caseSensitivePath(dir);
 
     Verbose.initChecker();
     const dirChk = new Checks(dir);
@@ -71,7 +70,7 @@ const cd = (dir, ...args) => {
 
       if (!silent)
         InfoMessages.success(`Successfully changed the directory to ${chalk.bold(symlinkPath)}.`);
-      else console.log();
+      else Streams.log();
     } else if (dirChk.validateType()) {
       // If not a symlink, change directory normally
       Verbose.custom(
@@ -83,7 +82,7 @@ const cd = (dir, ...args) => {
 
       if (!silent)
         InfoMessages.success(`Successfully changed the directory to ${chalk.bold(dir)}.`);
-      else console.log();
+      else Streams.log();
     } else {
       Verbose.chkType(dir, "directory");
       Errors.expectedDir(dir);
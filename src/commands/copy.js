@@ -2,7 +2,6 @@ const chalk = require("chalk");
 const fs = require("fs");
 
 const _convertAbsolute = require("../functions/convAbs");
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 const _promptForYN = require("../functions/promptForYN");
 const _fatalError = require("../functions/fatalError");
 const _getSize = require("../functions/getSize");
@@ -10,6 +9,7 @@ const _caseSensitivePath = require("../functions/caseSensitivePath");
 
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 const InfoMessages = require("../classes/InfoMessages");
 
@@ -55,13 +55,10 @@ const SIZE_TO_SHOW_DIALOG = 262_144_000;
  */
 const copy = (src, dest, ...args) => {
   try {
-    // Replace spaces and then convert the path to an absolute one to both the source and destination paths
-    Verbose.parseQuotes();
+    // Convert the path to an absolute one to both the source and destination paths
     Verbose.pathAbsolute(src);
     Verbose.pathAbsolute(dest);
-    [src, dest] = _parseDoubleQuotes([src, dest, ...args])
-      .map(_convertAbsolute)
-      .map(_caseSensitivePath);
+    [src, dest] = [src, dest].map(_convertAbsolute).map(_caseSensitivePath);
 
     Verbose.initChecker();
     const srcChk = new Checks(src);
@@ -101,11 +98,11 @@ const copy = (src, dest, ...args) => {
         )
       ) {
         Verbose.declinePrompt();
-        console.log(chalk.yellow("Process aborted.\n"));
+        Streams.log(chalk.yellow("Process aborted.\n"));
         return;
       }
 
-      console.log();
+      Streams.log();
     }
 
     if (srcChk.validateType()) {
@@ -116,7 +113,7 @@ const copy = (src, dest, ...args) => {
       // If size of directory is over 250MB, show "may take a while" message
       Verbose.custom("Getting size of directory...");
       if (!silent && _getSize(src, "directory") >= SIZE_TO_SHOW_DIALOG)
-        console.log(chalk.italic.blueBright("Please wait; this may take a while..."));
+        Streams.log(chalk.italic.blueBright("Please wait; this may take a while..."));
 
       // TODO if needed, see if there are more options
       Verbose.custom("Copying directory...");
@@ -129,7 +126,7 @@ const copy = (src, dest, ...args) => {
       // If size of directory is over 250MB, show "may take a while" message
       Verbose.custom("Getting size of file...");
       if (!silent && _getSize(src, "file") >= SIZE_TO_SHOW_DIALOG)
-        console.log(chalk.italic.blueBright("Please wait; this may take a while..."));
+        Streams.log(chalk.italic.blueBright("Please wait; this may take a while..."));
 
       Verbose.custom("Copying file...");
       fs.copyFileSync(src, dest);
@@ -137,7 +134,7 @@ const copy = (src, dest, ...args) => {
 
     if (!silent)
       InfoMessages.success(`Successfully copied to ${chalk.bold(src)} to ${chalk.bold(dest)}.`);
-    else console.log();
+    else Streams.log();
   } catch (err) {
     if (err.code === "EPERM") {
       Verbose.permError();
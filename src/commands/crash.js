@@ -7,8 +7,11 @@ const { GLOBAL_NAME } = require("../variables/constants");
 
 const _promptForYN = require("../functions/promptForYN");
 const _fatalError = require("../functions/fatalError");
+const { _canAsk } = require("../functions/promptPolicy");
 
+const Errors = require("../classes/Errors");
 const InfoMessages = require("../classes/InfoMessages");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -39,32 +42,64 @@ const AVAILABLE_CRASHES = [
  * as it can leak about 4-8GB of memory.
  * - _Blue Screen of Death_: Causes a BSOD on Windows. This is a very dangerous command.
  *
- * @param {number | string} index Optional. Uses this as the index for the crashing method. Defaults to `NaN`.
- * @param {...string} args Arguments to change the behavior of the `crash` command. Unused right now.
+ * If the method cannot be asked for (see `_canAsk()`), the `index` must be passed.
+ *
+ * Available arguments:
+ * - `-y`: Automatically accept the confirmation prompts before crashing.
+ *
+ * @param {number | string} index Optional. Uses this as the index for the crashing method, starting from `1`. Defaults to asking the user.
+ * @param {...string} args Arguments to change the behavior of the `crash` command. Available arguments are listed above.
  */
-const crash = async (...args) => {
+const crash = async (index, ...args) => {
   try {
+    Verbose.initArgs();
+    const confirm = !args?.includes("-y") && index !== "-y";
+    if (index === "-y") index = undefined;
+
     InfoMessages.warning(
       "Using this command can cause issues such as loss of data, high CPU/RAM usage, and more. Save all data before continuing."
     );
 
-    const index = keyInSelect(AVAILABLE_CRASHES, "Please select your crashing method");
+    Verbose.custom("Checking the index of the crashing method...");
+    if (typeof index !== "undefined") {
+      const passedIndex = Number(index) - 1;
+      if (
+        Number.isInteger(passedIndex) &&
+        passedIndex >= 0 &&
+        passedIndex < AVAILABLE_CRASHES.length
+      ) {
+        index = passedIndex;
+      } else {
+        InfoMessages.warning(`The crashing method at index ${index} does not exist.`);
+        index = undefined;
+      }
+    }
+
+    if (typeof index === "undefined") {
+      if (!_canAsk()) {
+        Errors.promptNotAllowed("the crashing method");
+        return;
+      }
+
+      index = keyInSelect(AVAILABLE_CRASHES, "Please select your crashing method");
+    }
 
     if (index === -1 || index === NaN) {
       // If the user 'cancelled' on the prompt
       Verbose.custom(`Index is either -1 or NaN (${index}), exiting...`);
-      console.log(chalk.yellow("Process aborted.\n"));
+      Streams.log(chalk.yellow("Process aborted.\n"));
       return;
     } else if (index > AVAILABLE_CRASHES.length - 1 || index < 0) {
       // If the index is greater than the length of the crash array, or is less than 0
       // This should never happen :)
       Verbose.custom("Index is unknown, exiting...");
-      console.log(chalk.yellow(`Unknown crash method at index ${index + 1}.\n`));
+      Streams.log(chalk.yellow(`Unknown crash method at index ${index + 1}.\n`));
       return;
     }
 
     Verbose.promptUser();
     if (
+      confirm &&
       !_promptForYN(
         `You have chosen ${chalk.italic(
           `'${AVAILABLE_CRASHES[index]}'`
@@ -72,11 +107,11 @@ const crash = async (...args) => {
       )
     ) {
       Verbose.declinePrompt();
-      console.log(chalk.yellow("Process aborted.\n"));
+      Streams.log(chalk.yellow("Process aborted.\n"));
       return;
     }
 
-    console.log();
+    Streams.log();
 
     if (index === 0) {
       // Fatal error
@@ -126,12 +161,13 @@ const crash = async (...args) => {
       // Prompt the user to make sure they want to crash their computer
       Verbose.promptUser();
       if (
+        confirm &&
         !_promptForYN(
           `This will crash your computer with a Blue Screen of Death, and cause all unsaved work to be lost. Are you sure you want to continue?`
         )
       ) {
         Verbose.declinePrompt();
-        console.log(chalk.yellow("Process aborted.\n"));
+        Streams.log(chalk.yellow("Process aborted.\n"));
         return;
       }
 
@@ -2,6 +2,8 @@ const chalk = require("chalk");
 
 const _fatalError = require("../functions/fatalError");
 
+const OutputFormat = require("../classes/OutputFormat");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -26,42 +28,77 @@ const MONTHS = [
   "December",
 ];
 
+/**
+ * Get the current date from the local system.
+ *
+ * These fields are also the output of `date --json`, so they should not be changed:
+ * - `year`: The year (e.g. `2024`).
+ * - `month`: The month, from `1` to `12`.
+ * - `day`: The day of the month, from `1` to `31`.
+ * - `dayName`: The name of the day of the week (e.g. `"Monday"`).
+ * - `monthName`: The name of the month (e.g. `"January"`).
+ * - `iso`: The date in the format `YYYY-MM-DD`.
+ *
+ * @returns {{ year: number, month: number, day: number, dayName: string, monthName: string, iso: string }} The current date.
+ */
+const _getDate = () => {
+  const date = new Date();
+
+  return {
+    year: date.getFullYear(),
+    month: date.getMonth() + 1,
+    day: date.getDate(),
+    dayName: DAYS[date.getDay()],
+    monthName: MONTHS[date.getMonth()],
+    iso: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(
+      date.getDate()
+    ).padStart(2, "0")}`,
+  };
+};
+
 /**
  * Show the current date from the local system to
  * display in BubbleOS using the `date` command.
  *
  * This command will output to the _stdout_ the
  * 'friendly' date, as well as the 'slash' date.
+ *
+ * Available arguments:
+ * - `--json`: Show the date as JSON (see `_getDate()`).
+ *
+ * @param {...string} args Arguments to modify the behavior of `date`.
  */
 const date = (...args) => {
   try {
     Verbose.custom("Getting current date...");
-    const date = new Date();
+    const date = _getDate();
+
+    if (OutputFormat.isJson(args)) {
+      Verbose.custom("Showing the date as JSON...");
+      OutputFormat.json(date);
+      return;
+    }
 
     // The friendly date, that will have either a _-st_, _-nd_, _-rd_, or _-th_ suffix.
     Verbose.custom("Creating user-friendly date...");
     const friendlyDate =
-      date.getDate() === 1 || date.getDate() === 21 || date.getDate() === 31
-        ? `${date.getDate()}st`
-        : date.getDate() === 2 || date.getDate() === 22
-        ? `${date.getDate()}nd`
-        : date.getDate() === 3 || date.getDate() === 23
-        ? `${date.getDate()}rd`
-        : `${date.getDate()}th`;
+      date.day === 1 || date.day === 21 || date.day === 31
+        ? `${date.day}st`
+        : date.day === 2 || date.day === 22
+        ? `${date.day}nd`
+        : date.day === 3 || date.day === 23
+        ? `${date.day}rd`
+        : `${date.day}th`;
 
     // Friendly format
     Verbose.custom("Printing user-friendly date...");
-    console.log(
-      `${DAYS[date.getDay()]}, the ${friendlyDate} of ${
-        MONTHS[date.getMonth()]
-      }, ${date.getFullYear()}`
-    );
+    Streams.log(`${date.dayName}, the ${friendlyDate} of ${date.monthName}, ${date.year}`);
 
     // Slash format
     Verbose.custom("Printing slash-format date...");
-    console.log(chalk.italic(`(${date.getDate()}/${date.getMonth() + 1}/${date.getFullYear()})`));
+    Streams.log(chalk.italic(`(${date.day}/${date.month}/${date.year})`));
 
-    console.log();
+    Streams.log();
   } catch (err) {
     Verbose.fatalError();
     _fatalError(err);
@@ -1,7 +1,6 @@
 const chalk = require("chalk");
 const fs = require("fs");
 
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 const _convertAbsolute = require("../functions/convAbs");
 const _promptForYN = require("../functions/promptForYN");
 const _fatalError = require("../functions/fatalError");
@@ -10,8 +9,35 @@ const _caseSensitivePath = require("../functions/caseSensitivePath");
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
 const InfoMessages = require("../classes/InfoMessages");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
+/**
+ * Delete a single file/directory that has already been checked,
+ * showing an error if it could not be deleted.
+ *
+ * @param {string} path The absolute path to the file/directory to delete.
+ * @param {boolean} silent If the success message should not be shown.
+ */
+const _deletePath = (path, silent) => {
+  try {
+    Verbose.custom(`Deleting file/directory '${path}'...`);
+    fs.rmSync(path, { recursive: true, force: true });
+
+    if (!silent) InfoMessages.success(`Successfully deleted ${chalk.bold(path)}.`);
+  } catch (err) {
+    if (err.code === "EPERM") {
+      Verbose.permError();
+      Errors.noPermissions("delete the file/directory", path);
+    } else if (err.code === "EBUSY") {
+      Verbose.inUseError();
+      Errors.inUse("file/directory", path);
+    } else {
+      throw err;
+    }
+  }
+};
+
 /**
  * Delete a file/directory from BubbleOS. This is a CLI function.
  * Synchronously deletes a file/directory using the `fs.rmSync()`
@@ -24,73 +50,84 @@ const Verbose = require("../classes/Verbose");
  * you do not need to use a separate command to delete an empty
  * directory).
  *
+ * Multiple paths can be passed (e.g. using a glob pattern like `*.log`),
+ * in which case they are all confirmed with a single prompt. If a path does
+ * not exist, an error is shown for it, and the other paths are still deleted.
+ *
  * Available arguments:
- * - `-s`: Silently delete the path that the user requested. This
- * means that the success message will not be shown, but error
+ * - `-s`: Silently delete the paths that the user requested. This
+ * means that the success messages will not be shown, but error
  * messages will still be outputted.
  * - `-y`: Automatically accepts the confirmation prompt
  * before deleting a file.
  *
- * @param {string} path The relative or absolute path to the file/directory to delete.
- * @param {...string} args The arguments to modify the behavior of the `del` command. See all available arguments above.
+ * @param {...string} args The relative or absolute paths to the files/directories to delete, and the arguments to modify the behavior of the `del` command. See all available arguments above.
  */
-const del = (path, ...args) => {
+const del = (...args) => {
   try {
-    // Converts path to an absolute path and corrects
-    // casing on Windows, and resolves spaces
-    Verbose.pathAbsolute();
-    Verbose.parseQuotes();
-    path = _caseSensitivePath(_convertAbsolute(_parseDoubleQuotes([path, ...args])[0]));
-
-    Verbose.initChecker();
-    const pathChk = new Checks(path);
-
     Verbose.initArgs();
     const silent = args?.includes("-s");
     const confirmDel = !args?.includes("-y");
 
-    if (pathChk.paramUndefined()) {
+    // Converts paths to absolute paths and corrects
+    // casing on Windows
+    Verbose.pathAbsolute();
+    const paths = args
+      .filter((arg) => !arg.startsWith("-"))
+      .map((path) => _caseSensitivePath(_convertAbsolute(path)));
+
+    Verbose.initChecker();
+    if (new Checks(paths[0]).paramUndefined()) {
       Verbose.chkEmpty();
       Errors.enterParameter("a file/directory", "del test");
       return;
     }
 
-    if (!pathChk.doesExist()) {
-      Verbose.chkExists();
-      Errors.doesNotExist("file/directory", path);
-      return;
-    } else if (pathChk.pathUNC()) {
-      Errors.invalidUNCPath();
-      return;
-    }
+    // Only keep the paths that can be deleted
+    const toDelete = paths.filter((path) => {
+      const pathChk = new Checks(path);
 
-    // Confirms user wants to delete path
+      if (!pathChk.doesExist()) {
+        Verbose.chkExists();
+        Errors.doesNotExist("file/directory", path);
+        return false;
+      } else if (pathChk.pathUNC()) {
+        Errors.invalidUNCPath();
+        return false;
+      }
+
+      return true;
+    });
+
+    if (toDelete.length === 0) return;
+
+    // Confirms user wants to delete the paths
     if (confirmDel) {
       Verbose.promptUser();
-      if (!_promptForYN(`Are you sure you want to permanently delete ${chalk.bold(path)}?`)) {
+      let question = `Are you sure you want to permanently delete ${chalk.bold(toDelete[0])}?`;
+      if (toDelete.length > 1) {
+        Streams.log(toDelete.map((path) => `  ${chalk.bold(path)}`).join("\n") + "\n");
+        question = `Are you sure you want to permanently delete these ${chalk.bold(
+          toDelete.length
+        )} files/directories?`;
+      }
+
+      if (!_promptForYN(question)) {
         Verbose.declinePrompt();
-        console.log(chalk.yellow("Process aborted.\n"));
+        Streams.log(chalk.yellow("Process aborted.\n"));
         return;
       }
     }
 
-    // Deletes the file/directory
-    Verbose.custom(`Deleting file/directory '${path}'...`);
-    fs.rmSync(path, { recursive: true, force: true });
+    // Deletes the files/directories
+    for (const path of toDelete) {
+      _deletePath(path, silent);
+    }
 
-    if (!silent) InfoMessages.success(`Successfully deleted ${chalk.bold(path)}.`);
-    else console.log();
+    if (silent) Streams.log();
   } catch (err) {
-    if (err.code === "EPERM") {
-      Verbose.permError();
-      Errors.noPermissions("delete the file/directory", path);
-    } else if (err.code === "EBUSY") {
-      Verbose.inUseError();
-      Errors.inUse("file/directory", path);
-    } else {
-      Verbose.fatalError();
-      _fatalError(err);
-    }
+    Verbose.fatalError();
+    _fatalError(err);
   }
 };
 
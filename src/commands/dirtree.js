@@ -2,77 +2,420 @@ const fs = require("fs");
 const path = require("path");
 const chalk = require("chalk");
 
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 const _convertAbsolute = require("../functions/convAbs");
+const _convertSize = require("../functions/convSize");
 const _caseSensitivePath = require("../functions/caseSensitivePath");
 const _fatalError = require("../functions/fatalError");
+const { _matchGlob } = require("../functions/expandGlob");
 
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
+const OutputFormat = require("../classes/OutputFormat");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
- * Internal helper function to generate the tree for `dirtree`.
+ * The flags that are followed by a value (e.g. `--depth 2`).
+ */
+const VALUE_FLAGS = ["--depth", "--ignore", "--format"];
+
+/**
+ * The formats that the tree can be shown in with `--format`:
+ * - `text`: The tree, like the Windows `tree` command.
+ * - `json`: The root node from `_generateTree()` as JSON, with the nodes in it nested in `children`.
+ * - `markdown`: A nested list, which can be pasted into documents.
+ * - `html`: A standalone page, where each directory can be collapsed.
+ */
+const TREE_FORMATS = ["text", "json", "markdown", "html"];
+
+/**
+ * Convert a pattern from `--ignore` or a `.gitignore` file into a rule for `_isIgnored()`.
  *
- * @param {string} currentDir Directory to begin the tree in.
- * @param {string} prefix It is prefered to leave this to the default value.
+ * Like in `.gitignore` files, a pattern that starts with `!` un-ignores what it matches, a
+ * pattern that ends with `/` only matches directories, and a pattern with a `/` at the start
+ * or in the middle is relative to the directory it is from. Other patterns match names at any level.
+ *
+ * @param {string} base The directory that the pattern is from.
+ * @param {string} pattern The glob pattern.
+ * @returns {{ base: string, pattern: string, negate: boolean, dirsOnly: boolean, anchored: boolean }} The rule.
  */
-const _generateTree = (currentDir, prefix = "") => {
-  let items;
+const _toRule = (base, pattern) => {
+  const negate = pattern.startsWith("!");
+  if (negate) pattern = pattern.slice(1);
+
+  const dirsOnly = pattern.endsWith("/");
+  if (dirsOnly) pattern = pattern.slice(0, -1);
+
+  const anchored = pattern.includes("/");
+  if (pattern.startsWith("/")) pattern = pattern.slice(1);
+
+  return { base, pattern, negate, dirsOnly, anchored };
+};
 
+/**
+ * Read the rules in the `.gitignore` file of a directory, if it has one.
+ *
+ * @param {string} dir The directory to read the `.gitignore` file in.
+ * @returns {object[]} The rules (see `_toRule()`), which is empty if there is no `.gitignore` file.
+ */
+const _readGitignore = (dir) => {
+  let contents;
   try {
-    // Attempt to read the directory contents
-    Verbose.custom(`Reading directory contents of '${currentDir}'...`);
-    items = fs.readdirSync(currentDir);
-  } catch (err) {
-    // On error, skip this directory
-    Verbose.custom("Encountered an error while reading directory; skipping...");
-    console.log(chalk.red(`${prefix}└── [ERROR] Unable to access: ${currentDir}`));
-    return;
+    contents = fs.readFileSync(path.join(dir, ".gitignore"), { encoding: "utf-8", flag: "r" });
+  } catch {
+    return [];
   }
 
-  items.forEach((item, index) => {
+  // Empty lines and comments are skipped
+  return contents
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line !== "" && !line.startsWith("#"))
+    .map((line) => _toRule(dir, line));
+};
+
+/**
+ * Check if a file/directory is ignored. The last rule that matches it decides.
+ *
+ * @param {string} itemPath The path of the file/directory.
+ * @param {boolean} isDirectory If it is a directory.
+ * @param {object[]} rules The rules to check, from `_toRule()`.
+ * @returns {boolean} If the file/directory is ignored.
+ */
+const _isIgnored = (itemPath, isDirectory, rules) => {
+  let ignored = false;
+
+  for (const rule of rules) {
+    if (rule.dirsOnly && !isDirectory) continue;
+
+    const target = rule.anchored ? path.relative(rule.base, itemPath) : path.basename(itemPath);
+    if (_matchGlob(rule.pattern, target)) ignored = !rule.negate;
+  }
+
+  return ignored;
+};
+
+/**
+ * Internal helper function to read the tree for `dirtree`, without showing it.
+ *
+ * Each node has its `name`, `type` (`"folder"` or `"file"`) and `size` in bytes. Folders
+ * have their nodes in `children`, unless they are deeper than `--depth`. The size of a folder
+ * is the size of everything in it that is not ignored, or `null` if it was not read because of
+ * `--depth` (unless `--sizes` was passed). Nodes that could not be read have `error: true`,
+ * and are not counted in the size of their folder.
+ *
+ * Symbolic links to directories are followed, unless they point to a directory that they are
+ * already in. These nodes have `cycle: true`, and are not read, as they would loop forever.
+ *
+ * @param {string} currentDir Directory to begin the tree in.
+ * @param {{ depth: number, sizes: boolean, dirsOnly: boolean, gitignore: boolean }} options Options to change which files and directories are read.
+ * @param {number} level The level of the nodes in the tree, starting from `1`.
+ * @param {string[]} ancestors The real paths of the directories that `currentDir` is in, including itself.
+ * @param {object[]} rules The rules of files and directories to ignore (see `_toRule()`).
+ * @returns {{ children: object[], size: number | null }} The nodes in the directory, and its size.
+ */
+const _generateTree = (currentDir, options, level, ancestors, rules) => {
+  if (options.gitignore) rules = [...rules, ..._readGitignore(currentDir)];
+
+  // Throws if the directory cannot be read, which the caller shows as an error
+  Verbose.custom(`Reading directory contents of '${currentDir}'...`);
+  const items = fs.readdirSync(currentDir);
+
+  const children = [];
+  let size = 0;
+
+  for (const item of items) {
     const itemPath = path.join(currentDir, item);
-    const isLastItem = index === items.length - 1;
 
+    let stats;
     try {
       Verbose.custom(`Checking if '${itemPath}' is a directory...`);
-      const isDirectory = fs.statSync(itemPath).isDirectory();
+      stats = fs.statSync(itemPath);
+    } catch {
+      // Handle inaccessible files or directories, such as broken symbolic links
+      Verbose.custom(`Encountered an error while trying to read ${itemPath}.`);
+      children.push({ name: item, type: "file", size: null, error: true });
+      continue;
+    }
 
-      // Print the item with the tree-like structure
-      Verbose.custom("Printing item...");
-      console.log(`${prefix}${isLastItem ? "└── " : "├── "}${item}`);
+    const isDirectory = stats.isDirectory();
+    if (_isIgnored(itemPath, isDirectory, rules)) {
+      Verbose.custom(`Ignoring '${itemPath}'...`);
+      continue;
+    }
+
+    const node = { name: item, type: isDirectory ? "folder" : "file", size: stats.size };
 
-      if (isDirectory) {
-        // Update the prefix for the next level
-        Verbose.custom("Path is directory, recalling tree generation...");
-        const newPrefix = prefix + (isLastItem ? "    " : "│   ");
-        _generateTree(itemPath, newPrefix);
+    if (isDirectory) {
+      const realPath = fs.realpathSync(itemPath);
+
+      if (ancestors.includes(realPath)) {
+        Verbose.custom(`'${itemPath}' links to a directory it is in, so it will not be read...`);
+        node.size = 0;
+        node.cycle = true;
+      } else if (level < options.depth || options.sizes) {
+        Verbose.custom("Path is directory, reading tree...");
+        try {
+          const tree = _generateTree(itemPath, options, level + 1, [...ancestors, realPath], rules);
+          node.size = tree.size;
+          if (level < options.depth) node.children = tree.children;
+        } catch {
+          Verbose.custom("Encountered an error while reading directory; skipping...");
+          node.size = null;
+          node.error = true;
+        }
+      } else {
+        node.size = null;
       }
-    } catch (err) {
-      // Handle inaccessible files or directories
-      Verbose.custom(`Encountered an error while trying to read ${itemPath}.`);
-      console.log(
-        chalk.red(`${prefix}${isLastItem ? "└──" : "├──"} [ERROR] Unable to access: ${item}`)
-      );
     }
+
+    if (!node.error) size = size === null || node.size === null ? null : size + node.size;
+    if (isDirectory || !options.dirsOnly) children.push(node);
+  }
+
+  return { children, size };
+};
+
+/**
+ * Format a size in bytes in the largest unit that it fits in (e.g. `1.5 MB`).
+ *
+ * @param {number} bytes The size in bytes.
+ * @returns {string} The formatted size.
+ */
+const _formatSize = (bytes) => {
+  const sizes = _convertSize(bytes, 1);
+  if (sizes.gigabytes >= 1) return `${sizes.gigabytes} GB`;
+  else if (sizes.megabytes >= 1) return `${sizes.megabytes} MB`;
+  else if (sizes.kilobytes >= 1) return `${sizes.kilobytes} KB`;
+  else return `${bytes} B`;
+};
+
+/**
+ * Convert the nodes from `_generateTree()` into the lines of the tree.
+ *
+ * @param {object[]} nodes The nodes to show.
+ * @param {boolean} sizes If the size of each node is shown.
+ * @param {string} prefix It is prefered to leave this to the default value.
+ * @returns {string[]} The lines of the tree.
+ */
+const _renderTree = (nodes, sizes, prefix = "") => {
+  return nodes.flatMap((node, index) => {
+    const isLastItem = index === nodes.length - 1;
+    const branch = `${prefix}${isLastItem ? "└── " : "├── "}`;
+
+    if (node.error) return [chalk.red(`${branch}[ERROR] Unable to access: ${node.name}`)];
+
+    let line = `${branch}${node.name}`;
+    if (node.cycle) line += chalk.yellow(" (symbolic link loop, not followed)");
+    else if (sizes && node.size !== null) line += chalk.dim(` (${_formatSize(node.size)})`);
+
+    // Update the prefix for the next level
+    const newPrefix = prefix + (isLastItem ? "    " : "│   ");
+    return [line, ..._renderTree(node.children ?? [], sizes, newPrefix)];
   });
 };
 
+/**
+ * Put text in a Markdown code span. The span is fenced by more backticks than are next to each
+ * other in the text, so that backticks in the text do not end it early.
+ *
+ * @param {string} text The text to put in the code span.
+ * @returns {string} The code span.
+ */
+const _codeSpan = (text) => {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) ?? []).map((run) => run.length));
+  const fence = "`".repeat(longestRun + 1);
+
+  // A space is needed between the fence and a backtick at the start or end of the text
+  const padding = text.startsWith("`") || text.endsWith("`") ? " " : "";
+  return `${fence}${padding}${text}${padding}${fence}`;
+};
+
+/**
+ * Convert the nodes from `_generateTree()` into a nested Markdown list. The names are in code
+ * spans (see `_codeSpan()`), so that characters such as `_` are not formatted, and directories
+ * end with a `/`.
+ *
+ * @param {object[]} nodes The nodes to show.
+ * @param {boolean} sizes If the size of each node is shown.
+ * @param {string} indent It is prefered to leave this to the default value.
+ * @returns {string[]} The lines of the list.
+ */
+const _renderMarkdown = (nodes, sizes, indent = "") => {
+  return nodes.flatMap((node) => {
+    let line = `${indent}- ${_codeSpan(`${node.name}${node.type === "folder" ? "/" : ""}`)}`;
+    if (node.error) line += " (unable to access)";
+    else if (node.cycle) line += " (symbolic link loop, not followed)";
+    else if (sizes && node.size !== null) line += ` (${_formatSize(node.size)})`;
+
+    return [line, ..._renderMarkdown(node.children ?? [], sizes, `${indent}  `)];
+  });
+};
+
+/**
+ * Escape the characters that have a meaning in HTML.
+ *
+ * @param {string} text The text to escape.
+ * @returns {string} The escaped text.
+ */
+const _escapeHtml = (text) => {
+  const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+  return text.replace(/[&<>"']/g, (char) => entities[char]);
+};
+
+/**
+ * Convert a node from `_generateTree()` into an HTML list item. Directories with nodes in them
+ * are in a `<details>` element, so that they can be collapsed.
+ *
+ * @param {object} node The node to show.
+ * @param {boolean} sizes If the size of each node is shown.
+ * @returns {string} The list item.
+ */
+const _renderHtmlNode = (node, sizes) => {
+  let label = `<span class="${node.type}">${_escapeHtml(node.name)}</span>`;
+  if (node.error) label += ' <span class="note error">(unable to access)</span>';
+  else if (node.cycle) label += ' <span class="note">(symbolic link loop, not followed)</span>';
+  else if (sizes && node.size !== null)
+    label += ` <span class="note">(${_formatSize(node.size)})</span>`;
+
+  if ((node.children ?? []).length === 0) return `<li>${label}</li>`;
+
+  const children = node.children.map((child) => _renderHtmlNode(child, sizes)).join("\n");
+  return `<li><details open><summary>${label}</summary>\n<ul>\n${children}\n</ul></details></li>`;
+};
+
+/**
+ * Convert the tree into a standalone HTML page, which does not need any other files.
+ *
+ * @param {object} root The node of the directory that the tree starts in.
+ * @param {boolean} sizes If the size of each node is shown.
+ * @param {string} summary The number of directories and files in the tree.
+ * @returns {string} The HTML page.
+ */
+const _renderHtml = (root, sizes, summary) => {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${_escapeHtml(root.name)}</title>
+<style>
+body { font-family: monospace; }
+ul { list-style: none; padding-left: 1.5em; }
+summary { cursor: pointer; }
+.folder { font-weight: bold; }
+.note { color: grey; }
+.error { color: red; }
+</style>
+</head>
+<body>
+<ul>
+${_renderHtmlNode(root, sizes)}
+</ul>
+<p class="note">${_escapeHtml(summary)}</p>
+</body>
+</html>`;
+};
+
+/**
+ * Count the files and directories in the nodes from `_generateTree()`, including nested ones.
+ * Nodes that could not be read are not counted.
+ *
+ * @param {object[]} nodes The nodes to count.
+ * @returns {{ directories: number, files: number }} The number of directories and files.
+ */
+const _countNodes = (nodes) => {
+  return nodes.reduce(
+    (count, node) => {
+      if (node.error) return count;
+
+      const nested = _countNodes(node.children ?? []);
+      return {
+        directories: count.directories + nested.directories + (node.type === "folder" ? 1 : 0),
+        files: count.files + nested.files + (node.type === "file" ? 1 : 0),
+      };
+    },
+    { directories: 0, files: 0 }
+  );
+};
+
 /**
  * Generate a directory tree, showing a visual representation of the directories
- * and files inside of a directory, as well as nested ones.
+ * and files inside of a directory, as well as nested ones. Once the tree has
+ * been shown, the number of directories and files in it are shown.
  *
  * The command is visually identical to the Windows `tree` command.
  *
+ * Available arguments:
+ * - `--depth <number>`: Only show this many levels of the tree (e.g. `1` only
+ * shows the contents of the directory).
+ * - `--ignore <pattern>`: Do not show files and directories that match a glob
+ * pattern (e.g. `node_modules`). This can be passed more than once.
+ * - `--gitignore`: Do not show files and directories that are ignored by the
+ * `.gitignore` files in the tree, or the `.git` directory.
+ * - `--dirs-only`: Only show directories.
+ * - `--sizes`: Show the size of each file and directory. Directories that are
+ * deeper than `--depth` are still read to find their size.
+ * - `--format <format>`: Show the tree in one of `TREE_FORMATS`, such as a
+ * Markdown list or an HTML page. If the output format of the session is `json`
+ * (or `--json` was passed), the tree is shown as JSON by default.
+ *
  * @param {string} dir The directory to start the tree in.
  * @param {...string} args Arguments to change the behavior of `dirtree`.
  */
 const dirtree = (dir = process.cwd(), ...args) => {
   try {
-    // Converts path into case-sensitive path for Windows, and resolves spaces
-    Verbose.parseQuotes();
-    dir = _caseSensitivePath(_parseDoubleQuotes([dir, ...args])[0]);
+    Verbose.initArgs();
+    // Flags can be passed before the directory, or without one (e.g. 'dirtree --depth 2')
+    args = [dir, ...args];
+    dir =
+      args.find((arg, idx) => !arg.startsWith("-") && !VALUE_FLAGS.includes(args[idx - 1])) ??
+      process.cwd();
+
+    // Get the values after each time a flag was passed, which are 'null' if it has no value
+    const valuesOf = (flag) =>
+      args
+        .map((arg, idx) => (arg !== flag ? undefined : args[idx + 1] ?? null))
+        .filter((value) => typeof value !== "undefined")
+        .map((value) => (value?.startsWith("--") ? null : value));
+    const depth = valuesOf("--depth")[0];
+    const ignore = valuesOf("--ignore");
+    // The output format of the session is only used if '--format' was not passed
+    let format = valuesOf("--format")[0];
+    if (typeof format === "undefined") format = OutputFormat.isJson(args) ? "json" : "text";
+
+    const options = {
+      depth: typeof depth === "string" ? Number(depth) : Infinity,
+      sizes: args.includes("--sizes"),
+      dirsOnly: args.includes("--dirs-only"),
+      gitignore: args.includes("--gitignore"),
+    };
+
+    if (depth === null) {
+      Errors.enterParameter("the number of levels to show", "dirtree --depth 2");
+      return;
+    } else if (typeof depth === "string" && !/^[1-9]\d*$/.test(depth)) {
+      Verbose.custom("Detected invalid characters passed into the depth...");
+      Errors.invalidCharacters("depth", "positive whole numbers", "letters/symbols", depth);
+      return;
+    } else if (ignore.includes(null)) {
+      Errors.enterParameter("a pattern to ignore", "dirtree --ignore node_modules");
+      return;
+    } else if (format === null) {
+      Errors.enterParameter("the format of the tree", "dirtree --format markdown");
+      return;
+    } else if (!TREE_FORMATS.includes(format.toLowerCase())) {
+      Verbose.custom("The format of the tree was detected to not exist.");
+      Errors.invalidCharacters(
+        "tree format",
+        "'text', 'json', 'markdown' or 'html'",
+        "anything else",
+        format
+      );
+      return;
+    }
+
+    // Converts path into case-sensitive path for Windows
+    dir = _caseSensitivePath(dir);
 
     Verbose.initChecker();
     const dirChk = new Checks(dir);
@@ -90,11 +433,62 @@ const dirtree = (dir = process.cwd(), ...args) => {
       return;
     }
 
-    // Start the tree generation
+    const rules = ignore.map((pattern) => _toRule(dir, pattern));
+    // Git never looks inside of the '.git' directory
+    if (options.gitignore) rules.unshift(_toRule(dir, ".git/"));
+
+    let tree;
+    try {
+      Verbose.custom("Starting tree generation...");
+      tree = _generateTree(dir, options, 1, [fs.realpathSync(dir)], rules);
+    } catch {
+      // On error, show the directory as inaccessible
+      Verbose.custom("Encountered an error while reading directory; skipping...");
+      Streams.log(chalk.bold(_convertAbsolute(dir)));
+      Streams.log(chalk.red(`└── [ERROR] Unable to access: ${dir}`));
+      return;
+    }
+
+    // Trees are often shared, so the root only has the name of the directory, not where it is
+    // (which is only in 'path', to show in the text format or use from JSON)
+    const rootPath = _convertAbsolute(dir);
+    const root = {
+      name: path.basename(rootPath) || rootPath,
+      path: rootPath,
+      type: "folder",
+      size: tree.size,
+      children: tree.children,
+    };
+    const { directories, files } = _countNodes(tree.children);
+    const summary =
+      `${directories} ${directories === 1 ? "directory" : "directories"}` +
+      (options.dirsOnly ? "" : `, ${files} ${files === 1 ? "file" : "files"}`);
+
+    if (format.toLowerCase() === "json") {
+      Verbose.custom("Showing tree as JSON...");
+      OutputFormat.json(root);
+      return;
+    } else if (format.toLowerCase() === "markdown") {
+      Verbose.custom("Showing tree as Markdown...");
+      Streams.log(_renderMarkdown([root], options.sizes).join("\n"));
+      return;
+    } else if (format.toLowerCase() === "html") {
+      Verbose.custom("Showing tree as HTML...");
+      Streams.log(_renderHtml(root, options.sizes, summary));
+      return;
+    }
+
     Verbose.custom("Logging current directory...");
-    console.log(chalk.bold(_convertAbsolute(dir)));
-    Verbose.custom("Starting tree generation...");
-    _generateTree(dir);
+    Streams.log(
+      chalk.bold(root.path) +
+        (options.sizes && root.size !== null ? chalk.dim(` (${_formatSize(root.size)})`) : "")
+    );
+
+    Verbose.custom("Logging tree...");
+    const lines = _renderTree(root.children, options.sizes);
+    if (lines.length !== 0) Streams.log(lines.join("\n"));
+
+    Streams.log(chalk.dim(`\n${summary}\n`));
   } catch (err) {
     Verbose.fatalError();
     _fatalError(err);
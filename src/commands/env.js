@@ -0,0 +1,21 @@
+const _fatalError = require("../functions/fatalError");
+const { _showVariables } = require("./set");
+
+const Variables = require("../classes/Variables");
+const Verbose = require("../classes/Verbose");
+
+/**
+ * The `env` command, used to show all exported variables, which are
+ * the environment variables that are passed into programs started with `exec`.
+ */
+const env = () => {
+  try {
+    Verbose.custom("Showing all exported variables...");
+    _showVariables(Variables.list(true), "No variables have been exported.");
+  } catch (err) {
+    Verbose.fatalError();
+    _fatalError(err);
+  }
+};
+
+module.exports = env;
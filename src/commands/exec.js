@@ -3,7 +3,6 @@ const chalk = require("chalk");
 const fs = require("fs");
 const childProcess = require("child_process");
 
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 const _convertAbsolute = require("../functions/convAbs");
 const _fatalError = require("../functions/fatalError");
 const _caseSensitivePath = require("../functions/caseSensitivePath");
@@ -11,6 +10,8 @@ const _caseSensitivePath = require("../functions/caseSensitivePath");
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
 const InfoMessages = require("../classes/InfoMessages");
+const Streams = require("../classes/Streams");
+const Variables = require("../classes/Variables");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -29,6 +30,8 @@ const Verbose = require("../classes/Verbose");
  * - `--sh`: If this argument is passed, the executable will run
  * inside of a shell.
  *
+ * Variables exported with the `export` command are passed into the executable as environment variables.
+ *
  * @param {string} file The filename to execute. Both absolute and relative paths are accepted.
  * @param {...string} args The arguments to change the behavior of `exec`. Available arguments are listed above.
  * @returns
@@ -36,8 +39,7 @@ const Verbose = require("../classes/Verbose");
 const exec = (file, ...args) => {
   try {
     Verbose.pathAbsolute();
-    Verbose.parseQuotes();
-    file = _caseSensitivePath(_convertAbsolute(_parseDoubleQuotes([file, ...args])[0]));
+    file = _caseSensitivePath(_convertAbsolute(file));
 
     Verbose.initChecker();
     const fileChk = new Checks(file);
@@ -71,10 +73,14 @@ const exec = (file, ...args) => {
     // unless the window is closed. This should be used instead, with an
     // empty callback function.
     Verbose.custom(`Executing the file '${file}'...`);
-    childProcess.exec(file, { cwd: process.cwd(), windowsHide: winHide, shell }, () => {});
+    childProcess.exec(
+      file,
+      { cwd: process.cwd(), env: Variables.environment(), windowsHide: winHide, shell },
+      () => {}
+    );
 
     if (!silent) InfoMessages.success(`Successfully executed ${chalk.bold(file)}.`);
-    else console.log();
+    else Streams.log();
   } catch (err) {
     if (err.code === "UNKNOWN") {
       // This for some reason, never occurs
@@ -2,6 +2,7 @@ const { GLOBAL_NAME } = require("../variables/constants");
 
 const _fatalError = require("../functions/fatalError");
 
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -26,7 +27,7 @@ const Verbose = require("../classes/Verbose");
  */
 const exit = (...args) => {
   try {
-    console.log(`Exiting the ${GLOBAL_NAME} shell...\n`);
+    Streams.log(`Exiting the ${GLOBAL_NAME} shell...\n`);
 
     // If the user requested to clear the screen after exiting
     if (args.includes("-c")) {
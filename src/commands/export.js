@@ -0,0 +1,47 @@
+const _fatalError = require("../functions/fatalError");
+const { _showVariables, _parseAssignment } = require("./set");
+
+const Errors = require("../classes/Errors");
+const Variables = require("../classes/Variables");
+const Verbose = require("../classes/Verbose");
+
+/**
+ * The `export` command, used to export variables so that they are
+ * passed into programs started with `exec`.
+ *
+ * A variable can be set and exported at the same time with `NAME=value`,
+ * or an existing variable can be exported by passing only its name.
+ *
+ * If nothing is passed, all exported variables are shown (the same as `env`).
+ *
+ * @param {...string} variables The variables to export, either as `NAME=value` or `NAME`.
+ */
+const exportVariables = (...variables) => {
+  try {
+    if (variables.length === 0) {
+      Verbose.custom("Showing all exported variables...");
+      _showVariables(Variables.list(true), "No variables have been exported.");
+      return;
+    }
+
+    for (const variable of variables) {
+      const assignment = _parseAssignment(variable);
+      if (typeof assignment === "undefined") continue;
+
+      const { name, value } = assignment;
+      if (typeof value === "undefined" && !Variables.exists(name)) {
+        Verbose.custom(`Variable '${name}' was detected to not exist.`);
+        Errors.doesNotExist("variable", name);
+        continue;
+      }
+
+      Verbose.custom(`Exporting variable '${name}'...`);
+      Variables.set(name, value ?? Variables.get(name), true);
+    }
+  } catch (err) {
+    Verbose.fatalError();
+    _fatalError(err);
+  }
+};
+
+module.exports = exportVariables;
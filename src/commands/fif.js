@@ -2,13 +2,14 @@ const fs = require("fs");
 const chalk = require("chalk");
 const { question } = require("readline-sync");
 
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 const _convertAbsolute = require("../functions/convAbs");
 const _fatalError = require("../functions/fatalError");
 const _caseSensitivePath = require("../functions/caseSensitivePath");
+const { _canAsk } = require("../functions/promptPolicy");
 
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -26,8 +27,9 @@ const Verbose = require("../classes/Verbose");
 const escapeRegExp = (str) => str.replaceAll(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
 /**
- * Find a word or phrase in a file. This is a CLI
- * tool to be used in the BubbleOS shell only.
+ * Find a word or phrase in a file, or in text that was
+ * piped into `fif`. This is a CLI tool to be used in the
+ * BubbleOS shell only.
  *
  * This function will find all occurrences in a file
  * and show them in multiple ways to the standard
@@ -43,14 +45,27 @@ const escapeRegExp = (str) => str.replaceAll(/[.*+?^${}()|[\]\\]/g, "\\$&");
  *
  * _Note: If no arguments are passed that are either `-n`, `-p` or `-v`, it will show all of them._
  *
- * @param {string} file A path to the file to search in. Please note directories are not valid.
+ * If text was piped into `fif` (e.g. `ls | fif test`), no file is needed,
+ * and the first argument is the phrase to find instead. If no phrase is
+ * passed, the user will be prompted for it.
+ *
+ * @param {string} file A path to the file to search in. Please note directories are not valid. If text was piped in, this is the phrase instead.
  * @param {...string} args All recognized arguments. All available arguments are listed above.
  */
 const fif = (file, ...args) => {
   try {
+    // If text was piped in, there is no file, so the first argument is the phrase instead
+    Verbose.custom("Checking if text was piped in...");
+    const piped = Streams.isPiped();
+    let phrase;
+    if (piped) {
+      args = [file, ...args];
+      phrase = args.find((arg) => typeof arg !== "undefined" && !arg.startsWith("-"));
+      file = undefined;
+    }
+
     Verbose.pathAbsolute();
-    Verbose.parseQuotes();
-    file = _caseSensitivePath(_convertAbsolute(_parseDoubleQuotes([file, ...args])[0]));
+    file = _caseSensitivePath(_convertAbsolute(file));
 
     Verbose.initChecker();
     const fileChk = new Checks(file);
@@ -61,13 +76,14 @@ const fif = (file, ...args) => {
     const visualOccur = args.includes("-v");
     const all = !numOccur && !placeOccur && !visualOccur;
 
-    if (fileChk.paramUndefined()) {
+    if (piped) {
+      // Piped text does not need any checks
+      Verbose.custom("Text was piped in, skipping file checks...");
+    } else if (fileChk.paramUndefined()) {
       Verbose.chkEmpty();
       Errors.enterParameter("the file", "fif test.txt");
       return;
-    }
-
-    if (!fileChk.doesExist()) {
+    } else if (!fileChk.doesExist()) {
       Verbose.chkExists(file);
       Errors.doesNotExist("file", file);
       return;
@@ -84,22 +100,32 @@ const fif = (file, ...args) => {
       return;
     }
 
-    // Get file contents
-    Verbose.custom(`Getting file contents of '${file}'...`);
-    const contents = fs.readFileSync(file, { encoding: "utf-8", flag: "r" });
-
-    // Ask user for the phrase
-    Verbose.custom("Prompting user for phrase to find...");
-    const toFind =
-      question(`Please enter the phrase to find (${chalk.italic("'Enter'")} to accept): `) ?? "";
-
-    console.log();
+    // Get file contents, or the piped text
+    Verbose.custom(`Getting file contents of '${file}' or piped text...`);
+    const contents = piped
+      ? Streams.read()
+      : fs.readFileSync(file, { encoding: "utf-8", flag: "r" });
+
+    // Ask user for the phrase, if it was not passed
+    let toFind = phrase;
+    if (typeof toFind === "undefined") {
+      if (!_canAsk()) {
+        Errors.promptNotAllowed("the phrase to find");
+        return;
+      }
+
+      Verbose.custom("Prompting user for phrase to find...");
+      toFind =
+        question(`Please enter the phrase to find (${chalk.italic("'Enter'")} to accept): `) ?? "";
+
+      Streams.log();
+    }
 
     // Checks if phrase is empty
     Verbose.custom("Checking if phrase is empty...");
     if (!toFind) {
       Verbose.custom("Phrase was detected to be empty, aborting process...");
-      console.log(chalk.yellow(`No phrase entered.\nProcess aborted.\n`));
+      Streams.log(chalk.yellow(`No phrase entered.\nProcess aborted.\n`));
       return;
     }
 
@@ -114,7 +140,7 @@ const fif = (file, ...args) => {
     Verbose.custom("Checking if there are no occurrences...");
     if (occurrences === -1) {
       Verbose.custom("No occurrences detected, aborting process...");
-      console.log(
+      Streams.log(
         chalk.yellow(
           `No occurrences were found for the phrase ${chalk.bold.italic(`'${toFind}'`)}.\n`
         )
@@ -123,17 +149,17 @@ const fif = (file, ...args) => {
     }
 
     // If at least the number, place, or all was requested, show the subheading
-    if (numOccur || placeOccur || all) console.log(chalk.red.bold.underline(`Occurrences`));
+    if (numOccur || placeOccur || all) Streams.log(chalk.red.bold.underline(`Occurrences`));
 
     // Number of occurrences
     if (numOccur || all) {
       Verbose.custom("Printing number of occurrences...");
-      console.log(`Number of occurrences: ${chalk.italic(occurrences)}\n`);
+      Streams.log(`Number of occurrences: ${chalk.italic(occurrences)}\n`);
     }
 
     // Character occurrence location
     if (placeOccur || all) {
-      console.log("Occurrence location since start of file:");
+      Streams.log("Occurrence location since start of file:");
 
       // Matches each phrase in the content and spreads it into an array
       Verbose.custom("Matching phrases and storing matched phrases...");
@@ -142,22 +168,22 @@ const fif = (file, ...args) => {
       // Loop through all character occurrences and output them
       Verbose.custom("Looping through all occurrences and printing...");
       charNum.forEach((val, idx) => {
-        console.log(`#${idx + 1}: ${chalk.bold.italic(val.index + 1 ?? "N/A")}`);
+        Streams.log(`#${idx + 1}: ${chalk.bold.italic(val.index + 1 ?? "N/A")}`);
       });
 
-      console.log();
+      Streams.log();
     }
 
     // Visible occurrences (file contents will highlighted occurrences)
     if (visualOccur || all) {
-      console.log(chalk.red.bold.underline(`Visual occurrences\n`));
+      Streams.log(chalk.red.bold.underline(`Visual occurrences\n`));
 
       // Replace all occurrences with a highlighted version
       Verbose.custom("Finding all occurrences and highlighting...");
-      console.log(
+      Streams.log(
         contents.replaceAll(new RegExp(escapeRegExp(toFind), "g"), chalk.bgYellow.black(toFind))
       );
-      console.log();
+      Streams.log();
     }
   } catch (err) {
     Verbose.fatalError();
@@ -0,0 +1,45 @@
+const chalk = require("chalk");
+
+const _fatalError = require("../functions/fatalError");
+
+const Errors = require("../classes/Errors");
+const InfoMessages = require("../classes/InfoMessages");
+const OutputFormat = require("../classes/OutputFormat");
+const Streams = require("../classes/Streams");
+const Verbose = require("../classes/Verbose");
+
+/**
+ * The `format` command, used to set the output format of informational
+ * commands (such as `sysinfo` and `ls`) for the rest of the session.
+ *
+ * With `json`, these commands write one JSON document instead of formatted
+ * text, as if `--json` was passed into each of them. With `text`, they go
+ * back to formatted text.
+ *
+ * If no format is passed, the current format is shown.
+ *
+ * @param {string} format The output format, either `text` or `json`.
+ */
+const format = (format) => {
+  try {
+    if (typeof format === "undefined") {
+      Verbose.custom("Showing the current output format...");
+      Streams.log(`Output format: ${chalk.bold(OutputFormat.get())}\n`);
+      return;
+    }
+
+    Verbose.custom(`Setting the output format to '${format}'...`);
+    if (!OutputFormat.set(format.toLowerCase())) {
+      Verbose.custom("The output format was detected to not exist.");
+      Errors.invalidCharacters("output format", "'text' or 'json'", "anything else", format);
+      return;
+    }
+
+    InfoMessages.success(`Set the output format to ${chalk.bold(format.toLowerCase())}.`);
+  } catch (err) {
+    Verbose.fatalError();
+    _fatalError(err);
+  }
+};
+
+module.exports = format;
@@ -3,13 +3,15 @@ const fs = require("fs");
 const crypto = require("crypto");
 const { question } = require("readline-sync");
 
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 const _convertAbsolute = require("../functions/convAbs");
 const _fatalError = require("../functions/fatalError");
 const _caseSensitivePath = require("../functions/caseSensitivePath");
+const { _canAsk } = require("../functions/promptPolicy");
 
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
+const OutputFormat = require("../classes/OutputFormat");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -31,108 +33,203 @@ const AVAILABLE_HASHES = [
 ];
 
 /**
- * Logs the hash requested in a `console.log`.
+ * Get all of the requested hashes of some text.
  *
- * @param {string} hashAlgo The hash algorithm, one in `AVAILABLE_HASHES`.
- * @param {string} contents The contents of the file.
+ * These fields are also the output of `hash --json` (as an array with each file), so they should not be changed:
+ * - `path`: The absolute path to the file, or `null` if the text was piped in.
+ * - `hashes`: The hashes in hexadecimal, with the name of each hash algorithm as the key
+ * (e.g. `{ "md5": "..." }`). If a hash algorithm is not recognized, its value is `null`.
+ *
+ * @param {string[]} requested The hash algorithms that were requested, or `["all"]` or `[""]` for all hashes.
+ * @param {string} contents The contents of the file or the piped text.
+ * @returns {Object<string, string | null>} The hashes of the text.
+ */
+const _getHashes = (requested, contents) => {
+  // If user specifically requested all hashes, or entered nothing
+  const all =
+    (requested.length === 1 && requested[0].toLowerCase() === "all") || requested[0] === "";
+
+  const hashes = {};
+  for (const hashAlgo of all ? AVAILABLE_HASHES : requested) {
+    Verbose.custom(`Getting '${hashAlgo.toUpperCase()}' hash...`);
+    hashes[hashAlgo] = AVAILABLE_HASHES.includes(hashAlgo)
+      ? crypto.createHash(hashAlgo.toLowerCase()).update(contents).digest("hex")
+      : null;
+  }
+
+  return hashes;
+};
+
+/**
+ * Writes the hashes from `_getHashes()` to the output.
+ *
+ * @param {Object<string, string | null>} hashes The hashes to write.
  */
-const _logHash = (hashAlgo, contents) => {
-  console.log(
-    `${chalk.green(hashAlgo.toUpperCase() + ":")} ${crypto
-      .createHash(hashAlgo.toLowerCase())
-      .update(contents)
-      .digest("hex")}`
-  );
+const _logHashes = (hashes) => {
+  for (const [hashAlgo, digest] of Object.entries(hashes)) {
+    if (digest === null) Streams.log(chalk.yellow(`Unrecognized hash: ${chalk.italic(hashAlgo)}`));
+    else Streams.log(`${chalk.green(hashAlgo.toUpperCase() + ":")} ${digest}`);
+  }
+
+  Streams.log();
+};
+
+/**
+ * Checks that a file can be hashed, showing an error if it cannot.
+ *
+ * @param {string} file The absolute path to the file.
+ * @returns {boolean} `true` if the file can be hashed, else, `false`.
+ */
+const _checkFile = (file) => {
+  Verbose.initChecker();
+  const fileChk = new Checks(file);
+
+  if (!fileChk.doesExist()) {
+    Verbose.chkExists(file);
+    Errors.doesNotExist("file", file);
+    return false;
+  } else if (fileChk.validateType()) {
+    Verbose.chkType(file, "file");
+    Errors.expectedFile(file);
+    return false;
+  } else if (fileChk.pathUNC()) {
+    Verbose.chkUNC();
+    Errors.invalidUNCPath();
+    return false;
+  }
+
+  return true;
 };
 
 /**
- * List hashes of a file. Available hashes are in the
+ * List hashes of files. Available hashes are in the
  * `AVAILABLE_HASHES` array.
  *
- * There are no arguments for this command, other than the required file.
+ * Multiple files can be passed (e.g. using a glob pattern like `*.zip`), in
+ * which case the hashes of each file are shown under its name. The hashes to
+ * show are only asked for once.
  *
- * @param {string} file The file to check the hash for.
- * @param {...string} args All recognized arguments. All available arguments are listed above.
+ * If text was piped into `hash` (e.g. `print hello | hash md5`), no file
+ * is needed, and the hashes of the piped text are shown instead. The
+ * arguments are then the hashes to show.
+ *
+ * If the hashes are not passed, the user is prompted for them. If the user
+ * cannot be asked (see `_canAsk()`), all hashes are shown.
+ *
+ * Available arguments:
+ * - `--algo <hashes>`: The hashes to show, separated by commas (e.g.
+ * `--algo md5,sha256`), or `all` for all hashes.
+ * - `--json`: Show the hashes as JSON (see `_getHashes()`).
+ *
+ * @param {...string} args The files to check the hashes of. If text was piped in, these are the hashes to show instead.
  */
-const hash = (file, ...args) => {
+const hash = (...args) => {
   try {
-    // Converts path to an absolute path and corrects
-    // casing on Windows, and resolves spaces
-    Verbose.pathAbsolute(file);
-    Verbose.parseQuotes();
-    file = _caseSensitivePath(_convertAbsolute(_parseDoubleQuotes([file, ...args])[0]));
+    Verbose.initArgs();
+    const asJson = OutputFormat.isJson(args);
 
-    Verbose.initChecker();
-    const fileChk = new Checks(file);
+    // The value of --algo is the argument after it, which is 'null' if it has no value
+    const algoIdx = args.indexOf("--algo");
+    const algo =
+      algoIdx === -1
+        ? undefined
+        : typeof args[algoIdx + 1] === "undefined" || args[algoIdx + 1].startsWith("--")
+        ? null
+        : args[algoIdx + 1];
+    args = args.filter(
+      (arg, idx) => arg !== "--json" && (algoIdx === -1 || (idx !== algoIdx && idx !== algoIdx + 1))
+    );
 
-    if (fileChk.paramUndefined()) {
+    if (algo === null) {
       Verbose.chkEmpty();
-      Errors.enterParameter("a file", "hash test.txt");
+      Errors.enterParameter("the hashes to show", "hash test.txt --algo md5,sha256");
       return;
     }
 
-    if (!fileChk.doesExist()) {
-      Verbose.chkExists(file);
-      Errors.doesNotExist("file", file);
-      return;
-    } else if (fileChk.validateType()) {
-      Verbose.chkType(file, "file");
-      Errors.expectedFile(file);
+    // If text was piped in, there is no file, so all arguments are hashes instead
+    Verbose.custom("Checking if text was piped in...");
+    const piped = Streams.isPiped();
+    const passedHashes =
+      typeof algo === "string" ? algo.split(",").filter((name) => name !== "") : piped ? args : [];
+
+    // Converts paths to absolute paths and corrects
+    // casing on Windows
+    Verbose.pathAbsolute();
+    const files = piped
+      ? []
+      : args.map((file) => _caseSensitivePath(_convertAbsolute(file))).filter(_checkFile);
+
+    if (piped) {
+      // Piped text does not need any checks
+      Verbose.custom("Text was piped in, skipping file checks...");
+    } else if (new Checks(args[0]).paramUndefined()) {
+      Verbose.chkEmpty();
+      Errors.enterParameter("a file", "hash test.txt");
       return;
-    } else if (fileChk.pathUNC()) {
-      Verbose.chkUNC();
-      Errors.invalidUNCPath();
+    } else if (files.length === 0) {
+      // None of the files could be hashed, and the errors have already been shown
       return;
     }
 
-    // Ask user for hashes
+    // Ask user for hashes, if they were not passed
     // If not hashes are provided, the default is to show all hashes
-    Verbose.custom("Prompting user for hashes...");
-    const requested = question(
-      `Enter the file hashes to be shown (${chalk.italic("'Enter'")} to accept; ${chalk.italic(
-        "'all'"
-      )} for all hashes; insert space to add multiple): `
-    ).split(" ");
-
-    Verbose.custom("Reading file...");
-    const contents = fs.readFileSync(file, { encoding: "utf-8", flag: "r" });
-
-    // If user specifically requested all hashes, or entered nothing
-    const all =
-      (requested.length === 1 && requested[0].toLowerCase() === "all") || requested[0] === "";
-
-    console.log();
-
-    if (all) {
-      Verbose.custom("Showing all hashes...");
-      AVAILABLE_HASHES.forEach((hashAlgo) => {
-        Verbose.custom(`Showing '${hashAlgo.toUpperCase()}' hash...`);
-        _logHash(hashAlgo, contents);
-      });
-    } else {
-      Verbose.custom("Showing specified hashes...");
-      requested.forEach((hashAlgo) => {
-        Verbose.custom(`Showing '${hashAlgo.toUpperCase()}' hash...`);
-        if (!AVAILABLE_HASHES.includes(hashAlgo))
-          console.log(chalk.yellow(`Unrecognized hash: ${chalk.italic(hashAlgo)}`));
-        else _logHash(hashAlgo, contents);
-      });
+    let requested = passedHashes;
+    if (requested.length === 0 && !_canAsk()) {
+      Verbose.custom("The user cannot be asked for the hashes, so all hashes will be shown...");
+      requested = ["all"];
+    } else if (requested.length === 0) {
+      Verbose.custom("Prompting user for hashes...");
+      requested = question(
+        `Enter the file hashes to be shown (${chalk.italic("'Enter'")} to accept; ${chalk.italic(
+          "'all'"
+        )} for all hashes; insert space to add multiple): `
+      ).split(" ");
+
+      Streams.log();
     }
 
-    console.log();
-  } catch (err) {
-    if (err.code === "EPERM") {
-      Verbose.permError();
-      Errors.noPermissions("read the file", file);
-      return;
-    } else if (err.code === "EBUSY") {
-      Verbose.inUseError();
-      Errors.inUse("file", file);
+    if (piped) {
+      Verbose.custom("Reading piped text...");
+      const hashes = _getHashes(requested, Streams.read());
+
+      if (asJson) OutputFormat.json([{ path: null, hashes }]);
+      else _logHashes(hashes);
       return;
-    } else {
-      Verbose.fatalError();
-      _fatalError(err);
     }
+
+    const allHashes = [];
+    for (const file of files) {
+      try {
+        Verbose.custom("Reading file...");
+        const contents = fs.readFileSync(file, { encoding: "utf-8", flag: "r" });
+        const hashes = _getHashes(requested, contents);
+
+        if (asJson) {
+          allHashes.push({ path: file, hashes });
+        } else {
+          if (files.length > 1) Streams.log(chalk.bold.underline(file));
+          _logHashes(hashes);
+        }
+      } catch (err) {
+        if (err.code === "EPERM") {
+          Verbose.permError();
+          Errors.noPermissions("read the file", file);
+        } else if (err.code === "EBUSY") {
+          Verbose.inUseError();
+          Errors.inUse("file", file);
+        } else {
+          throw err;
+        }
+      }
+    }
+
+    if (asJson) {
+      Verbose.custom("Showing the hashes as JSON...");
+      OutputFormat.json(allHashes);
+    }
+  } catch (err) {
+    Verbose.fatalError();
+    _fatalError(err);
   }
 };
 
@@ -7,6 +7,7 @@ const _fatalError = require("../functions/fatalError");
 
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -24,24 +25,24 @@ const _printHelp = (sorted, specific, cmd) => {
   if (specific) {
     // If the usage is not available, show 'N/A'
     Verbose.custom("Showing command and usage...");
-    console.log(`${chalk.bold(cmd)}: ${chalk.italic(sorted[cmd].usage ?? "N/A")}`);
+    Streams.log(`${chalk.bold(cmd)}: ${chalk.italic(sorted[cmd].usage ?? "N/A")}`);
 
     // Show the description (if it is unavailable, show 'N/A')
     Verbose.custom("Showing description of command...");
-    console.log(`\n  ${sorted[cmd].desc ?? "N/A"}\n`);
+    Streams.log(`\n  ${sorted[cmd].desc ?? "N/A"}\n`);
 
     // If there are arguments
     Verbose.custom("Checking if arguments are available...");
     if (typeof sorted[cmd].args !== "undefined") {
       if (Object.keys(sorted[cmd].args).length !== 0) {
         Verbose.custom("Showing arguments...");
-        console.log("  " + chalk.underline("Arguments:"));
+        Streams.log("  " + chalk.underline("Arguments:"));
 
         for (const arg in sorted[cmd].args) {
-          console.log(`    ${arg.padEnd(15)} ${sorted[cmd].args[arg]}`);
+          Streams.log(`    ${arg.padEnd(15)} ${sorted[cmd].args[arg]}`);
         }
 
-        console.log();
+        Streams.log();
       }
     }
 
@@ -64,7 +65,7 @@ const _printHelp = (sorted, specific, cmd) => {
 
     // Show the final string
     Verbose.custom("Showing all commands...");
-    console.log(finalStr);
+    Streams.log(finalStr);
   }
 };
 
@@ -96,7 +97,7 @@ const help = (command, ...args) => {
       Verbose.custom("No command was passed, showing all commands...");
       _printHelp(sorted, false);
 
-      console.log(
+      Streams.log(
         chalk.bold(
           `\nTo get information about a specific command, run ${chalk.italic(
             "'help <command>'"
@@ -5,26 +5,90 @@ const _fatalError = require("../functions/fatalError");
 const Errors = require("../classes/Errors");
 const InfoMessages = require("../classes/InfoMessages");
 const ConfigManager = require("../classes/ConfigManager");
+const OutputFormat = require("../classes/OutputFormat");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
- * The number of history commands to store before deleting the oldest ones.
+ * The default number of history commands to store before deleting the oldest ones.
+ *
+ * This can be changed with `history --size <number>`, which is stored
+ * in the configuration file as `historySize`.
  */
 const NUMBER_TO_STORE = 50;
 
+/**
+ * Flags of the `history` command which are followed by a value.
+ */
+const VALUE_FLAGS = ["--search", "--since", "--size"];
+
+/**
+ * Convert a history entry into the current format.
+ *
+ * Older versions of BubbleOS only stored the command, so the other
+ * details of those entries are unknown (`null`).
+ *
+ * @param {string | { command: string, time: string | null, cwd: string | null, duration: number | null, status: number | null }} entry The entry stored in the configuration file.
+ * @returns {{ command: string, time: string | null, cwd: string | null, duration: number | null, status: number | null }} The entry in the current format.
+ */
+const _toEntry = (entry) => {
+  if (typeof entry !== "string") return entry;
+  return { command: entry, time: null, cwd: null, duration: null, status: null };
+};
+
+/**
+ * Get the history stored in the configuration file.
+ *
+ * If the history has any entries from an older version of BubbleOS (which
+ * only stored the command), they are converted and saved in the current format.
+ *
+ * @param {ConfigManager} config The configuration file to read the history from.
+ * @returns {{ command: string, time: string | null, cwd: string | null, duration: number | null, status: number | null }[] | undefined} The entries in the history from oldest to newest, or `undefined` if the configuration file cannot be read.
+ */
+const _readHist = (config) => {
+  const contents = config.getConfig();
+  if (typeof contents === "undefined") return undefined;
+
+  const historyConfig = Array.isArray(contents.history) ? contents.history : [];
+  if (historyConfig.some((entry) => typeof entry === "string")) {
+    Verbose.custom("Migrating history entries from an older version...");
+    const migrated = historyConfig.map(_toEntry);
+
+    config.addData({ history: migrated });
+    return migrated;
+  }
+
+  return historyConfig;
+};
+
+/**
+ * Get the number of commands to store in the history, from the configuration file.
+ *
+ * @param {ConfigManager} config The configuration file to read the size from.
+ * @returns {number} The number of commands to store.
+ */
+const _histSize = (config) => {
+  const size = config.getConfig()?.historySize;
+  return Number.isInteger(size) && size > 0 ? size : NUMBER_TO_STORE;
+};
+
 /**
  * Add a command to the history to be later
  * shown in the BubbleOS command `history`.
  *
- * This command appends to an array, which
- * is stored in the JavaScript heap. This means
- * that when BubbleOS is shut down, the history
- * will be cleared.
+ * The history is stored in the BubbleOS configuration
+ * file, so it is kept after BubbleOS is shut down. Along
+ * with the command, the time it ran, the directory it
+ * ran in, how long it took and its status are stored.
+ *
+ * If the command is the same as the previous command
+ * in the history, it is not stored again.
  *
  * @param {string} command The command that the user entered that should be stored in the history.
+ * @param {{ time?: number, cwd?: string, duration?: number, status?: number }} details Optional. The details of when and how the command ran.
  * @param {boolean} addToConfig Whether or not to add the command to the BubbleOS configuration. Defaults to `true`.
  */
-const _addToHist = (command, addToConfig = true) => {
+const _addToHist = (command, details = {}, addToConfig = true) => {
   if (!addToConfig) return;
 
   const config = new ConfigManager();
@@ -43,49 +107,145 @@ const _addToHist = (command, addToConfig = true) => {
   }
 
   Verbose.custom("Getting history stored in configuration file...");
-  const historyConfig = config.getConfig().history ?? [];
+  const historyConfig = _readHist(config);
 
-  // If the number of stored commands exceeds the limit, remove the oldest entry
+  Verbose.custom("Checking if command is the same as the previous command...");
+  if (historyConfig[historyConfig.length - 1]?.command === command) {
+    Verbose.custom("Command is the same as the previous command, not storing it again.");
+    return;
+  }
+
+  // If the number of stored commands exceeds the limit, remove the oldest entries
+  const size = _histSize(config);
   Verbose.custom(
-    `Checking if number of entries stored is greater than ${NUMBER_TO_STORE} entries, and deleting oldest if so...`
+    `Checking if number of entries stored is greater than ${size} entries, and deleting oldest if so...`
   );
-  if (historyConfig.length + 1 > NUMBER_TO_STORE) historyConfig.shift();
+  if (historyConfig.length + 1 > size) historyConfig.splice(0, historyConfig.length + 1 - size);
 
   // Add the latest command to the history
   Verbose.custom("Adding latest command to history...");
-  historyConfig.push(command);
+  historyConfig.push({
+    command,
+    time: new Date(details.time ?? Date.now()).toISOString(),
+    cwd: details.cwd ?? process.cwd(),
+    duration: details.duration ?? null,
+    status: details.status ?? null,
+  });
 
   Verbose.custom("Writing data to configuration file...");
   config.addData({ history: historyConfig });
 };
 
+/**
+ * Get all of the commands stored in the history, from oldest to newest.
+ *
+ * This is used to recall commands with the arrow keys in the shell,
+ * so no errors are shown if the configuration file cannot be read.
+ *
+ * @returns {string[]} The commands in the history, or an empty array if it cannot be read.
+ */
+const _getHist = () => {
+  return (_readHist(new ConfigManager()) ?? []).map((entry) => entry.command);
+};
+
 /**
  * Formats history index and command, and logs it.
  *
+ * The time the command ran and how long it took are shown after it, as
+ * well as its status if it failed.
+ *
  * @param {number | string} index The place where the history is stored.
- * @param {string} histCmd The command stored at the point of history.
+ * @param {{ command: string, time: string | null, duration: number | null, status: number | null }} entry The entry stored at the point of history.
  */
-const _formatHist = (index, histCmd) => {
-  console.log(`  ${index}: ${chalk.bold.yellow(histCmd)}`);
+const _formatHist = (index, entry) => {
+  const details = [];
+  if (entry.time !== null) details.push(new Date(entry.time).toLocaleString());
+  if (entry.duration !== null) details.push(`${entry.duration}ms`);
+
+  Streams.log(
+    `  ${index}: ${chalk.bold.yellow(entry.command)}${
+      details.length !== 0 ? chalk.dim(` (${details.join(", ")})`) : ""
+    }${entry.status ? chalk.red(` [status ${entry.status}]`) : ""}`
+  );
+};
+
+/**
+ * Logs all of the details of a history entry.
+ *
+ * @param {number | string} index The place where the history is stored.
+ * @param {{ command: string, time: string | null, cwd: string | null, duration: number | null, status: number | null }} entry The entry stored at the point of history.
+ */
+const _formatHistDetails = (index, entry) => {
+  const unknown = chalk.dim("Unknown");
+  const status =
+    entry.status === null
+      ? unknown
+      : entry.status === 0
+      ? chalk.green(`${entry.status} (succeeded)`)
+      : chalk.red(`${entry.status} (failed)`);
+
+  Streams.log(`  ${index}: ${chalk.bold.yellow(entry.command)}`);
+  Streams.log(
+    `     Ran at: ${entry.time === null ? unknown : new Date(entry.time).toLocaleString()}`
+  );
+  Streams.log(`     Directory: ${entry.cwd ?? unknown}`);
+  Streams.log(`     Duration: ${entry.duration === null ? unknown : `${entry.duration}ms`}`);
+  Streams.log(`     Status: ${status}`);
+};
+
+/**
+ * Convert a value into a field of a CSV file, quoting it if needed.
+ *
+ * @param {string | number | null} value The value to convert.
+ * @returns {string} The field, which is empty if the value is `null`.
+ */
+const _csvField = (value) => {
+  if (value === null) return "";
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 };
 
 /**
  * The history CLI command for the BubbleOS shell.
  *
- * This function gets all commands from the `history`
- * array. All commands are added in the history by
- * the `_addToHist()` function.
+ * This function gets all commands from the history
+ * stored in the configuration file. All commands are
+ * added in the history by the `_addToHist()` function.
  *
- * The `-c` argument clears the history and the history
- * stored in the configuration file.
+ * Available arguments:
+ * - `-c`: Clears the history and the history stored in the configuration file.
+ * - `--search <text>`: Only show commands that contain the text.
+ * - `--since <date>`: Only show commands that ran on or after the date.
+ * - `--json`: Show the history as JSON, with all of the details of each command. This is also used if the output format is `json` (see `format`).
+ * - `--csv`: Show the history as CSV, with all of the details of each command.
+ * - `--size [<number>]`: Set the number of commands to store in the history, or show it if no number is passed.
  *
- * @param {number | string} numToDisplay Optional. The number point in history to display by itself. If it is not provided, it will show all commands in history.
- * @param {...string} args Arguments to modify the behavior of `history`.
+ * @param {...string} args Arguments to modify the behavior of `history`. The first argument that is not a flag is the number point in history to display by itself. If it is not provided, it will show all commands in history.
  */
-const history = (numToDisplay, ...args) => {
+const history = (...args) => {
   try {
     Verbose.initArgs();
-    const clear = args.includes("-c") || numToDisplay === "-c";
+    const clear = args.includes("-c");
+    const asCsv = args.includes("--csv");
+    // The output format of the session is only used if '--csv' was not passed
+    const asJson = args.includes("--json") || (!asCsv && OutputFormat.isJson());
+
+    // Get the value after a flag, which is 'null' if the flag has no value
+    const valueOf = (flag) => {
+      const idx = args.indexOf(flag);
+      if (idx === -1) return undefined;
+      return typeof args[idx + 1] === "undefined" || args[idx + 1].startsWith("--")
+        ? null
+        : args[idx + 1];
+    };
+    const search = valueOf("--search");
+    const since = valueOf("--since");
+    const size = valueOf("--size");
+
+    const numToDisplay = args.find(
+      (arg, idx) => !arg.startsWith("-") && !VALUE_FLAGS.includes(args[idx - 1])
+    );
 
     const config = new ConfigManager();
 
@@ -112,12 +272,12 @@ const history = (numToDisplay, ...args) => {
 
       Verbose.custom("Removing 'history' key...");
       config.removeData("history");
-      console.log(chalk.green("Cleared the history.\n"));
+      Streams.log(chalk.green("Cleared the history.\n"));
       return;
     }
 
     Verbose.custom("Getting history stored in configuration file...");
-    const historyConfig = config.getConfig()?.history;
+    const historyConfig = _readHist(config);
 
     // Fetch history from the config file
     if (typeof historyConfig === "undefined") {
@@ -133,43 +293,117 @@ const history = (numToDisplay, ...args) => {
       return;
     }
 
-    if (typeof numToDisplay === "undefined") {
-      Verbose.custom("Showing all commands in history...");
-      if (historyConfig.length === 0) {
-        Verbose.custom("No commands detected in history.");
-        console.log(chalk.yellow("No commands in history yet.\n"));
+    // Set or show the number of commands to store
+    if (typeof size !== "undefined") {
+      if (size === null) {
+        Verbose.custom("Showing the number of commands stored in history...");
+        Streams.log(`The history stores up to ${chalk.bold(_histSize(config))} commands.\n`);
+        return;
+      } else if (!/^\d+$/.test(size) || Number(size) === 0) {
+        Verbose.custom("Detected invalid characters passed into history size...");
+        Errors.invalidCharacters("history size", "positive whole numbers", "letters/symbols", size);
         return;
       }
 
-      // Display all history entries
-      for (const [idx, value] of historyConfig.entries()) {
-        _formatHist(idx + 1, value);
+      Verbose.custom(`Setting the number of commands stored in history to ${size}...`);
+      config.addData({
+        historySize: Number(size),
+        history: historyConfig.slice(Math.max(historyConfig.length - Number(size), 0)),
+      });
+      Streams.log(chalk.green(`The history will now store up to ${size} commands.\n`));
+      return;
+    }
+
+    // The entries to show, with their place in the history
+    let entries = historyConfig.map((entry, idx) => ({ index: idx + 1, ...entry }));
+
+    if (typeof numToDisplay !== "undefined") {
+      // Validate the input and display specific history point
+      if (numToDisplay % 1 !== 0) {
+        Verbose.custom("Detected invalid characters passed into history point...");
+        Errors.invalidCharacters("history point", "numbers", "letters/symbols", numToDisplay);
+        return;
+      } else if (typeof historyConfig[numToDisplay - 1] === "undefined") {
+        Verbose.custom(
+          `Cannot find command at ${numToDisplay} (${historyConfig[numToDisplay - 1]}).`
+        );
+        Streams.log(chalk.yellow(`Cannot find the command in history point ${numToDisplay}.\n`));
+        return;
       }
 
-      console.log();
+      entries = [entries[numToDisplay - 1]];
+    }
+
+    if (search === null) {
+      Errors.enterParameter("the text to search for", "history --search cd");
+      return;
+    } else if (typeof search !== "undefined") {
+      Verbose.custom(`Filtering history for commands containing '${search}'...`);
+      entries = entries.filter((entry) =>
+        entry.command.toLowerCase().includes(search.toLowerCase())
+      );
+    }
+
+    if (since === null || (typeof since !== "undefined" && isNaN(new Date(since)))) {
+      Errors.enterParameter("a valid date", "history --since 2025-01-31");
+      return;
+    } else if (typeof since !== "undefined") {
+      Verbose.custom(`Filtering history for commands since '${since}'...`);
+      entries = entries.filter(
+        (entry) => entry.time !== null && new Date(entry.time) >= new Date(since)
+      );
+    }
+
+    if (asJson) {
+      Verbose.custom("Showing history as JSON...");
+      OutputFormat.json(entries);
+      return;
+    } else if (asCsv) {
+      Verbose.custom("Showing history as CSV...");
+      const columns = ["index", "command", "time", "cwd", "duration", "status"];
+
+      Streams.log(columns.join(","));
+      for (const entry of entries) {
+        Streams.log(columns.map((column) => _csvField(entry[column] ?? null)).join(","));
+      }
       return;
     }
 
-    // Validate the input and display specific history point
-    if (numToDisplay % 1 !== 0) {
-      Verbose.custom("Detected invalid characters passed into history point...");
-      Errors.invalidCharacters("history point", "numbers", "letters/symbols", numToDisplay);
+    if (typeof numToDisplay !== "undefined") {
+      Verbose.custom(`Showing specific history at point ${numToDisplay}...`);
+      if (entries.length === 0) {
+        Streams.log(chalk.yellow(`The command in history point ${numToDisplay} does not match.\n`));
+        return;
+      }
+
+      _formatHistDetails(numToDisplay, entries[0]);
+      Streams.log();
       return;
-    } else if (typeof historyConfig[numToDisplay - 1] === "undefined") {
-      Verbose.custom(
-        `Cannot find command at ${numToDisplay} (${historyConfig[numToDisplay - 1]}).`
+    }
+
+    Verbose.custom("Showing all commands in history...");
+    if (entries.length === 0) {
+      Verbose.custom("No commands detected in history.");
+      Streams.log(
+        chalk.yellow(
+          historyConfig.length === 0
+            ? "No commands in history yet.\n"
+            : "No commands in history match.\n"
+        )
       );
-      console.log(chalk.yellow(`Cannot find the command in history point ${numToDisplay}.\n`));
       return;
     }
 
-    Verbose.custom(`Showing specific history at point ${numToDisplay}...`);
-    _formatHist(numToDisplay, historyConfig[numToDisplay - 1]);
-    console.log();
+    // Display all history entries
+    for (const { index, ...entry } of entries) {
+      _formatHist(index, entry);
+    }
+
+    Streams.log();
   } catch (err) {
     Verbose.fatalError();
     _fatalError(err);
   }
 };
 
-module.exports = { history, _addToHist };
+module.exports = { history, _addToHist, _getHist };
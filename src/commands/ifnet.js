@@ -5,6 +5,8 @@ const { networkInterfaces } = require("os");
 const _fatalError = require("../functions/fatalError");
 
 const InfoMessages = require("../classes/InfoMessages");
+const OutputFormat = require("../classes/OutputFormat");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 // I don't know what the hell a map is, but it works, so DON'T TOUCH
@@ -40,30 +42,55 @@ const _makeUserFriendly = (network) => userFriendlyMap.get(network.toLowerCase()
  */
 const _makeValueFriendly = (value) => (typeof value === "boolean" ? (value ? "Yes" : "No") : value);
 
+/**
+ * Get the network interfaces of the local machine, sorted by name.
+ *
+ * These fields are also the output of `ifnet --json`, so they should not be changed:
+ * - `name`: The name of the interface (e.g. `"eth0"`).
+ * - `addresses`: The addresses of the interface, each with the fields from `os.networkInterfaces()`
+ * (`address`, `cidr`, `family`, `internal`, `mac`, `netmask` and `scopeid` for IPv6 addresses).
+ *
+ * @returns {{ name: string, addresses: object[] }[]} The network interfaces.
+ */
+const _getInterfaces = () =>
+  Object.entries(sortKeys(networkInterfaces(), { deep: true })).map(([name, addresses]) => ({
+    name,
+    addresses,
+  }));
+
 /**
  * Get network information from the local machine.
  *
- * @param {...string} args Arguments to modify the behavior of `ifnet`, however, none are yet available.
+ * Available arguments:
+ * - `--json`: Show the network interfaces as JSON (see `_getInterfaces()`).
+ *
+ * @param {...string} args Arguments to modify the behavior of `ifnet`.
  */
 const ifnet = (...args) => {
   try {
     // Get the network interfaces once
-    const interfaces = sortKeys(networkInterfaces(), { deep: true });
-    const keys = Object.keys(interfaces);
+    Verbose.custom("Getting the network interfaces...");
+    const interfaces = _getInterfaces();
 
-    if (!keys.length) {
+    if (!interfaces.length) {
       InfoMessages.error("No active network interfaces found.");
       return;
     }
 
+    if (OutputFormat.isJson(args)) {
+      Verbose.custom("Showing the network interfaces as JSON...");
+      OutputFormat.json(interfaces);
+      return;
+    }
+
     // Display each network interface and its properties
-    for (const [name, details] of Object.entries(interfaces)) {
-      console.log(chalk.red.underline.bold(name));
-      details.forEach((detail) => {
+    for (const { name, addresses } of interfaces) {
+      Streams.log(chalk.red.underline.bold(name));
+      addresses.forEach((detail) => {
         for (const [key, value] of Object.entries(detail)) {
-          console.log(`  ${_makeUserFriendly(key)}: ${chalk.bold(_makeValueFriendly(value))}`);
+          Streams.log(`  ${_makeUserFriendly(key)}: ${chalk.bold(_makeValueFriendly(value))}`);
         }
-        console.log(); // Add a newline between entries
+        Streams.log(); // Add a newline between entries
       });
     }
   } catch (err) {
@@ -1,7 +1,6 @@
 const chalk = require("chalk");
 const fs = require("fs");
 
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 const _convertAbsolute = require("../functions/convAbs");
 const _caseSensitivePath = require("../functions/caseSensitivePath");
 const _promptForYN = require("../functions/promptForYN");
@@ -10,6 +9,7 @@ const _fatalError = require("../functions/fatalError");
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
 const InfoMessages = require("../classes/InfoMessages");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -27,19 +27,15 @@ const link = (path, newPath, ...args) => {
     const confirm = !(args?.includes("-y") || newPath === "-y");
 
     if (!unlink) {
-      // Parse input and normalize paths when 'unlink' is false
-      Verbose.parseQuotes();
-      [path, newPath] = _parseDoubleQuotes([path, newPath, ...args]);
-
+      // Normalize paths when 'unlink' is false
       Verbose.pathAbsolute(path);
       path = _caseSensitivePath(_convertAbsolute(path));
       Verbose.pathAbsolute(newPath);
       newPath = _caseSensitivePath(_convertAbsolute(newPath));
     } else {
-      // Parse input and normalize only the first path when 'unlink' is true
+      // Normalize only the first path when 'unlink' is true
       Verbose.pathAbsolute(path);
-      Verbose.parseQuotes();
-      path = _convertAbsolute(_parseDoubleQuotes([path, newPath, ...args])[0]);
+      path = _convertAbsolute(path);
     }
 
     Verbose.initChecker();
@@ -67,7 +63,7 @@ const link = (path, newPath, ...args) => {
       if (confirm) {
         Verbose.promptUser();
         if (!_promptForYN(`Are you sure you want to unlink ${chalk.bold(path)}?`)) {
-          console.log(chalk.yellow("Process aborted.\n"));
+          Streams.log(chalk.yellow("Process aborted.\n"));
           return;
         }
       }
@@ -76,7 +72,7 @@ const link = (path, newPath, ...args) => {
       fs.unlinkSync(path);
 
       if (!silent) InfoMessages.success(`Successfully unlinked ${chalk.bold(path)}.`);
-      else console.log();
+      else Streams.log();
       return;
     }
 
@@ -86,7 +82,7 @@ const link = (path, newPath, ...args) => {
 
     if (!silent)
       InfoMessages.success(`Successfully linked ${chalk.bold(newPath)} to ${chalk.bold(path)}.`);
-    else console.log();
+    else Streams.log();
   } catch (err) {
     if (err.code === "EPERM") {
       Verbose.permError();
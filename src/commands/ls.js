@@ -1,109 +1,532 @@
 const chalk = require("chalk");
 const fs = require("fs");
+const os = require("os");
+const path = require("path");
 
-const _parseDoubleQuotes = require("../functions/parseQuotes");
+const _convertSize = require("../functions/convSize");
+const { _matchGlob } = require("../functions/expandGlob");
 const _fatalError = require("../functions/fatalError");
 
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
+const OutputFormat = require("../classes/OutputFormat");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
- * Log the directory contents.
+ * The width to use if the width of the terminal is not known (e.g. if the output is not a terminal).
+ */
+const DEFAULT_WIDTH = 80;
+
+/**
+ * The number of spaces between each column in the short view.
+ */
+const COLUMN_GAP = 2;
+
+/**
+ * The flags with a single letter, which can also be combined (e.g. `-la` for `-l -a`).
+ */
+const SHORT_FLAGS = ["-s", "-l", "-a", "-h", "-R", "-r"];
+
+/**
+ * The flags that are followed by a value (e.g. `--sort mtime`).
+ */
+const VALUE_FLAGS = ["--sort", "--only", "--filter", "--limit"];
+
+/**
+ * What the items can be sorted by with `--sort`:
+ * - `name`: Alphabetically by name (the default).
+ * - `size`: Largest first.
+ * - `mtime`: Most recently modified first.
+ * - `ext`: Alphabetically by extension, and then by name.
+ */
+const SORT_KEYS = ["name", "size", "mtime", "ext"];
+
+/**
+ * The types of items that can be shown with `--only`, and the check for each type.
+ */
+const ONLY_TYPES = {
+  files: (item) => item.type === "file",
+  dirs: (item) => item.type === "folder",
+  links: (item) => item.isSymlink,
+};
+
+/**
+ * Check if an item is hidden, which is when its name starts with a `.`.
  *
- * Format the contents of the directory depending
- * on options, such as if the user wanted to
- * view the directory in a short view.
+ * @param {string} name The name of the item.
+ * @returns {boolean} If the item is hidden.
+ */
+const _isHidden = (name) => name.startsWith(".");
+
+/**
+ * Convert the mode of a file/directory into permissions like `drwxr-xr-x`.
  *
- * Options:
- * - `short`: If the directory should be in a short
- * view or not. Default: `false`.
- * - `max`: Only applies if `short` is `true`. The
- * maximum padding to the end of each item.
- *
- * @param {[ { name: string, type: string, isSymlink: boolean } ]} contents An array of objects containing information about the files/directories.
- * @param {{ short: boolean, max: boolean }} options Options to modify the behavior of `_logDirContents()`.
- * @returns A string with the final value.
- */
-const _logDirContents = (contents, options = { short: false, max: undefined }) => {
-  let dirStr = "";
-
-  for (let i = 1; i < Object.keys(contents).length + 1; i++) {
-    Verbose.custom(`Item #${i} of directory.`);
-    let item = contents[i - 1];
-
-    if (item.type === "file" && item.isSymlink) {
-      // Is file and is a symbolic link
-      Verbose.custom("Item is a file and symbolic link...");
-      if (options.short) dirStr += chalk.red(item.name).padEnd(options.max);
-      else dirStr += chalk.red(item.name);
-    } else if (item.type === "folder" && item.isSymlink) {
-      // Is folder and is symbolic link
-      Verbose.custom("Item is a folder and symbolic link...");
-      if (options.short) dirStr += chalk.bgRed(` ${item.name} `).padEnd(options.max);
-      else dirStr += chalk.bold.red(item.name);
-    } else if (item.type === "file") {
-      // Is file
-      Verbose.custom("Item is a file...");
-      if (options.short) dirStr += chalk.green(item.name).padEnd(options.max);
-      else dirStr += chalk.green(item.name);
-    } else if (
-      item.type === "folder" &&
-      (item.name.startsWith(".") || item.name.startsWith("_") || item.name.startsWith("$"))
-    ) {
-      // Is folder and is most likely hidden
-      Verbose.custom("Item is a hidden folder...");
-      if (options.short) dirStr += chalk.bgGrey(` ${item.name} `).padEnd(options.max);
-      else dirStr += chalk.bold.grey(item.name);
-    } else if (item.type === "folder") {
-      // Is folder
-      Verbose.custom("Item is a folder...");
-      if (options.short) dirStr += chalk.bgBlue(` ${item.name} `).padEnd(options.max);
-      else dirStr += chalk.bold.blue(item.name);
-    } else {
-      // Unknown type
-      Verbose.custom(`Item '${item.type}' is unknown...`);
-      if (options.short) dirStr += chalk.italic(item.name).padEnd(options.max);
-      else dirStr += chalk.italic(item.name);
+ * @param {fs.Stats} stats The information about the file/directory, from `fs.lstatSync()`.
+ * @returns {string} The type (`d` for directories, `l` for symbolic links, else `-`), followed by the permissions of the owner, group and others.
+ */
+const _modeString = (stats) => {
+  const type = stats.isSymbolicLink() ? "l" : stats.isDirectory() ? "d" : "-";
+  const permissions = ["r", "w", "x"];
+
+  let mode = type;
+  for (let bit = 8; bit >= 0; bit--) {
+    mode += stats.mode & (1 << bit) ? permissions[(8 - bit) % 3] : "-";
+  }
+
+  return mode;
+};
+
+/**
+ * Read the names of the users or groups from a file like `/etc/passwd` or `/etc/group`,
+ * where each line starts with the name, followed by the ID as the third field.
+ *
+ * @param {string} file The file to read.
+ * @returns {Map<number, string>} The name of each ID, which is empty if the file cannot be read.
+ */
+const _readNames = (file) => {
+  const names = new Map();
+  try {
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      const [name, , id] = line.split(":");
+      if (typeof id !== "undefined" && !names.has(Number(id))) names.set(Number(id), name);
     }
+  } catch {}
+
+  return names;
+};
+
+/**
+ * Get the names of the users and groups, so that the owner and group of each item can be shown
+ * by their name in the long view. The current user is always included, even if it is not in
+ * `/etc/passwd` (e.g. on macOS, where most users are not in it).
+ *
+ * @returns {{ users: Map<number, string>, groups: Map<number, string> }} The name of each user and group ID.
+ */
+const _ownerNames = () => {
+  const user = os.userInfo();
+  const users = _readNames("/etc/passwd").set(user.uid, user.username);
+
+  return { users, groups: _readNames("/etc/group") };
+};
+
+/**
+ * Format a size in bytes for the long view.
+ *
+ * @param {number} bytes The size in bytes.
+ * @param {boolean} human If the size should be in the largest unit that it fits in (e.g. `1.5M`), instead of bytes.
+ * @returns {string} The formatted size.
+ */
+const _formatSize = (bytes, human) => {
+  if (!human) return String(bytes);
+
+  const sizes = _convertSize(bytes, 1);
+  if (sizes.gigabytes >= 1) return `${sizes.gigabytes}G`;
+  else if (sizes.megabytes >= 1) return `${sizes.megabytes}M`;
+  else if (sizes.kilobytes >= 1) return `${sizes.kilobytes}K`;
+  else return `${bytes}B`;
+};
+
+/**
+ * Format when a file/directory was modified for the long view, like `2024-01-31 14:05`.
+ *
+ * @param {Date} date The date it was modified.
+ * @returns {string} The formatted date.
+ */
+const _formatDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(
+    date.getDate()
+  ).padStart(2, "0")} ${String(date.getHours()).padStart(2, "0")}:${String(
+    date.getMinutes()
+  ).padStart(2, "0")}`;
+
+/**
+ * Sort the items of a directory.
+ *
+ * @param {object[]} items The items to sort.
+ * @param {Map<object, fs.Stats>} stats The information about each item, which is needed to sort by `size` or `mtime`.
+ * @param {{ sort: string, reverse: boolean, natural: boolean }} options The key to sort by (see `SORT_KEYS`), if the order is reversed, and if numbers in names are compared by their value (e.g. `file2` before `file10`).
+ * @returns {object[]} The sorted items.
+ */
+const _sortItems = (items, stats, options) => {
+  const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: options.natural });
+  const compare = {
+    name: byName,
+    size: (a, b) => stats.get(b).size - stats.get(a).size || byName(a, b),
+    mtime: (a, b) => stats.get(b).mtimeMs - stats.get(a).mtimeMs || byName(a, b),
+    ext: (a, b) =>
+      path.extname(a.name).localeCompare(path.extname(b.name), undefined, {
+        numeric: options.natural,
+      }) || byName(a, b),
+  }[options.sort];
+
+  return [...items].sort((a, b) => (options.reverse ? -compare(a, b) : compare(a, b)));
+};
+
+/**
+ * Get the properties of all of the items in a directory, sorted with folders first. The items are
+ * not filtered or limited (apart from hidden items), so that with `-R`, every folder is read, even if
+ * it is not shown. Use `_selectItems()` to get the items to show.
+ *
+ * Each item has its `name`, `type` (`"folder"` or `"file"`) and if it is a symbolic link (`isSymlink`).
+ * Symbolic links to directories are folders, but are never listed recursively, so that they cannot loop.
+ *
+ * Options:
+ * - `all`: If hidden items (see `_isHidden()`) are included.
+ * - `sort`, `reverse` and `natural`: How the items are sorted (see `_sortItems()`).
+ * - `long`: If the details for the long view are included. These are the `mode` (see `_modeString()`),
+ * the names of the `owner` and `group` (their IDs if the names are not known, and `null` on Windows), the
+ * `size` in bytes, when it was `modified` and the `target` of symbolic links (else, `null`).
+ * - `recursive`: If the items of each folder are included in its `children`.
+ *
+ * @param {string} dir The directory to get the items of.
+ * @param {{ all: boolean, long: boolean, recursive: boolean }} options Options to change which items and properties are included.
+ * @param {{ users: Map<number, string>, groups: Map<number, string> }} names Optional. The names of the users and groups, from `_ownerNames()`.
+ * @returns {object[]} The items, with folders first.
+ */
+const _readItems = (dir, options, names = options.long ? _ownerNames() : null) => {
+  const stats = new Map();
+
+  let items = fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((dirent) => options.all || !_isHidden(dirent.name))
+    .map((dirent) => {
+      const itemPath = path.join(dir, dirent.name);
+      const isSymlink = dirent.isSymbolicLink();
+
+      // Symbolic links have the type of their target, which is a file if the target does not exist
+      let isDirectory = dirent.isDirectory();
+      if (isSymlink) {
+        try {
+          isDirectory = fs.statSync(itemPath).isDirectory();
+        } catch {}
+      }
+
+      const item = { name: dirent.name, type: isDirectory ? "folder" : "file", isSymlink };
+
+      if (options.long || options.sort === "size" || options.sort === "mtime")
+        stats.set(item, fs.lstatSync(itemPath));
+
+      if (options.long) {
+        const itemStats = stats.get(item);
+        const isWindows = process.platform === "win32";
 
-    if (i % 3 === 0 && options.short) {
-      // If there are already three rows and the user requested a short view, make a new column
-      Verbose.custom("Three rows and short view, making new column...");
-      dirStr += "\n";
-    } else if (!options.short && i !== Object.keys(contents).length) {
-      // If the user wanted the normal view and 'i' is not the final occurrence
-      dirStr += "\n";
+        item.mode = _modeString(itemStats);
+        item.owner = isWindows ? null : names.users.get(itemStats.uid) ?? String(itemStats.uid);
+        item.group = isWindows ? null : names.groups.get(itemStats.gid) ?? String(itemStats.gid);
+        item.size = itemStats.size;
+        item.modified = itemStats.mtime.toISOString();
+        item.target = isSymlink ? fs.readlinkSync(itemPath) : null;
+      }
+
+      return item;
+    });
+
+  items = _sortItems(items, stats, options);
+
+  // Folders first, and then files
+  items = items
+    .filter((item) => item.type === "folder")
+    .concat(items.filter((item) => item.type === "file"));
+
+  if (options.recursive) {
+    for (const item of items) {
+      if (item.type !== "folder" || item.isSymlink) continue;
+
+      const itemPath = path.join(dir, item.name);
+      try {
+        item.children = _readItems(itemPath, options, names);
+      } catch (err) {
+        if (err.code !== "EPERM" && err.code !== "EACCES") throw err;
+
+        Verbose.permError();
+        Errors.noPermissions("read the directory", itemPath);
+        item.children = [];
+      }
     }
   }
 
-  return dirStr + "\n";
+  return items;
+};
+
+/**
+ * Get the items of a directory that are shown, which are filtered and limited in that order.
+ *
+ * Options:
+ * - `only`: The type of items to show (see `ONLY_TYPES`), or `null` for all of them.
+ * - `filter`: A glob pattern that the names of the items must match, or `null`.
+ * - `limit`: The maximum number of items to show, or `null` for all of them.
+ *
+ * @param {object[]} items The items of the directory, from `_readItems()`.
+ * @param {{ only: string, filter: string, limit: number }} options Options to change which items are shown.
+ * @returns {object[]} The items to show.
+ */
+const _selectItems = (items, options) => {
+  return items
+    .filter((item) => options.filter === null || _matchGlob(options.filter, item.name))
+    .filter((item) => options.only === null || ONLY_TYPES[options.only](item))
+    .slice(0, options.limit ?? items.length);
+};
+
+/**
+ * Get the items of a directory to show as JSON. With `-R`, folders that are not shown
+ * (see `_selectItems()`) are still included if they have items inside of them that are,
+ * so that those items are not lost.
+ *
+ * @param {object[]} items The items of the directory, from `_readItems()`.
+ * @param {{ only: string, filter: string, limit: number }} options Options to change which items are shown.
+ * @returns {object[]} The items to show, where the `children` of each folder are also only the items to show.
+ */
+const _jsonItems = (items, options) => {
+  const selected = _selectItems(items, options);
+
+  return items
+    .map((item) =>
+      typeof item.children === "undefined"
+        ? item
+        : { ...item, children: _jsonItems(item.children, options) }
+    )
+    .filter((item, idx) => selected.includes(items[idx]) || item.children?.length > 0);
+};
+
+/**
+ * Color the name of an item depending on its type.
+ *
+ * @param {{ name: string, type: string, isSymlink: boolean }} item The item to color.
+ * @param {boolean} short If the item is in the short view, where folders have a background color.
+ * @returns {string} The colored name.
+ */
+const _colorName = (item, short) => {
+  if (item.type === "file" && item.isSymlink) {
+    // Is file and is a symbolic link
+    return chalk.red(item.name);
+  } else if (item.type === "folder" && item.isSymlink) {
+    // Is folder and is symbolic link
+    return short ? chalk.bgRed(` ${item.name} `) : chalk.bold.red(item.name);
+  } else if (item.type === "file") {
+    // Is file
+    return chalk.green(item.name);
+  } else if (_isHidden(item.name) || item.name.startsWith("_") || item.name.startsWith("$")) {
+    // Is folder and is most likely hidden
+    return short ? chalk.bgGrey(` ${item.name} `) : chalk.bold.grey(item.name);
+  } else {
+    // Is folder
+    return short ? chalk.bgBlue(` ${item.name} `) : chalk.bold.blue(item.name);
+  }
+};
+
+/**
+ * Lay out the items in as many columns as fit in the width of the terminal.
+ *
+ * @param {{ name: string, type: string, isSymlink: boolean }[]} items The items to lay out.
+ * @returns {string} The rows of items.
+ */
+const _renderShort = (items) => {
+  // Folders have a space on either side of their name in the short view
+  const widthOf = (item) => item.name.length + (item.type === "folder" ? 2 : 0);
+
+  Verbose.custom("Finding the number of columns that fit in the terminal...");
+  const columnWidth = Math.max(...items.map(widthOf)) + COLUMN_GAP;
+  const columns = Math.max(
+    1,
+    Math.floor(((process.stdout.columns ?? DEFAULT_WIDTH) + COLUMN_GAP) / columnWidth)
+  );
+
+  const rows = [];
+  for (let i = 0; i < items.length; i += columns) {
+    rows.push(
+      items
+        .slice(i, i + columns)
+        .map((item) => _colorName(item, true) + " ".repeat(columnWidth - widthOf(item)))
+        .join("")
+        .trimEnd()
+    );
+  }
+
+  return rows.join("\n");
+};
+
+/**
+ * Lay out the items with their details, one item on each line.
+ *
+ * @param {object[]} items The items to lay out, with the details from `_readItems()`.
+ * @param {boolean} human If the sizes should be human-readable (see `_formatSize()`).
+ * @returns {string} The lines of items.
+ */
+const _renderLong = (items, human) => {
+  const rows = items.map((item) => [
+    item.mode,
+    item.owner ?? "-",
+    item.group ?? "-",
+    _formatSize(item.size, human),
+    _formatDate(new Date(item.modified)),
+  ]);
+
+  // The width of each column is the width of its longest value
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+
+  return items
+    .map((item, idx) => {
+      const [mode, owner, group, size, modified] = rows[idx];
+      const target = item.target !== null ? ` -> ${chalk.italic(item.target)}` : "";
+
+      return `${chalk.dim(mode)}  ${owner.padEnd(widths[1])}  ${group.padEnd(
+        widths[2]
+      )}  ${size.padStart(widths[3])}  ${chalk.dim(modified)}  ${_colorName(item, false)}${target}`;
+    })
+    .join("\n");
+};
+
+/**
+ * Show the items of a directory (see `_selectItems()`), and then the items of each folder in it if they
+ * were read recursively. Every folder is shown recursively, even if it is not shown in the directory.
+ *
+ * @param {string} dir The path of the directory.
+ * @param {object[]} allItems All of the items of the directory, from `_readItems()`.
+ * @param {{ short: boolean, long: boolean, human: boolean, recursive: boolean }} options Options to change how the items are shown.
+ */
+const _showItems = (dir, allItems, options) => {
+  const items = _selectItems(allItems, options);
+  if (options.recursive) Streams.log(chalk.bold.underline(`${dir}:`));
+
+  if (items.length === 0) {
+    Verbose.custom("No files or folders were detected in the directory...");
+    Streams.log(chalk.yellow("There are no files/directories in the directory.\n"));
+  } else if (options.long) {
+    Verbose.custom("Logging directory contents in long view...");
+    Streams.log(`${_renderLong(items, options.human)}\n`);
+  } else if (options.short) {
+    Verbose.custom("Logging directory contents in short form...");
+    Streams.log(`${_renderShort(items)}\n`);
+  } else {
+    Verbose.custom("Logging directory contents in long form...");
+    Streams.log(`${items.map((item) => _colorName(item, false)).join("\n")}\n`);
+  }
+
+  for (const item of allItems) {
+    if (typeof item.children !== "undefined")
+      _showItems(path.join(dir, item.name), item.children, options);
+  }
 };
 
 /**
  * List the contents of a directory. For use in the
  * BubbleOS CLI shell only!
  *
- * There is a known bug where the contents, if viewed
- * in short view, will look a bit 'off' if a file or
- * directory in the directory has a lot of characters.
- * This will be fixed in the next released version. (yeah right)
+ * Hidden items (which start with a `.`) are only
+ * shown if `-a` is passed.
+ *
+ * Flags with a single letter can be combined (e.g.
+ * `-la` for `-l -a`). If one of the letters is not a
+ * flag, an error is shown instead.
  *
  * Available arguments:
- * - `-s`: View the contents in a shorter view
- * (rows/columns).
+ * - `-s`: View the contents in a shorter view, with
+ * as many columns as fit in the terminal.
+ * - `-l`: View the contents with their permissions,
+ * owner, group, size, the date they were modified,
+ * and the target of symbolic links.
+ * - `-a`: Show hidden items.
+ * - `-h`: Show the sizes in the long view in the
+ * largest unit that they fit in (e.g. `1.5M`).
+ * - `-R`: Show the contents of each folder in the
+ * directory, and the folders in them, etc.
+ * - `--sort <key>`: Sort the contents by `name` (the
+ * default), `size` (largest first), `mtime` (newest
+ * first) or `ext`. Folders are always shown first.
+ * - `-r`: Reverse the order of the contents.
+ * - `--natural`: Compare numbers in names by their
+ * value, so that `file2` comes before `file10`.
+ * - `--only <type>`: Only show `files`, `dirs` or
+ * `links`.
+ * - `--filter <pattern>`: Only show the contents
+ * whose names match a glob pattern (e.g. `"*.js"`).
+ * - `--limit <number>`: Only show the first number
+ * of items (e.g. the newest ten files with
+ * `ls --only files --sort mtime --limit 10`).
+ * - `--json`: Show the contents as JSON, which is an
+ * array of the items from `_readItems()` that are
+ * shown, with folders first.
  *
  * @param {string} dir Optional: the directory to view the contents in. By default, it uses the current working directory.
  * @param {...string} args Arguments to change the behavior of `ls`.
  */
-const ls = (dir = `"${process.cwd()}"`, ...args) => {
+const ls = (dir = process.cwd(), ...args) => {
   try {
     Verbose.initArgs();
-    let short = args.includes("-s") || dir === "-s";
-    if (dir === "-s") dir = process.cwd();
+    // Flags can be passed before the directory, or without one (e.g. 'ls -l src' or 'ls -s')
+    args = [dir, ...args];
 
-    Verbose.parseQuotes();
-    dir = _parseDoubleQuotes([dir, ...args])[0];
+    // Combined flags are split into each flag (e.g. '-la' into '-l' and '-a')
+    const isCombined = (arg, idx) =>
+      /^-[A-Za-z]{2,}$/.test(arg) && !VALUE_FLAGS.includes(args[idx - 1]);
+    const unknown = args
+      .filter(isCombined)
+      .flatMap((arg) => [...arg.slice(1)])
+      .find((letter) => !SHORT_FLAGS.includes(`-${letter}`));
+    if (typeof unknown !== "undefined") {
+      Errors.unknown("use the flag", `-${unknown}`);
+      return;
+    }
+    args = args.flatMap((arg, idx) =>
+      isCombined(arg, idx) ? [...arg.slice(1)].map((letter) => `-${letter}`) : [arg]
+    );
+    dir =
+      args.find((arg, idx) => !arg.startsWith("-") && !VALUE_FLAGS.includes(args[idx - 1])) ??
+      process.cwd();
+
+    // Get the value after a flag, which is 'null' if the flag has no value
+    const valueOf = (flag) => {
+      const idx = args.indexOf(flag);
+      if (idx === -1) return undefined;
+      return typeof args[idx + 1] === "undefined" || args[idx + 1].startsWith("--")
+        ? null
+        : args[idx + 1];
+    };
+    const sort = valueOf("--sort");
+    const only = valueOf("--only");
+    const filter = valueOf("--filter");
+    const limit = valueOf("--limit");
+
+    const options = {
+      short: args.includes("-s"),
+      long: args.includes("-l"),
+      all: args.includes("-a"),
+      human: args.includes("-h"),
+      recursive: args.includes("-R"),
+      sort: sort ?? "name",
+      reverse: args.includes("-r"),
+      natural: args.includes("--natural"),
+      only: only ?? null,
+      filter: filter ?? null,
+      limit: typeof limit === "string" ? Number(limit) : null,
+    };
+    const asJson = OutputFormat.isJson(args);
+
+    Verbose.custom("Checking the sorting and filtering options...");
+    if (sort === null) {
+      Errors.enterParameter("what to sort by", "ls --sort mtime");
+      return;
+    } else if (!SORT_KEYS.includes(options.sort)) {
+      Errors.unknown("sort by", sort);
+      return;
+    } else if (only === null) {
+      Errors.enterParameter("the type of items to show", "ls --only files");
+      return;
+    } else if (options.only !== null && !Object.keys(ONLY_TYPES).includes(options.only)) {
+      Errors.unknown("only show", only);
+      return;
+    } else if (filter === null) {
+      Errors.enterParameter("a pattern to filter by", 'ls --filter "*.js"');
+      return;
+    } else if (limit === null) {
+      Errors.enterParameter("the number of items to show", "ls --limit 10");
+      return;
+    } else if (typeof limit === "string" && !/^[1-9]\d*$/.test(limit)) {
+      Verbose.custom("Detected invalid characters passed into the limit...");
+      Errors.invalidCharacters("limit", "positive whole numbers", "letters/symbols", limit);
+      return;
+    }
 
     Verbose.initChecker();
     const dirChk = new Checks(dir);
@@ -124,44 +547,23 @@ const ls = (dir = `"${process.cwd()}"`, ...args) => {
 
     // Get all properties about each file and directory in a directory
     Verbose.custom("Getting properties of all file and folders in directory...");
-    const items = fs
-      .readdirSync(dir, { withFileTypes: true })
-      .map((item) => ({
-        name: item.name,
-        type: item.isDirectory() ? "folder" : "file",
-        isSymlink: item.isSymbolicLink(),
-      }))
-      .sort();
-
-    // Filter all items by 'folder' first and then 'file'
-    Verbose.custom("Sorting items by folder first and then files...");
-    const all = items
-      .filter((item) => item.type === "folder")
-      .concat(items.filter((item) => item.type === "file"));
-
-    // If there is nothing in the directory
-    if (all.length === 0) {
-      Verbose.custom("No files or folders were detected in the directory...");
-      console.log(chalk.yellow("There are no files/directories in the directory.\n"));
+    const items = _readItems(dir, options);
+
+    if (asJson) {
+      Verbose.custom("Showing directory contents as JSON...");
+      OutputFormat.json(_jsonItems(items, options));
       return;
     }
 
-    const options = { short };
-    if (short) {
-      // If the user wanted a short view, find the longest filename for the file/directory
-      Verbose.custom("Finding longest file/folder name...");
-      const maxLength = Math.max(...all.map((el) => el.name.length));
-      options.max = maxLength * 2;
-
-      Verbose.custom("Logging directory contents in short form...");
-      console.log(_logDirContents(all, options));
+    _showItems(dir, items, options);
+  } catch (err) {
+    if (err.code === "EPERM" || err.code === "EACCES") {
+      Verbose.permError();
+      Errors.noPermissions("read the directory", dir);
     } else {
-      Verbose.custom("Logging directory contents in long form...");
-      console.log(_logDirContents(all, options));
+      Verbose.fatalError();
+      _fatalError(err);
     }
-  } catch (err) {
-    Verbose.fatalError();
-    _fatalError(err);
   }
 };
 
@@ -2,7 +2,6 @@ const chalk = require("chalk");
 const fs = require("fs");
 const path = require("path");
 
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 const _convertAbsolute = require("../functions/convAbs");
 const _caseSensitivePath = require("../functions/caseSensitivePath");
 const _fatalError = require("../functions/fatalError");
@@ -11,6 +10,7 @@ const _promptForYN = require("../functions/promptForYN");
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
 const InfoMessages = require("../classes/InfoMessages");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -34,6 +34,8 @@ const Verbose = require("../classes/Verbose");
  * - `-s`: Silence all outputs to the standard output,
  * which includes the success message. Only error
  * messages are shown.
+ * - `-y`: Automatically accept the prompt to delete
+ * the directory if it already exists.
  *
  * @param {string} dir The directory/directories that should be created. Both absolute and relative directories are accepted.
  * @param {...string} args Arguments to change the behavior of `mkdir()`. Available arguments are listed above.
@@ -41,16 +43,16 @@ const Verbose = require("../classes/Verbose");
 const mkdir = (dir, ...args) => {
   try {
     // Converts directory to an absolute path and corrects
-    // casing on Windows, and resolves spaces
+    // casing on Windows
     Verbose.pathAbsolute(dir);
-    Verbose.parseQuotes();
-    dir = _caseSensitivePath(_convertAbsolute(_parseDoubleQuotes([dir, ...args])[0]));
+    dir = _caseSensitivePath(_convertAbsolute(dir));
 
     Verbose.initChecker();
     const dirChk = new Checks(dir);
 
     Verbose.initArgs();
     const silent = args?.includes("-s");
+    const confirm = !args?.includes("-y");
 
     if (dirChk.paramUndefined()) {
       Verbose.chkEmpty();
@@ -61,6 +63,7 @@ const mkdir = (dir, ...args) => {
     if (dirChk.doesExist()) {
       Verbose.promptUser();
       if (
+        !confirm ||
         _promptForYN(
           `The directory, '${chalk.italic(
             path.basename(dir)
@@ -83,7 +86,7 @@ const mkdir = (dir, ...args) => {
           return;
         }
       } else {
-        console.log(chalk.yellow("Process aborted.\n"));
+        Streams.log(chalk.yellow("Process aborted.\n"));
         return;
       }
     }
@@ -102,7 +105,7 @@ const mkdir = (dir, ...args) => {
 
     // If the user didn't request for silence, show the success message, else, show a newline
     if (!silent) InfoMessages.success(`Successfully made the directory ${chalk.bold(dir)}.`);
-    else console.log();
+    else Streams.log();
   } catch (err) {
     if (err.code === "ENOENT") {
       // In the case that the recursive option is disabled,
@@ -3,15 +3,17 @@ const chalk = require("chalk");
 const path = require("path");
 const { question, questionInt } = require("readline-sync");
 
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 const _convertAbsolute = require("../functions/convAbs");
 const _caseSenstivePath = require("../functions/caseSensitivePath");
 const _fatalError = require("../functions/fatalError");
 const _promptForYN = require("../functions/promptForYN");
+const { _canAsk } = require("../functions/promptPolicy");
+const { STRICT_DIRECTIVE_REGEX } = require("../functions/parseScript");
 
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
 const InfoMessages = require("../classes/InfoMessages");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -26,10 +28,21 @@ const Verbose = require("../classes/Verbose");
  * as `ENAMETOOLONG`, but Windows will show it as
  * `EINVAL`.
  *
+ * New `.bub` files start with the `#strict` directive
+ * (if it was not added), so that they stop at the first
+ * line that fails. It is added after the `#!` line, if
+ * there is one.
+ *
+ * As the contents of the file are entered by the user,
+ * this command cannot be used if the user cannot be
+ * asked for input (see `_canAsk()`).
+ *
  * Available arguments:
  * - `-s`: Silence all outputs to the standard output,
  * which includes the success message. Only error
  * messages are shown.
+ * - `-y`: Automatically accept the prompt to delete
+ * the file if it already exists.
  *
  * @param {string} file The file that should be created. Both absolute and relative paths are accepted.
  * @param {...string} args Arguments to change the behavior of `mkfile()`. Available arguments are listed above.
@@ -37,16 +50,16 @@ const Verbose = require("../classes/Verbose");
 const mkfile = (file, ...args) => {
   try {
     // Converts path to an absolute path and corrects
-    // casing on Windows, and resolves spaces
+    // casing on Windows
     Verbose.pathAbsolute(file);
-    Verbose.parseQuotes();
-    file = _caseSenstivePath(_convertAbsolute(_parseDoubleQuotes([file, ...args])[0]));
+    file = _caseSenstivePath(_convertAbsolute(file));
 
     Verbose.initChecker();
     const fileChk = new Checks(file);
 
     Verbose.initArgs();
     const silent = args?.includes("-s");
+    const confirm = !args?.includes("-y");
 
     if (fileChk.paramUndefined()) {
       Verbose.chkEmpty();
@@ -54,9 +67,17 @@ const mkfile = (file, ...args) => {
       return;
     }
 
+    // Checked before the file is deleted, so that it is not deleted if it cannot be made again
+    Verbose.custom("Checking if the contents of the file can be asked for...");
+    if (!_canAsk()) {
+      Errors.promptNotAllowed("the contents of the file");
+      return;
+    }
+
     if (fileChk.doesExist()) {
       Verbose.promptUser();
       if (
+        !confirm ||
         _promptForYN(
           `The file, '${chalk.italic(
             path.basename(file)
@@ -79,7 +100,7 @@ const mkfile = (file, ...args) => {
           return;
         }
       } else {
-        console.log(chalk.yellow("Process aborted.\n"));
+        Streams.log(chalk.yellow("Process aborted.\n"));
         return;
       }
     }
@@ -105,17 +126,25 @@ const mkfile = (file, ...args) => {
       const input = question("> ");
 
       if (input.toUpperCase() === "!SAVE") {
+        if (
+          path.extname(file) === ".bub" &&
+          !contents.some((line) => STRICT_DIRECTIVE_REGEX.test(line.trim()))
+        ) {
+          Verbose.custom("Adding the '#strict' directive to the start of the '.bub' file...");
+          contents.splice(contents[0]?.startsWith("#!") ? 1 : 0, 0, "#strict");
+        }
+
         // Save the new content to the file, ensuring no trailing newline
         Verbose.custom("Saving file with provided file contents...");
         fs.writeFileSync(file, contents.join("\n"), "utf8");
 
         // If the user requested output, show a success message, else, show a newline
         if (!silent) InfoMessages.success(`Successfully made the file ${chalk.bold(file)}.`);
-        else console.log();
+        else Streams.log();
         return;
       } else if (input.toUpperCase() === "!CANCEL") {
         Verbose.custom("Discarding changes and removing file...");
-        console.log(chalk.yellow("Edits discarded and process aborted."));
+        Streams.log(chalk.yellow("Edits discarded and process aborted."));
         return;
       } else if (input.toUpperCase() === "!EDIT") {
         if (contents.length === 0) {
@@ -8,6 +8,7 @@ const _fatalError = require("../functions/fatalError");
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
 const InfoMessages = require("../classes/InfoMessages");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 const _makeConnection = async (host, path = "", maxRedirects = 5) => {
@@ -104,7 +105,7 @@ const ping = async (host, ...args) => {
 
     Verbose.custom("Making connection...");
     const result = await _makeConnection(hostname[0], path);
-    console.log(result);
+    Streams.log(result);
   } catch (err) {
     if (err.code === "ENOTFOUND") {
       Verbose.custom("An error occurred while trying to ping the address.");
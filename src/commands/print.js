@@ -1,4 +1,5 @@
 const Checks = require("../classes/Checks");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -10,13 +11,13 @@ const print = (...text) => {
   // If no text passed, print nothing at all
   if (new Checks(text).paramUndefined()) {
     Verbose.chkEmpty();
-    console.log();
+    Streams.log();
     return;
   }
 
   // Print the text, and end it with a newline
   Verbose.custom("Printing text...");
-  console.log(`${text.join(" ")}\n`);
+  Streams.log(`${text.join(" ")}\n`);
 };
 
 module.exports = print;
@@ -3,7 +3,6 @@ const chalk = require("chalk");
 
 const { GLOBAL_NAME } = require("../variables/constants");
 
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 const _convertAbsolute = require("../functions/convAbs");
 const _caseSensitivePath = require("../functions/caseSensitivePath");
 const _promptForYN = require("../functions/promptForYN");
@@ -12,6 +11,7 @@ const _fatalError = require("../functions/fatalError");
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
 const InfoMessages = require("../classes/InfoMessages");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -27,45 +27,16 @@ const MAX_CHARS_CONFIRM = 5000;
 const MAX_CHARS_READ = 100_000;
 
 /**
- * Read a file in the BubbleOS CLI shell synchronously.
- * This has a character limit, that can be bypassed.
- *
- * BubbleOS has a limit on the number of characters
- * it can read (defined in `MAX_CHARS_READ`) and a
- * maximum number of characters before it confirms
- * that the user would like to read that many
- * characters (defined in `MAX_CHARS_CONFIRM`).
- * However, both can be bypassed using the `-y`
- * and `--ignore-max` flags for `MAX_CHARS_CONFIRM`
- * and `MAX_CHARS_READ`, respectively.
- *
- * Available arguments:
- * - `-y`: Bypass the confirmation of `MAX_CHARS_CONFIRM`.
- * - `--ignore-max`: Bypass the error of
- * `MAX_CHARS_READ`.
+ * Read a single file and log its contents, showing an error if it cannot be read.
  *
- * @param {string} file The file that should be read. Both absolute and relative paths are accepted.
- * @param {...string} args The arguments to modify the behavior of `readfile`. Available arguments are above.
+ * @param {string} file The absolute path to the file to read.
+ * @param {{ confirm: boolean, ignoreMax: boolean, showName: boolean }} options The options from the arguments, and if the name of the file should be shown above its contents.
  */
-const readfile = (file, ...args) => {
+const _readFile = (file, options) => {
   try {
-    // Converts path to an absolute path and corrects
-    // casing on Windows, and resolves spaces
-    file = _caseSensitivePath(_convertAbsolute(_parseDoubleQuotes([file, ...args])[0]));
-
     Verbose.initChecker();
     const fileChk = new Checks(file);
 
-    Verbose.initArgs();
-    const confirm = !args?.includes("-y");
-    const ignoreMax = args?.includes("--ignore-max");
-
-    if (fileChk.paramUndefined()) {
-      Verbose.chkEmpty();
-      Errors.enterParameter("a file", "readfile test.txt");
-      return;
-    }
-
     if (!fileChk.doesExist()) {
       Verbose.chkExists(file);
       Errors.doesNotExist("file", file);
@@ -90,13 +61,13 @@ const readfile = (file, ...args) => {
 
     // If the number of characters is greater than/equal to the maximum characters
     // that BubbleOS can read, and the user did not use the '--ignore-max' flag
-    if (chars >= MAX_CHARS_READ && !ignoreMax) {
+    if (chars >= MAX_CHARS_READ && !options.ignoreMax) {
       Verbose.custom("Detected too many characters to read.");
       InfoMessages.error(
         `Too many characters to read (${chars} characters). ${GLOBAL_NAME} only supports reading less than ${MAX_CHARS_READ} characters.`
       );
       return;
-    } else if (chars >= MAX_CHARS_CONFIRM && confirm) {
+    } else if (chars >= MAX_CHARS_CONFIRM && options.confirm) {
       // If the characters is greater than/equal to the number of characters before BubbleOS
       // must confirm that the user wishes to read this many lines, unless they've already pre-accepted
       Verbose.promptUser();
@@ -107,30 +78,79 @@ const readfile = (file, ...args) => {
           )}, has over ${MAX_CHARS_CONFIRM} characters (${chars} characters). Do you wish to continue?`
         )
       ) {
-        console.log(chalk.yellow("Process aborted.\n"));
+        Streams.log(chalk.yellow("Process aborted.\n"));
         return;
       }
 
-      console.log();
+      Streams.log();
     }
 
     // Log the file
     Verbose.custom("Reading file...");
-    console.log(fs.readFileSync(file, { encoding: "utf-8", flag: "r" }));
-    console.log();
+    if (options.showName) Streams.log(chalk.bold.underline(file));
+    Streams.log(contents);
+    Streams.log();
   } catch (err) {
     if (err.code === "EPERM") {
       Verbose.permError();
       Errors.noPermissions("read the file", file);
-      return;
     } else if (err.code === "EBUSY") {
       Verbose.inUseError();
       Errors.inUse("file", file);
-      return;
     } else {
-      Verbose.fatalError();
-      _fatalError(err);
+      throw err;
+    }
+  }
+};
+
+/**
+ * Read a file in the BubbleOS CLI shell synchronously.
+ * This has a character limit, that can be bypassed.
+ *
+ * BubbleOS has a limit on the number of characters
+ * it can read (defined in `MAX_CHARS_READ`) and a
+ * maximum number of characters before it confirms
+ * that the user would like to read that many
+ * characters (defined in `MAX_CHARS_CONFIRM`).
+ * However, both can be bypassed using the `-y`
+ * and `--ignore-max` flags for `MAX_CHARS_CONFIRM`
+ * and `MAX_CHARS_READ`, respectively.
+ *
+ * Multiple files can be passed (e.g. using a glob pattern like `*.txt`),
+ * in which case the name of each file is shown above its contents.
+ *
+ * Available arguments:
+ * - `-y`: Bypass the confirmation of `MAX_CHARS_CONFIRM`.
+ * - `--ignore-max`: Bypass the error of
+ * `MAX_CHARS_READ`.
+ *
+ * @param {...string} args The files that should be read, and the arguments to modify the behavior of `readfile`. Both absolute and relative paths are accepted. Available arguments are above.
+ */
+const readfile = (...args) => {
+  try {
+    Verbose.initArgs();
+    const confirm = !args?.includes("-y");
+    const ignoreMax = args?.includes("--ignore-max");
+
+    // Converts paths to absolute paths and corrects
+    // casing on Windows
+    Verbose.pathAbsolute();
+    const files = args
+      .filter((arg) => !arg.startsWith("-"))
+      .map((file) => _caseSensitivePath(_convertAbsolute(file)));
+
+    if (new Checks(files[0]).paramUndefined()) {
+      Verbose.chkEmpty();
+      Errors.enterParameter("a file", "readfile test.txt");
+      return;
+    }
+
+    for (const file of files) {
+      _readFile(file, { confirm, ignoreMax, showName: files.length > 1 });
     }
+  } catch (err) {
+    Verbose.fatalError();
+    _fatalError(err);
   }
 };
 
@@ -1,7 +1,6 @@
 const chalk = require("chalk");
 const fs = require("fs");
 
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 const _convertAbsolute = require("../functions/convAbs");
 const _caseSensitivePath = require("../functions/caseSensitivePath");
 const _promptForYN = require("../functions/promptForYN");
@@ -10,6 +9,7 @@ const _fatalError = require("../functions/fatalError");
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
 const InfoMessages = require("../classes/InfoMessages");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -32,10 +32,9 @@ const Verbose = require("../classes/Verbose");
  */
 const rename = (oldName, newName, ...args) => {
   try {
-    // Replace spaces and then convert the path to an absolute one to both the old and new names
+    // Convert the path to an absolute one to both the old and new names
     Verbose.pathAbsolute();
-    Verbose.parseQuotes();
-    [oldName, newName] = _parseDoubleQuotes([oldName, newName, ...args]).map((path) =>
+    [oldName, newName] = [oldName, newName].map((path) =>
       _caseSensitivePath(_convertAbsolute(path))
     );
 
@@ -54,7 +53,7 @@ const rename = (oldName, newName, ...args) => {
     }
 
     if (oldName === newName) {
-      console.log(chalk.yellow("The old and new names cannot be the same.\nProcess aborted.\n"));
+      Streams.log(chalk.yellow("The old and new names cannot be the same.\nProcess aborted.\n"));
       return;
     }
 
@@ -77,7 +76,7 @@ const rename = (oldName, newName, ...args) => {
           )} exists and will be overwritten. Do you want to continue?`
         )
       ) {
-        console.log(chalk.yellow("Process aborted.\n"));
+        Streams.log(chalk.yellow("Process aborted.\n"));
         return;
       }
     }
@@ -90,7 +89,7 @@ const rename = (oldName, newName, ...args) => {
       InfoMessages.success(
         `Successfully renamed ${chalk.bold(oldName)} to ${chalk.bold(newName)}.`
       );
-    else console.log();
+    else Streams.log();
   } catch (err) {
     if (err.code === "EPERM") {
       Verbose.permError();
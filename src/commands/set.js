@@ -0,0 +1,90 @@
+const chalk = require("chalk");
+
+const _fatalError = require("../functions/fatalError");
+
+const Errors = require("../classes/Errors");
+const Variables = require("../classes/Variables");
+const Streams = require("../classes/Streams");
+const Verbose = require("../classes/Verbose");
+
+/**
+ * Show a list of variables and their values, or a message if there are none.
+ *
+ * @param {[string, string][]} variables The names and values of the variables to show.
+ * @param {string} emptyMessage The message to show if there are no variables.
+ */
+const _showVariables = (variables, emptyMessage) => {
+  if (variables.length === 0) {
+    Verbose.custom("No variables detected.");
+    Streams.log(chalk.yellow(`${emptyMessage}\n`));
+    return;
+  }
+
+  for (const [name, value] of variables) {
+    Streams.log(`  ${chalk.bold.yellow(name)}=${value}`);
+  }
+
+  Streams.log();
+};
+
+/**
+ * Split text in the format `NAME=value` into the name and value of a variable,
+ * and show an error if it is not valid.
+ *
+ * @param {string} variable The text to split.
+ * @param {string} example An example of the command, used if the value is missing.
+ * @returns {{ name: string, value: string | undefined } | undefined} The name and value (which is `undefined` if there is no `=`), or `undefined` if the name is invalid.
+ */
+const _parseAssignment = (variable, example) => {
+  const separator = variable.indexOf("=");
+  const name = separator === -1 ? variable : variable.slice(0, separator);
+  const value = separator === -1 ? undefined : variable.slice(separator + 1);
+
+  Verbose.custom("Validating variable name...");
+  if (!Variables.validName(name)) {
+    Errors.invalidCharacters(
+      "variable name",
+      "letters, numbers and underscores",
+      "spaces, symbols or a number at the start",
+      name
+    );
+    return;
+  } else if (typeof value === "undefined" && typeof example !== "undefined") {
+    Errors.enterParameter("a value", example);
+    return;
+  }
+
+  return { name, value };
+};
+
+/**
+ * The `set` command, used to set the value of a variable, which
+ * can then be used in commands with `$NAME`, `${NAME}` or `%NAME%`.
+ *
+ * Variables that are set are not passed into programs started with `exec`,
+ * unless they are exported with the `export` command.
+ *
+ * If nothing is passed, all variables which have not been exported are shown.
+ *
+ * @param {...string} variable The variable to set, in the format `NAME=value`. If the value has spaces, they are kept.
+ */
+const set = (...variable) => {
+  try {
+    if (variable.length === 0) {
+      Verbose.custom("Showing all variables that are not exported...");
+      _showVariables(Variables.list(false), "No variables have been set yet.");
+      return;
+    }
+
+    const assignment = _parseAssignment(variable.join(" "), "set NAME=value");
+    if (typeof assignment === "undefined") return;
+
+    Verbose.custom(`Setting variable '${assignment.name}'...`);
+    Variables.set(assignment.name, assignment.value);
+  } catch (err) {
+    Verbose.fatalError();
+    _fatalError(err);
+  }
+};
+
+module.exports = { set, _showVariables, _parseAssignment };
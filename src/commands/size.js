@@ -1,6 +1,5 @@
 const chalk = require("chalk");
 
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 const _convertAbsolute = require("../functions/convAbs");
 const _caseSensitivePath = require("../functions/caseSensitivePath");
 const _convertSize = require("../functions/convSize");
@@ -9,6 +8,8 @@ const _getSize = require("../functions/getSize");
 
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
+const OutputFormat = require("../classes/OutputFormat");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -27,31 +28,27 @@ const _logSize = (sizeType, sizeValue) => {
 
   // The value was not ≤0
   Verbose.custom("Logging size...");
-  console.log(chalk.green(`${chalk.bold(formattedSize)} ${sizeType}`));
+  Streams.log(chalk.green(`${chalk.bold(formattedSize)} ${sizeType}`));
 };
 
 /**
- * Show the size of a file from the BubbleOS CLI.
+ * Find the size of a single file/directory, showing an error if it cannot be calculated.
+ *
+ * These fields are also the output of `size --json` (as an array with each path), so they should not be changed:
+ * - `path`: The absolute path to the file/directory.
+ * - `bytes`: The size of the file/directory in bytes.
  *
- * @param {string} path The file/directory to find the sizes of.
- * @param {...string} args The arguments to change the behavior of `size`.
+ * @param {string} path The absolute path to the file/directory to find the size of.
+ * @returns {{ path: string, bytes: number } | undefined} The size, or `undefined` if it could not be calculated.
  */
-const size = (path, ...args) => {
+const _measure = (path) => {
   try {
-    // Converts path to an absolute path and corrects
-    // casing on Windows, and resolves spaces
-    path = _caseSensitivePath(_convertAbsolute(_parseDoubleQuotes([path, ...args])[0]));
-
     Verbose.initChecker();
     const pathChk = new Checks(path);
 
-    if (pathChk.paramUndefined()) {
-      Verbose.chkEmpty();
-      Errors.enterParameter("a file", "size test.txt");
-      return;
-    } else if (!pathChk.doesExist()) {
+    if (!pathChk.doesExist()) {
       Verbose.chkExists();
-      Errors.doesNotExist("file/directory", file);
+      Errors.doesNotExist("file/directory", path);
       return;
     } else if (pathChk.pathUNC()) {
       Verbose.chkUNC();
@@ -60,47 +57,99 @@ const size = (path, ...args) => {
     }
 
     Verbose.custom("Calculating size...");
-    const totalSize = _getSize(path, pathChk.validateType() ? "directory" : "file");
-
-    // The size shortened to 2 decimal places
-    Verbose.custom("Converting size and shortening...");
-    const allSizes = _convertSize(totalSize, 2);
-
-    // Priority order of size units
-    const sizeLabels = ["GB", "MB", "KB", "bytes"];
-    const sizeValues = [allSizes.gigabytes, allSizes.megabytes, allSizes.kilobytes, allSizes.bytes];
-
-    console.log(`Size of ${path}:`);
-
-    Verbose.custom("Finding best unit of measurement to use...");
-    for (let i = 0; i < sizeValues.length; i++) {
-      if (sizeValues[i] > 0) {
-        // Adjust "bytes" to singular if the size is 1
-        const label = sizeLabels[i] === "bytes" && sizeValues[i] === 1 ? "byte" : sizeLabels[i];
-        _logSize(label, sizeValues[i]);
-
-        console.log();
-        return;
-      }
-    }
-
-    // If no meaningful size is found (totalSize is 0)
-    Verbose.custom("Filesize is 0 bytes, logging...");
-    console.log(chalk.yellow(`${chalk.bold("0")} bytes\n`));
+    return { path, bytes: _getSize(path, pathChk.validateType() ? "directory" : "file") };
   } catch (err) {
     if (err.code === "EPERM") {
       Verbose.permError();
       Errors.noPermissions("calculate the size of the file/directory", path);
-      return;
     } else if (err.code === "EBUSY") {
       Verbose.inUseError();
       Errors.inUse("file/directory", path);
-      return;
     } else {
-      Verbose.fatalError();
-      _fatalError(err);
+      throw err;
+    }
+  }
+};
+
+/**
+ * Show the size of a single file/directory from `_measure()`, in the best unit of measurement.
+ *
+ * @param {{ path: string, bytes: number }} size The size to show.
+ */
+const _showSize = ({ path, bytes }) => {
+  // The size shortened to 2 decimal places
+  Verbose.custom("Converting size and shortening...");
+  const allSizes = _convertSize(bytes, 2);
+
+  // Priority order of size units
+  const sizeLabels = ["GB", "MB", "KB", "bytes"];
+  const sizeValues = [allSizes.gigabytes, allSizes.megabytes, allSizes.kilobytes, allSizes.bytes];
+
+  Streams.log(`Size of ${path}:`);
+
+  Verbose.custom("Finding best unit of measurement to use...");
+  for (let i = 0; i < sizeValues.length; i++) {
+    if (sizeValues[i] > 0) {
+      // Adjust "bytes" to singular if the size is 1
+      const label = sizeLabels[i] === "bytes" && sizeValues[i] === 1 ? "byte" : sizeLabels[i];
+      _logSize(label, sizeValues[i]);
+
+      Streams.log();
+      return;
     }
   }
+
+  // If no meaningful size is found (totalSize is 0)
+  Verbose.custom("Filesize is 0 bytes, logging...");
+  Streams.log(chalk.yellow(`${chalk.bold("0")} bytes\n`));
+};
+
+/**
+ * Show the size of a file from the BubbleOS CLI.
+ *
+ * Multiple files/directories can be passed (e.g. using a glob pattern like `*.zip`),
+ * in which case the size of each one is shown.
+ *
+ * Available arguments:
+ * - `--json`: Show the sizes as JSON (see `_measure()`).
+ *
+ * @param {...string} paths The files/directories to find the sizes of, and the arguments to modify the behavior of `size`.
+ */
+const size = (...paths) => {
+  try {
+    Verbose.initArgs();
+    const asJson = OutputFormat.isJson(paths);
+
+    // Converts paths to absolute paths and corrects
+    // casing on Windows
+    Verbose.pathAbsolute();
+    paths = paths
+      .filter((path) => path !== "--json")
+      .map((path) => _caseSensitivePath(_convertAbsolute(path)));
+
+    if (new Checks(paths[0]).paramUndefined()) {
+      Verbose.chkEmpty();
+      Errors.enterParameter("a file", "size test.txt");
+      return;
+    }
+
+    const sizes = [];
+    for (const path of paths) {
+      const size = _measure(path);
+      if (typeof size === "undefined") continue;
+
+      if (asJson) sizes.push(size);
+      else _showSize(size);
+    }
+
+    if (asJson) {
+      Verbose.custom("Showing the sizes as JSON...");
+      OutputFormat.json(sizes);
+    }
+  } catch (err) {
+    Verbose.fatalError();
+    _fatalError(err);
+  }
 };
 
 module.exports = size;
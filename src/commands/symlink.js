@@ -3,7 +3,6 @@ const fs = require("fs");
 
 const { GLOBAL_NAME } = require("../variables/constants");
 
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 const _convertAbsolute = require("../functions/convAbs");
 const _caseSensitivePath = require("../functions/caseSensitivePath");
 const _fatalError = require("../functions/fatalError");
@@ -11,6 +10,7 @@ const _fatalError = require("../functions/fatalError");
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
 const InfoMessages = require("../classes/InfoMessages");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -44,16 +44,13 @@ const symlink = (path, newPath, ...args) => {
     const check = args.includes("-c") || newPath === "-c";
     const silent = args.includes("-s");
 
-    // Replace spaces and then convert to an absolute path
+    // Convert to an absolute path
     // Only if 'check' is false, convert the new path
     Verbose.pathAbsolute();
-    Verbose.parseQuotes();
     if (!check) {
-      [path, newPath] = _parseDoubleQuotes([path, newPath, ...args]).map((p) =>
-        _caseSensitivePath(_convertAbsolute(p))
-      );
+      [path, newPath] = [path, newPath].map((p) => _caseSensitivePath(_convertAbsolute(p)));
     } else {
-      path = _caseSensitivePath(_convertAbsolute(_parseDoubleQuotes([path, newPath, ...args])[0]));
+      path = _caseSensitivePath(_convertAbsolute(path));
     }
 
     Verbose.initChecker();
@@ -79,11 +76,11 @@ const symlink = (path, newPath, ...args) => {
       Verbose.custom("Checking if path is a symbolic link...");
       if (fs.lstatSync(path).isSymbolicLink()) {
         Verbose.custom("Path is a symbolic link.");
-        console.log(chalk.green(`The path, ${chalk.bold(path)}, is a symbolic link.`));
-        console.log(chalk.green.italic.dim(`(points to ${chalk.bold(fs.readlinkSync(path))})\n`));
+        Streams.log(chalk.green(`The path, ${chalk.bold(path)}, is a symbolic link.`));
+        Streams.log(chalk.green.italic.dim(`(points to ${chalk.bold(fs.readlinkSync(path))})\n`));
       } else {
         Verbose.custom("Path is not a symbolic link.");
-        console.log(chalk.red(`The path, ${chalk.bold(path)}, is not a symbolic link.\n`));
+        Streams.log(chalk.red(`The path, ${chalk.bold(path)}, is not a symbolic link.\n`));
       }
 
       return;
@@ -98,7 +95,7 @@ const symlink = (path, newPath, ...args) => {
           path
         )}.`
       );
-    else console.log();
+    else Streams.log();
   } catch (err) {
     if (err.code === "EPERM") {
       // If there are no permissions to make the symbolic link
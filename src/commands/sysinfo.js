@@ -11,6 +11,8 @@ const _friendlyOS = require("../functions/friendlyOS");
 const _fatalError = require("../functions/fatalError");
 
 const ConfigManager = require("../classes/ConfigManager");
+const OutputFormat = require("../classes/OutputFormat");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -95,6 +97,203 @@ const _fixVersion = (currentOSName) =>
     ? "Windows 11"
     : currentOSName;
 
+/**
+ * Collect the system information of the sections that were requested.
+ *
+ * These fields are also the output of `sysinfo --json`, so they should not be changed.
+ * Sections that were not requested are left out.
+ * - `computer`: `osName` (full name), `os`, `release`, `architecture`, `hostname` and `locale`.
+ * - `user`: `username`, `homeDirectory`, `tempDirectory`, and `gid`, `uid` and `shell` (which are `null` on Windows).
+ * - `resources`: `memoryUsed` and `memoryTotal` (in bytes), `cpuCores`, `uptime` (in seconds), and `battery`
+ * (`{ level, charging }`, where `level` is from `0` to `1`, or `null` if there is no battery).
+ * - `advanced`: `nullDevice`, `endianness` (`"BE"` or `"LE"`), `parallelism` (`null` if it is unknown) and `pid`.
+ * - `environment`: The environment variables, as an object of names and values.
+ *
+ * @param {{ computer: boolean, user: boolean, resources: boolean, advanced: boolean, environment: boolean }} sections The sections to collect.
+ * @returns {Promise<object>} The system information.
+ */
+const _collectInfo = async (sections) => {
+  const info = {};
+
+  if (sections.computer) {
+    Verbose.custom("Collecting computer information...");
+    info.computer = {
+      osName: _fixVersion(osName()),
+      os: _friendlyOS(),
+      release: os.release(),
+      architecture: process.arch,
+      hostname: os.hostname(),
+      locale: Intl.DateTimeFormat().resolvedOptions().locale,
+    };
+  }
+
+  if (sections.user) {
+    Verbose.custom("Collecting user information...");
+    const { gid, homedir, shell, uid, username } = os.userInfo();
+
+    // If the OS is Windows, GID, shell and UID are -1/null, so they are not known
+    const isWindows = process.platform === "win32";
+    info.user = {
+      username,
+      homeDirectory: homedir,
+      tempDirectory: os.tmpdir(),
+      gid: isWindows ? null : gid,
+      uid: isWindows ? null : uid,
+      shell: isWindows ? null : shell,
+    };
+  }
+
+  if (sections.resources) {
+    Verbose.custom("Collecting system resources...");
+    info.resources = {
+      memoryUsed: os.totalmem() - os.freemem(),
+      memoryTotal: os.totalmem(),
+      cpuCores: os.cpus().length,
+      uptime: os.uptime(),
+      battery: null,
+    };
+
+    // If the system does not have a battery, this will be caught,
+    // and therefore the battery will stay as 'null'
+    try {
+      const charging = await isCharging();
+      const level = await batteryLevel();
+
+      info.resources.battery = { level, charging };
+    } catch {}
+  }
+
+  if (sections.advanced) {
+    Verbose.custom("Collecting advanced information...");
+    info.advanced = {
+      nullDevice: os.devNull,
+      endianness: os.endianness(),
+      // On some operating systems, this value will throw an error if run
+      parallelism:
+        typeof os.availableParallelism === "undefined" ? null : os.availableParallelism(),
+      pid: process.pid,
+    };
+  }
+
+  if (sections.environment) {
+    Verbose.custom("Collecting environment variables...");
+    info.environment = { ...process.env };
+  }
+
+  return info;
+};
+
+/**
+ * Show the system information from `_collectInfo()` as formatted text.
+ *
+ * @param {object} info The system information to show.
+ */
+const _renderInfo = async (info) => {
+  if (typeof info.computer !== "undefined") {
+    Verbose.custom("Showing computer information...");
+    Streams.log(`${chalk.bold.underline("Computer Information")}`);
+
+    Streams.log(`Full OS name: ${chalk.bold(info.computer.osName)}`);
+    Streams.log(`Operating system: ${chalk.bold(info.computer.os)}`);
+    Streams.log(`Release: ${chalk.bold(info.computer.release)}`);
+    Streams.log(`Architecture: ${chalk.bold(info.computer.architecture)}`);
+    Streams.log(`Computer name: ${chalk.bold(info.computer.hostname)}`);
+    Streams.log(`Locale: ${chalk.bold(info.computer.locale)}`);
+
+    Streams.log();
+  }
+
+  if (typeof info.user !== "undefined") {
+    Verbose.custom("Showing user information...");
+    Streams.log(`${chalk.bold.underline("User Information")}`);
+
+    Streams.log(`Username: ${chalk.bold(info.user.username)}`);
+    Streams.log(`Home directory: ${chalk.bold(info.user.homeDirectory)}`);
+    Streams.log(`Temporary directory: ${chalk.bold(info.user.tempDirectory)}`);
+
+    // These are only known on operating systems other than Windows
+    if (info.user.gid !== null) {
+      Streams.log(`GID (group identifier): ${chalk.bold(info.user.gid)}`);
+      Streams.log(`UID (user identifier): ${chalk.bold(info.user.uid)}`);
+      Streams.log(`Shell: ${chalk.bold(info.user.shell)}`);
+    }
+
+    Streams.log();
+  }
+
+  if (typeof info.resources !== "undefined") {
+    Verbose.custom("Showing system resources...");
+    Streams.log(`${chalk.bold.underline("System Resources")}`);
+
+    // Show the memory out of the total memory in the color designated
+    Streams.log(
+      `Memory usage: ${chalk.bold(
+        await _determineColor(
+          "memory",
+          `${_convertSize(info.resources.memoryUsed, 2).gigabytes}GB/${
+            _convertSize(info.resources.memoryTotal, 2).gigabytes
+          }GB`
+        )
+      )}`
+    );
+    Streams.log(`CPU cores: ${chalk.bold(info.resources.cpuCores)}`);
+
+    const uptime = _convertTime(info.resources.uptime, 0).recommended;
+    Streams.log(`System uptime: ${chalk.bold(`${uptime.value} ${uptime.type}`)}`);
+
+    // If the system has a battery, show the battery information
+    const { battery } = info.resources;
+    if (battery !== null) {
+      // The Math.floor() is to prevent a floating-point precision
+      // error that can occur sometimes
+      Streams.log(
+        `Battery level: ${chalk.bold(
+          `${await _determineColor(
+            "battery",
+            Math.floor(battery.level * 100) + "%" + (battery.charging ? " (charging)" : ""),
+            { onCharge: battery.charging, batteryPercent: battery.level }
+          )}`
+        )}`
+      );
+    }
+
+    Streams.log();
+  }
+
+  if (typeof info.advanced !== "undefined") {
+    Verbose.custom("Showing advanced information...");
+    Streams.log(`${chalk.bold.underline("Advanced Information")}`);
+
+    Streams.log(`NULL device: ${chalk.bold(info.advanced.nullDevice)}`);
+    Streams.log(
+      `CPU endianness: ${chalk.bold(
+        info.advanced.endianness === "BE" ? "BE (big endian)" : "LE (little endian)"
+      )}`
+    );
+    Streams.log(
+      `Estimated default parallelism amount (program): ${chalk.bold(
+        info.advanced.parallelism ?? "N/A"
+      )}`
+    );
+    Streams.log(
+      `${GLOBAL_NAME} PID (process identification number): ${chalk.bold(info.advanced.pid)}`
+    );
+
+    Streams.log();
+  }
+
+  if (typeof info.environment !== "undefined") {
+    Verbose.custom("Showing environment variables...");
+    Streams.log(`${chalk.bold.underline("Environment Variables")}`);
+
+    for (const [key, value] of Object.entries(info.environment)) {
+      Streams.log(`${chalk.green(key)}: ${value}`);
+    }
+
+    Streams.log();
+  }
+};
+
 /**
  * Get system information about the computer from
  * the BubbleOS CLI shell.
@@ -110,6 +309,7 @@ const _fixVersion = (currentOSName) =>
  * - `-a`: Display advanced information.
  * - `-e`: Display environment variables.
  * - `--all`: Display all system information that is available.
+ * - `--json`: Show the information as JSON (see `_collectInfo()`).
  *
  * @param {...string} args Arguments to modify the behavior of `sysinfo`.
  */
@@ -123,132 +323,33 @@ const sysinfo = async (...args) => {
     const envVars = args?.includes("-e");
 
     const all = args?.includes("--all");
+    const asJson = OutputFormat.isJson(args);
 
     // In case no arguments were passed to modify what was shown, show that
     const defaultDisplay =
       !computerInfo && !userInfo && !sysResource && !advancedInfo && !envVars && !all;
 
-    // If the user either requested everything, just the computer info, or the default display
-    if (all || computerInfo || defaultDisplay) {
-      Verbose.custom("Showing computer information...");
-      console.log(`${chalk.bold.underline("Computer Information")}`);
-
-      console.log(`Full OS name: ${chalk.bold(_fixVersion(osName()))}`);
-      console.log(`Operating system: ${chalk.bold(_friendlyOS())}`);
-      console.log(`Release: ${chalk.bold(os.release())}`);
-      console.log(`Architecture: ${chalk.bold(process.arch)}`);
-      console.log(`Computer name: ${chalk.bold(os.hostname())}`);
-      console.log(`Locale: ${chalk.bold(Intl.DateTimeFormat().resolvedOptions().locale)}`);
-
-      console.log();
+    const info = await _collectInfo({
+      computer: all || computerInfo || defaultDisplay,
+      user: all || userInfo || defaultDisplay,
+      resources: all || sysResource || defaultDisplay,
+      advanced: all || advancedInfo,
+      environment: all || envVars,
+    });
+
+    if (asJson) {
+      Verbose.custom("Showing system information as JSON...");
+      OutputFormat.json(info);
+      return;
     }
 
-    // If the user either requested everything, just the user info, or the default display
-    if (all || userInfo || defaultDisplay) {
-      Verbose.custom("Showing user information...");
-      console.log(`${chalk.bold.underline("User Information")}`);
-
-      const { gid, homedir, shell, uid, username } = os.userInfo();
-
-      console.log(`Username: ${chalk.bold(username)}`);
-      console.log(`Home directory: ${chalk.bold(homedir)}`);
-      console.log(`Temporary directory: ${chalk.bold(os.tmpdir())}`);
-
-      // If the OS is Windows, GID, shell and UID are -1/null; so this is only shown to operating systems other than Windows
-      if (process.platform !== "win32") {
-        console.log(`GID (group identifier): ${chalk.bold(gid)}`);
-        console.log(`UID (user identifier): ${chalk.bold(uid)}`);
-        console.log(`Shell: ${chalk.bold(shell)}`);
-      }
-
-      console.log();
-    }
-
-    // If the user either requested everything, just the system resources, or the default display
-    if (all || sysResource || defaultDisplay) {
-      Verbose.custom("Showing system resources...");
-      console.log(`${chalk.bold.underline("System Resources")}`);
-
-      // Show the memory out of the total memory in the color designated
-      console.log(
-        `Memory usage: ${chalk.bold(
-          await _determineColor(
-            "memory",
-            `${_convertSize(os.totalmem() - os.freemem(), 2).gigabytes}GB/${
-              _convertSize(os.totalmem(), 2).gigabytes
-            }GB`
-          )
-        )}`
-      );
-      console.log(`CPU cores: ${chalk.bold(os.cpus().length)}`);
-
-      const uptime = _convertTime(os.uptime(), 0).recommended;
-      console.log(`System uptime: ${chalk.bold(`${uptime.value} ${uptime.type}`)}`);
-
-      // If the system has a battery, show the battery information
-      try {
-        // If the system does not have a battery, this will be caught,
-        // and therefore the code after this will not be run
-        const onCharge = await isCharging();
-        const batteryPercent = await batteryLevel();
-
-        // The Math.floor() is to prevent a floating-point precision
-        // error that can occur sometimes
-        console.log(
-          `Battery level: ${chalk.bold(
-            `${await _determineColor(
-              "battery",
-              Math.floor(batteryPercent * 100) + "%" + (onCharge ? " (charging)" : ""),
-              { onCharge, batteryPercent } // To minimize lag, pass the variables that were already defined
-            )}`
-          )}`
-        );
-      } catch {}
-
-      console.log();
-    }
-
-    // If the user either requested everything or the advanced info
-    if (all || advancedInfo) {
-      Verbose.custom("Showing advanced information...");
-      console.log(`${chalk.bold.underline("Advanced Information")}`);
-
-      console.log(`NULL device: ${chalk.bold(os.devNull)}`);
-      console.log(
-        `CPU endianness: ${chalk.bold(
-          os.endianness() === "BE" ? "BE (big endian)" : "LE (little endian)"
-        )}`
-      );
-
-      // On some operating systems, this value will throw an error if run
-      console.log(
-        `Estimated default parallelism amount (program): ${chalk.bold(
-          typeof os.availableParallelism === "undefined" ? "N/A" : os.availableParallelism()
-        )}`
-      );
-      console.log(`${GLOBAL_NAME} PID (process identification number): ${chalk.bold(process.pid)}`);
-
-      console.log();
-    }
-
-    // If the user either requested everything or the environment vars
-    if (all || envVars) {
-      Verbose.custom("Showing environment variables...");
-      console.log(`${chalk.bold.underline("Environment Variables")}`);
-
-      // Get the keys and values of all environment variables
-      for (const [key, value] of Object.entries(process.env)) {
-        console.log(`${chalk.green(key)}: ${value}`);
-      }
-
-      console.log();
-    }
+    await _renderInfo(info);
 
     const config = new ConfigManager();
 
     if (defaultDisplay && !config.getConfig().sysinfoTip) {
       Verbose.custom("Showing system information tip...");
-      console.log(
+      Streams.log(
         chalk.yellow.italic(
           `Tip: To get more system information, run ${chalk.italic("'sysinfo --all'")}.\n`
         )
@@ -9,6 +9,7 @@ const _fatalError = require("../functions/fatalError");
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
 const InfoMessages = require("../classes/InfoMessages");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -23,7 +24,7 @@ const _killSelfMsg = (pid, killSelf) => {
   // If the PID is equal to BubbleOS' PID and the user did not give permission to kill itself
   if (Number(pid) === process.pid && !killSelf) {
     Verbose.custom("Attempted to kill BubbleOS process...");
-    console.log(
+    Streams.log(
       chalk.yellow(
         `You cannot kill the ${GLOBAL_NAME} process. To exit ${GLOBAL_NAME}, run the '${chalk.italic(
           "exit"
@@ -74,7 +75,7 @@ const taskkill = async (processName, ...args) => {
     if (confirm) {
       Verbose.promptUser();
       if (!_promptForYN(`Are you sure you want to kill the process ${chalk.bold(processName)}?`)) {
-        console.log(chalk.yellow("Process aborted.\n"));
+        Streams.log(chalk.yellow("Process aborted.\n"));
         return;
       }
     }
@@ -88,7 +89,7 @@ const taskkill = async (processName, ...args) => {
       // If the user did not request output, show a newline, else, show the success message
       if (!silent)
         InfoMessages.success(`Successfully killed the process ${chalk.bold(processName)}.`);
-      else console.log();
+      else Streams.log();
     } else {
       const processes = await psList();
       const result = processes.find((obj) => obj.name === processName);
@@ -104,7 +105,7 @@ const taskkill = async (processName, ...args) => {
             // If the user did not request output, show a newline, else, show the success message
             if (!silent)
               InfoMessages.success(`Successfully killed the process ${chalk.bold(processName)}.`);
-            else console.log();
+            else Streams.log();
           } catch (err) {
             // In case there are some processes that have perm errors,
             // one error won't cause the command to terminate
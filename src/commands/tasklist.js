@@ -2,9 +2,10 @@ const chalk = require("chalk");
 const psList = require("ps-list");
 
 const _fatalError = require("../functions/fatalError");
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 
 const Checks = require("../classes/Checks");
+const OutputFormat = require("../classes/OutputFormat");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -12,13 +13,19 @@ const Verbose = require("../classes/Verbose");
  * a specific process. Useful for finding PIDs to kill
  * using `taskkill`.
  *
+ * Available arguments:
+ * - `--json`: Show the processes as JSON, which is an array
+ * of objects with the `name` and `pid` of each process, sorted
+ * by name. If there is a filter, only those processes are included.
+ *
  * @param {string} filter The filter for what process(es) to show.
  * @param {...string} args Arguments to modify the behavior of `tasklist`.
  */
 const tasklist = async (filter, ...args) => {
   try {
-    Verbose.parseQuotes();
-    filter = _parseDoubleQuotes([filter, ...args])[0];
+    Verbose.initArgs();
+    const asJson = OutputFormat.isJson([filter, ...args]);
+    if (filter === "--json") filter = args.shift();
 
     Verbose.initChecker();
     const filterUndefined = new Checks(filter).paramUndefined();
@@ -29,6 +36,16 @@ const tasklist = async (filter, ...args) => {
     Verbose.custom("Sorting processes by name...");
     processes.sort((a, b) => a.name.localeCompare(b.name));
 
+    if (asJson) {
+      Verbose.custom("Showing the processes as JSON...");
+      OutputFormat.json(
+        processes
+          .filter((process) => filterUndefined || process.name === filter)
+          .map(({ name, pid }) => ({ name, pid }))
+      );
+      return;
+    }
+
     let maxLength = 0;
     Verbose.custom("Finding the longest process name...");
     if (filterUndefined) {
@@ -42,7 +59,7 @@ const tasklist = async (filter, ...args) => {
 
     // Print the processes
     if (filterUndefined)
-      console.log(
+      Streams.log(
         `${chalk.bold.underline("Name") + "".padEnd(maxLength - 1)}${chalk.bold.underline("PID")}`
       );
 
@@ -51,27 +68,27 @@ const tasklist = async (filter, ...args) => {
       Verbose.custom("Checking if the process name matches the filter...");
       if (!filterUndefined && filter === process.name) {
         if (!foundFilter)
-          console.log(
+          Streams.log(
             `${chalk.bold.underline("Name") + "".padEnd(filter.length)} ${chalk.bold.underline(
               "PID"
             )}`
           );
         foundFilter = true;
-        console.log(`${chalk.bold(process.name.padEnd(maxLength))}     ${process.pid}`);
+        Streams.log(`${chalk.bold(process.name.padEnd(maxLength))}     ${process.pid}`);
       } else if (filterUndefined) {
-        console.log(`${chalk.bold(process.name.padEnd(maxLength))}   ${process.pid}`);
+        Streams.log(`${chalk.bold(process.name.padEnd(maxLength))}   ${process.pid}`);
       }
     });
 
     if (!foundFilter && !filterUndefined) {
       Verbose.custom("No processes found for the filter.");
-      console.log(
+      Streams.log(
         chalk.yellow(`No processes found for the name '${chalk.italic.bold(filter)}'.\n`)
       );
       return;
     }
 
-    console.log();
+    Streams.log();
   } catch (err) {
     Verbose.fatalError();
     _fatalError(err);
@@ -2,6 +2,8 @@ const chalk = require("chalk");
 
 const _fatalError = require("../functions/fatalError");
 
+const OutputFormat = require("../classes/OutputFormat");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -25,6 +27,35 @@ const _convertTime = (time) => {
   return time.join("");
 };
 
+/**
+ * Get the current time from the local machine.
+ *
+ * These fields are also the output of `time --json`, so they should not be changed:
+ * - `hours`: The hour, from `0` to `23`.
+ * - `minutes`: The minutes, from `0` to `59`.
+ * - `seconds`: The seconds, from `0` to `59`.
+ * - `twelveHour`: The time in 12-hour time (e.g. `"3:04:05 PM"`).
+ * - `twentyFourHour`: The time in 24-hour time (e.g. `"15:04:05"`).
+ *
+ * @returns {{ hours: number, minutes: number, seconds: number, twelveHour: string, twentyFourHour: string }} The current time.
+ */
+const _getTime = () => {
+  const rawTime = new Date();
+  const time = `${String(rawTime.getHours())}:${String(rawTime.getMinutes()).padStart(
+    2,
+    "0"
+  )}:${String(rawTime.getSeconds()).padStart(2, "0")}`;
+
+  return {
+    hours: rawTime.getHours(),
+    minutes: rawTime.getMinutes(),
+    seconds: rawTime.getSeconds(),
+    // The hours must have two digits to be converted (e.g. '05:15:17')
+    twelveHour: _convertTime(time.padStart(8, "0")),
+    twentyFourHour: time,
+  };
+};
+
 /**
  * Show the current time from the local machine.
  *
@@ -34,30 +65,31 @@ const _convertTime = (time) => {
  *
  * Available arguments:
  * - `-24`: Show the time in 24-hour time.
+ * - `--json`: Show the time as JSON (see `_getTime()`).
  *
  * @param {...string} args Arguments to modify the behavior of `time`.
  */
 const time = (...args) => {
   try {
-    // TODO fix bug in macOS/Linux where time will
-    // not show AM/PM in 12-hour time
     Verbose.initArgs();
     const isTwelveHours = !args.includes("-24");
 
     // Get the time
     Verbose.custom("Getting the time...");
-    const rawTime = new Date();
-    const time = `${String(rawTime.getHours())}:${String(rawTime.getMinutes()).padStart(
-      2,
-      "0"
-    )}:${String(rawTime.getSeconds()).padStart(2, "0")}`;
+    const time = _getTime();
+
+    if (OutputFormat.isJson(args)) {
+      Verbose.custom("Showing the time as JSON...");
+      OutputFormat.json(time);
+      return;
+    }
 
     // If the user wants the time in 24-hours, show it in raw format, else, convert it
     Verbose.custom("Printing the time in the specified format...");
-    if (isTwelveHours) console.log(chalk.bold(_convertTime(time)));
-    else console.log(chalk.bold(time));
+    if (isTwelveHours) Streams.log(chalk.bold(time.twelveHour));
+    else Streams.log(chalk.bold(time.twentyFourHour));
 
-    console.log();
+    Streams.log();
   } catch (err) {
     Verbose.fatalError();
     _fatalError(err);
@@ -4,6 +4,7 @@ const { GLOBAL_NAME } = require("../variables/constants");
 
 const _fatalError = require("../functions/fatalError");
 
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
@@ -56,7 +57,7 @@ const tips = (...args) => {
       const tip = availableTips.pop();
 
       Verbose.custom("Showing tip...");
-      console.log(chalk.hex("#FFA500")`${chalk.bold("TIP:")} ${tip}\n`);
+      Streams.log(chalk.hex("#FFA500")`${chalk.bold("TIP:")} ${tip}\n`);
       return;
     }
   } catch (err) {
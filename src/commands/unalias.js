@@ -0,0 +1,43 @@
+const _fatalError = require("../functions/fatalError");
+const { _getAliases } = require("./alias");
+
+const Errors = require("../classes/Errors");
+const Checks = require("../classes/Checks");
+const ConfigManager = require("../classes/ConfigManager");
+const Verbose = require("../classes/Verbose");
+
+/**
+ * The `unalias` command, used to remove aliases created with the `alias` command.
+ *
+ * @param {...string} names The names of the aliases to remove.
+ */
+const unalias = (...names) => {
+  try {
+    if (new Checks(names).paramUndefined()) {
+      Verbose.chkEmpty();
+      Errors.enterParameter("an alias", "unalias ll");
+      return;
+    }
+
+    const aliases = _getAliases();
+
+    for (const name of names) {
+      Verbose.custom(`Removing alias '${name}'...`);
+      if (!Object.hasOwn(aliases, name)) {
+        Verbose.custom(`Alias '${name}' was detected to not exist.`);
+        Errors.doesNotExist("alias", name);
+        continue;
+      }
+
+      delete aliases[name];
+    }
+
+    Verbose.custom("Saving aliases to configuration file...");
+    new ConfigManager().addData({ aliases });
+  } catch (err) {
+    Verbose.fatalError();
+    _fatalError(err);
+  }
+};
+
+module.exports = unalias;
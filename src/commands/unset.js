@@ -0,0 +1,34 @@
+const _fatalError = require("../functions/fatalError");
+
+const Errors = require("../classes/Errors");
+const Checks = require("../classes/Checks");
+const Variables = require("../classes/Variables");
+const Verbose = require("../classes/Verbose");
+
+/**
+ * The `unset` command, used to remove variables, including exported ones.
+ *
+ * @param {...string} names The names of the variables to remove.
+ */
+const unset = (...names) => {
+  try {
+    if (new Checks(names).paramUndefined()) {
+      Verbose.chkEmpty();
+      Errors.enterParameter("a variable", "unset NAME");
+      return;
+    }
+
+    for (const name of names) {
+      Verbose.custom(`Removing variable '${name}'...`);
+      if (!Variables.unset(name)) {
+        Verbose.custom(`Variable '${name}' was detected to not exist.`);
+        Errors.doesNotExist("variable", name);
+      }
+    }
+  } catch (err) {
+    Verbose.fatalError();
+    _fatalError(err);
+  }
+};
+
+module.exports = unset;
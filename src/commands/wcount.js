@@ -1,56 +1,82 @@
 const chalk = require("chalk");
 const fs = require("fs");
 
-const _parseDoubleQuotes = require("../functions/parseQuotes");
 const _convertAbsolute = require("../functions/convAbs");
 const _caseSensitivePath = require("../functions/caseSensitivePath");
 const _fatalError = require("../functions/fatalError");
 
 const Errors = require("../classes/Errors");
 const Checks = require("../classes/Checks");
+const OutputFormat = require("../classes/OutputFormat");
+const Streams = require("../classes/Streams");
 const Verbose = require("../classes/Verbose");
 
 /**
- * Count the number of words, lines, and characters
- * in a file.
+ * Count the number of lines, words and characters in text.
  *
- * Count the number of lines, words, characters with
- * whitespace and the opposite. In the scenario that
- * the characters with whitespace and the characters
- * without are the same, it will only show it as one
- * value.
+ * These fields are also the output of `wcount --json` (as an array with each file), so they should not be changed:
+ * - `path`: The absolute path to the file, or `null` if the text was piped in.
+ * - `lines`: The number of lines.
+ * - `words`: The number of words.
+ * - `characters`: The number of characters, including whitespace.
+ * - `charactersWithoutWhitespace`: The number of characters, excluding whitespace.
  *
- * Available arguments:
- * - `-l`: Only shows the number of lines in a file.
- * - `-w`: Only shows the number of words in a file.
- * - `-c`: Only shows the number of characters in a file.
+ * @param {string} contents The text to count.
+ * @param {string | null} path The absolute path to the file that the text is from, or `null` if it was piped in.
+ * @returns {{ path: string | null, lines: number, words: number, characters: number, charactersWithoutWhitespace: number }} The counts.
+ */
+const _count = (contents, path = null) => {
+  Verbose.custom("Counting words, lines, and characters...");
+  return {
+    path,
+    lines: contents.split("\n").length,
+    words: contents.split(" ").length,
+    characters: contents.length,
+    charactersWithoutWhitespace: contents.replaceAll(" ", "").length,
+  };
+};
+
+/**
+ * Log the counts from `_count()`.
  *
- * @param {string} file The file to count the words in.
- * @param {...string} args Arguments to modify the behavior of `wcount`.
+ * @param {{ lines: number, words: number, characters: number, charactersWithoutWhitespace: number }} data The counts to log.
+ * @param {{ lines: boolean, words: boolean, chars: boolean }} show Which counts to show. If none are `true`, all of them are shown.
  */
-const wcount = (file, ...args) => {
-  try {
-    // Converts path to an absolute path and corrects
-    // casing on Windows, and resolves spaces
-    Verbose.pathAbsolute(file);
-    Verbose.parseQuotes();
-    file = _caseSensitivePath(_convertAbsolute(_parseDoubleQuotes([file, ...args])[0]));
+const _logCounts = (data, show) => {
+  const all = !show.lines && !show.words && !show.chars;
 
-    Verbose.initChecker();
-    const fileChk = new Checks(file);
+  Verbose.custom("Displaying results...");
+  if (show.lines || all) Streams.log(`Lines: ${chalk.bold(data.lines)}`);
+  if (show.words || all) Streams.log(`Words: ${chalk.bold(data.words)}`);
 
-    Verbose.initArgs();
-    const lines = args?.includes("-l");
-    const words = args?.includes("-w");
-    const chars = args?.includes("-c");
+  if (show.chars || all) {
+    // If the characters with whitespace are the same as the characters without whitespace, just show one
+    if (data.characters === data.charactersWithoutWhitespace) {
+      Streams.log(`Characters: ${chalk.bold(data.characters)}`);
+    } else {
+      Streams.log(`Characters (including whitespace): ${chalk.bold(data.characters)}`);
+      Streams.log(
+        `Characters (excluding whitespace): ${chalk.bold(data.charactersWithoutWhitespace)}`
+      );
+    }
+  }
 
-    const all = !lines && !words && !chars;
+  Streams.log();
+};
 
-    if (fileChk.paramUndefined()) {
-      Verbose.chkEmpty();
-      Errors.enterParameter("a file", "wcount text.txt");
-      return;
-    } else if (!fileChk.doesExist()) {
+/**
+ * Count the number of words, lines, and characters in a single file,
+ * showing an error if it cannot be read.
+ *
+ * @param {string} file The absolute path to the file to count.
+ * @returns {object | undefined} The counts from `_count()`, or `undefined` if the file could not be read.
+ */
+const _countFile = (file) => {
+  try {
+    Verbose.initChecker();
+    const fileChk = new Checks(file);
+
+    if (!fileChk.doesExist()) {
       Verbose.chkExists(file);
       Errors.doesNotExist("file", file);
       return;
@@ -71,43 +97,99 @@ const wcount = (file, ...args) => {
     Verbose.custom("Reading contents of file provided...");
     const contents = fs.readFileSync(file, { encoding: "utf-8", flag: "r" });
 
-    Verbose.custom("Counting words, lines, and characters...");
-    const data = {
-      lines: contents.split("\n").length,
-      words: contents.split(" ").length,
-      charsWhite: contents.length,
-      charsNoWhite: contents.replaceAll(" ", "").length,
-    };
-
-    Verbose.custom("Displaying results...");
-    if (lines || all) console.log(`Lines: ${chalk.bold(data.lines)}`);
-    if (words || all) console.log(`Words: ${chalk.bold(data.words)}`);
-
-    if (chars || all) {
-      // If the characters with whitespace are the same as the characters without whitespace, just show one
-      if (data.charsWhite === data.charsNoWhite) {
-        console.log(`Characters: ${chalk.bold(data.charsWhite)}`);
-      } else {
-        console.log(`Characters (including whitespace): ${chalk.bold(data.charsWhite)}`);
-        console.log(`Characters (excluding whitespace): ${chalk.bold(data.charsNoWhite)}`);
-      }
-    }
-
-    console.log();
+    return _count(contents, file);
   } catch (err) {
     if (err.code === "EPERM") {
       Verbose.permError();
       Errors.noPermissions("read the file", file);
-      return;
     } else if (err.code === "EBUSY") {
       Verbose.inUseError();
       Errors.inUse("file", file);
-      return;
     } else {
-      Verbose.fatalError();
-      _fatalError(err);
+      throw err;
     }
   }
 };
 
+/**
+ * Count the number of words, lines, and characters
+ * in files, or in text that was piped into `wcount`.
+ *
+ * Count the number of lines, words, characters with
+ * whitespace and the opposite. In the scenario that
+ * the characters with whitespace and the characters
+ * without are the same, it will only show it as one
+ * value.
+ *
+ * Available arguments:
+ * - `-l`: Only shows the number of lines in a file.
+ * - `-w`: Only shows the number of words in a file.
+ * - `-c`: Only shows the number of characters in a file.
+ * - `--json`: Show all of the counts as JSON (see `_count()`).
+ *
+ * Multiple files can be passed (e.g. using a glob pattern like `**\/*.md`),
+ * in which case the counts of each file are shown under its name.
+ *
+ * If text was piped into `wcount` (e.g. `readfile test.txt | wcount`),
+ * no file is needed, and the piped text is counted instead.
+ *
+ * @param {...string} args The files to count the words in (not needed if text was piped in), and the arguments to modify the behavior of `wcount`.
+ */
+const wcount = (...args) => {
+  try {
+    Verbose.initArgs();
+    const show = {
+      lines: args?.includes("-l"),
+      words: args?.includes("-w"),
+      chars: args?.includes("-c"),
+    };
+    const asJson = OutputFormat.isJson(args);
+
+    // Converts paths to absolute paths and corrects
+    // casing on Windows
+    Verbose.pathAbsolute();
+    const files = args
+      .filter((arg) => !arg.startsWith("-"))
+      .map((file) => _caseSensitivePath(_convertAbsolute(file)));
+
+    // If text was piped in, and there are no files, count the piped text instead
+    Verbose.custom("Checking if text was piped in...");
+    if (Streams.isPiped() && files.length === 0) {
+      Verbose.custom("Text was piped in, skipping file checks...");
+      const counts = _count(Streams.read());
+
+      if (asJson) OutputFormat.json([counts]);
+      else _logCounts(counts, show);
+      return;
+    }
+
+    if (new Checks(files[0]).paramUndefined()) {
+      Verbose.chkEmpty();
+      Errors.enterParameter("a file", "wcount text.txt");
+      return;
+    }
+
+    const allCounts = [];
+    for (const file of files) {
+      const counts = _countFile(file);
+      if (typeof counts === "undefined") continue;
+
+      if (asJson) {
+        allCounts.push(counts);
+      } else {
+        if (files.length > 1) Streams.log(chalk.bold.underline(file));
+        _logCounts(counts, show);
+      }
+    }
+
+    if (asJson) {
+      Verbose.custom("Showing the counts as JSON...");
+      OutputFormat.json(allCounts);
+    }
+  } catch (err) {
+    Verbose.fatalError();
+    _fatalError(err);
+  }
+};
+
 module.exports = wcount;
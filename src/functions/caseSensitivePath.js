@@ -6,9 +6,10 @@ const fs = require("fs");
  * On Linux/macOS, it simply resolves the absolute path.
  *
  * @param {string} inputPath The input path to correct.
- * @returns {string} The correctly cased path or the fallback value.
+ * @returns {string} The correctly cased path or the fallback value (`undefined` if no path was passed).
  */
 const _caseSensitivePath = (inputPath) => {
+  if (typeof inputPath === "undefined") return;
   if (process.platform !== "win32") return path.resolve(inputPath);
 
   try {
@@ -0,0 +1,199 @@
+const fs = require("fs");
+const path = require("path");
+
+const { COMMANDS } = require("../variables/commands");
+const HELP = require("../variables/helpMessages");
+
+const _tokenize = require("./tokenize");
+
+const ConfigManager = require("../classes/ConfigManager");
+
+/**
+ * Characters that end a word when typing a command, outside of quotes.
+ */
+const WORD_BREAKS = [" ", "\t", "|", "&", ";", ">"];
+/**
+ * Operators that start a new command, so the next word is a command name.
+ */
+const COMMAND_SEPARATORS = ["|", "&&", "||", ";"];
+/**
+ * Characters that must be quoted in a path, so that it is read as a single word.
+ */
+const NEEDS_QUOTES = /[\s'"|&;>$%*?[{]/;
+/**
+ * Characters that separate directories in a path. On Windows, both slashes are used.
+ */
+const SEPARATORS = process.platform === "win32" ? ["/", "\\"] : ["/"];
+
+/**
+ * Quote a path if it contains spaces or other characters with a special meaning.
+ *
+ * By default, single quotes are used so that backslashes in Windows paths are kept,
+ * unless the path contains a single quote.
+ *
+ * @param {string} text The path to quote.
+ * @param {"'" | '"' | null} preferred The quote that the user started the path with, if any.
+ * @param {boolean} close If the quote is closed. Quotes are left open for directories, so that the rest of the path can be typed.
+ * @returns {string} The path, quoted if it needs to be.
+ */
+const _quote = (text, preferred = null, close = true) => {
+  if (preferred === null && !NEEDS_QUOTES.test(text)) return text;
+
+  const quote = preferred !== '"' && !text.includes("'") ? "'" : '"';
+  const escaped = quote === "'" ? text : text.replace(/["\\$%]/g, "\\$&");
+  return `${quote}${escaped}${close ? quote : ""}`;
+};
+
+/**
+ * Find all of the flags of a command, using the arguments in its help message.
+ *
+ * @param {string} command The name of the command, which can also be a hard alias (e.g. `dir`).
+ * @returns {string[]} The flags of the command (e.g. `["-s", "-y"]`).
+ */
+const _flagsOf = (command) => {
+  const name = Object.keys(HELP).find(
+    (key) => key === command || (COMMANDS[key] && COMMANDS[key] === COMMANDS[command])
+  );
+  if (typeof name === "undefined") return [];
+
+  return Object.keys(HELP[name].args).flatMap((arg) => arg.match(/--?[A-Za-z0-9][\w-]*/g) ?? []);
+};
+
+/**
+ * Find all of the names of commands, including aliases created with the `alias` command.
+ *
+ * @returns {string[]} The names of the commands.
+ */
+const _commandNames = () => {
+  const aliases = Object.keys(new ConfigManager().getConfig()?.aliases ?? {});
+
+  // The easter egg should stay hidden
+  return [...Object.keys(COMMANDS), ...aliases].filter((name) => name !== "C:\\con\\con");
+};
+
+/**
+ * Find all of the files and directories that start with a partial path.
+ * Directories end with a separator, so that the rest of the path can be typed straight away.
+ *
+ * @param {string} partial The partial path that was typed.
+ * @returns {string[]} The paths that start with the partial path.
+ */
+const _pathsStartingWith = (partial) => {
+  const lastSep = Math.max(...SEPARATORS.map((sep) => partial.lastIndexOf(sep)));
+  const dir = partial.slice(0, lastSep + 1);
+  const base = partial.slice(lastSep + 1);
+  const sep = lastSep === -1 ? path.sep : partial[lastSep];
+
+  let entries = [];
+  try {
+    entries = fs.readdirSync(path.resolve(process.cwd(), dir || "."), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const caseInsensitive = process.platform === "win32";
+  const matches = (name) =>
+    caseInsensitive ? name.toLowerCase().startsWith(base.toLowerCase()) : name.startsWith(base);
+
+  return entries
+    .filter((entry) => matches(entry.name) && (base.startsWith(".") || !entry.name.startsWith(".")))
+    .map((entry) => {
+      const isDir =
+        entry.isDirectory() ||
+        (entry.isSymbolicLink() &&
+          fs
+            .statSync(path.resolve(process.cwd(), dir || ".", entry.name), {
+              throwIfNoEntry: false,
+            })
+            ?.isDirectory());
+
+      return `${dir}${entry.name}${isDir ? sep : ""}`;
+    })
+    .sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Complete the word that is being typed at the end of a command, for use
+ * as the `completer` of a `readline` interface.
+ *
+ * The first word of a command is completed with the names of commands and aliases.
+ * Words starting with `-` are completed with the flags of the command (from `helpMessages.js`),
+ * and all other words are completed with paths relative to the current directory.
+ * Paths with spaces (or other special characters) are quoted automatically.
+ *
+ * @param {string} line The command that has been typed so far, up to the cursor.
+ * @returns {[string[], string]} The possible completions, and the text that they replace.
+ */
+const _complete = (line) => {
+  // Find where the word being typed starts, and if it is in quotes
+  let quote = null;
+  let wordStart = 0;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quote !== null) {
+      if (char === quote) quote = null;
+      else if (char === "\\" && quote === '"') i++;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "\\") {
+      i++;
+    } else if (WORD_BREAKS.includes(char)) {
+      wordStart = i + 1;
+    }
+  }
+
+  const raw = line.slice(wordStart);
+
+  let partial;
+  let before;
+  try {
+    partial = raw === "" ? "" : _tokenize(raw + (quote ?? ""))[0]?.value ?? "";
+    before = _tokenize(line.slice(0, wordStart));
+  } catch {
+    return [[], raw];
+  }
+
+  // Only look at the current command, and not the ones before it
+  const separator = before
+    .map((token) => COMMAND_SEPARATORS.includes(token.value))
+    .lastIndexOf(true);
+  const current = before.slice(separator + 1);
+  const last = current[current.length - 1];
+
+  const words = current.filter(
+    (token, idx) => token.type === "word" && current[idx - 1]?.type !== "operator"
+  );
+
+  // The file of a redirection is always a path
+  const isRedirect = last?.type === "operator";
+
+  let candidates;
+  if (!isRedirect && words.length === 0) {
+    candidates = _commandNames()
+      .filter((name) => name.startsWith(partial))
+      .sort()
+      .map((name) => `${name} `);
+  } else if (!isRedirect && partial.startsWith("-")) {
+    candidates = [...new Set(_flagsOf(words[0].value))]
+      .filter((flag) => flag.startsWith(partial))
+      .map((flag) => `${flag} `);
+  } else if (!isRedirect && words[0].value === "help") {
+    candidates = Object.keys(HELP)
+      .filter((name) => name.startsWith(partial))
+      .map((name) => `${name} `);
+  } else {
+    // Keep the quote that the user started the path with
+    const preferred = raw[0] === "'" || raw[0] === '"' ? raw[0] : null;
+
+    candidates = _pathsStartingWith(partial).map((candidate) =>
+      SEPARATORS.includes(candidate[candidate.length - 1])
+        ? _quote(candidate, preferred, false)
+        : `${_quote(candidate, preferred)} `
+    );
+  }
+
+  return [candidates, raw];
+};
+
+module.exports = { _complete, _flagsOf };
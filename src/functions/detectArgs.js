@@ -1,28 +1,38 @@
 const _fatalError = require("./fatalError");
 
+// Only the arguments before a command or '.bub' file are startup arguments,
+// so that the arguments of the command or file are not used by BubbleOS
 const args = process.argv.slice(2);
+const commandIdx = args.findIndex((arg) => !arg.startsWith("-"));
+const startupArgs = commandIdx === -1 ? args : args.slice(0, commandIdx);
 const arguments = {
   help: ["-h", "--help"],
   version: ["-v", "--version"],
   timebomb: ["--no-timebomb"],
   checks: ["--no-checks"],
-  warnings: ["--no-timebomb"],
+  warnings: ["--no-warnings"],
   intro: ["--no-intro"],
   dump: ["--no-dump"],
   reset: ["--reset"],
   verbose: ["--verbose"],
+  command: ["-c"],
+  stdin: ["-"],
+  yes: ["--yes"],
+  assumeNo: ["--assume-no"],
+  noPrompts: ["--no-prompts"],
+  json: ["--json"],
 };
 
 /**
  * Detects if the specified argument was passed into BubbleOS.
  *
- * @param {"help" | "version" | "timebomb" | "checks" | "warnings" | "intro" | "dump" | "reset" | "verbose"} argument The name of the argument defined in the `arguments` object.
+ * @param {"help" | "version" | "timebomb" | "checks" | "warnings" | "intro" | "dump" | "reset" | "verbose" | "command" | "stdin" | "yes" | "assumeNo" | "noPrompts" | "json"} argument The name of the argument defined in the `arguments` object.
  * @returns `false` if the argument was not passed into BubbleOS, `true` if it was.
  */
 const _detectArgs = (argument) => {
   try {
     if (!arguments[argument]) return false;
-    return args.some((arg) => arguments[argument].includes(arg));
+    return startupArgs.some((arg) => arguments[argument].includes(arg));
   } catch (err) {
     _fatalError(err);
   }
@@ -0,0 +1,72 @@
+const _tokenize = require("./tokenize");
+const _syntaxError = require("./syntaxError");
+
+/**
+ * Get the name of the command that an alias runs (the first word of the alias).
+ *
+ * @param {string} value The command that the alias runs.
+ * @returns {string | undefined} The name of the command, or `undefined` if the alias does not start with a word.
+ */
+const _firstWord = (value) => {
+  const [first] = _tokenize(value);
+  return first?.type === "word" ? first.value : undefined;
+};
+
+/**
+ * Find the loop that an alias is in, if there is one.
+ *
+ * An alias can run a command with the same name as itself (e.g. `ls` can
+ * be an alias for `ls -s`), as the command is not expanded again. Any other
+ * alias that leads back to an alias that was already expanded is a loop.
+ *
+ * @param {Object<string, string>} aliases All of the aliases, and the commands they run.
+ * @param {string} name The name of the alias to check.
+ * @returns {string[] | null} The aliases in the loop, ending with the alias that was repeated (e.g. `["a", "b", "a"]`), or `null` if there is no loop.
+ */
+const _findAliasLoop = (aliases, name) => {
+  const chain = [];
+  let current = name;
+
+  while (Object.hasOwn(aliases, current)) {
+    if (chain.includes(current)) return [...chain, current];
+    chain.push(current);
+
+    const next = _firstWord(aliases[current]);
+    if (next === current) return null;
+    current = next;
+  }
+
+  return null;
+};
+
+/**
+ * Replace a word with the tokens of the alias it refers to.
+ *
+ * If the alias starts with another alias, that alias is also expanded,
+ * until the first word is not an alias. Other words in the alias are not expanded.
+ *
+ * If the aliases are in a loop, an error with the code `INVALID_SYNTAX` is thrown.
+ *
+ * @param {{ type: "word", value: string, parts: { text: string, expand: boolean, glob: boolean }[] }} word The word to expand, which should be the name of a command.
+ * @param {Object<string, string>} aliases All of the aliases, and the commands they run.
+ * @returns {{ type: "word" | "operator", value: string, parts?: { text: string, expand: boolean, glob: boolean }[] }[]} The tokens that the word is replaced with, which is only the word if it is not an alias.
+ */
+const _expandAlias = (word, aliases) => {
+  const loop = _findAliasLoop(aliases, word.value);
+  if (loop !== null)
+    throw _syntaxError(`the alias '${word.value}' is in a loop (${loop.join(" -> ")})`);
+
+  let tokens = [word];
+  while (tokens[0]?.type === "word" && Object.hasOwn(aliases, tokens[0].value)) {
+    const name = tokens[0].value;
+    const expanded = _tokenize(aliases[name]);
+    tokens = [...expanded, ...tokens.slice(1)];
+
+    // The alias runs the command with the same name as itself
+    if (expanded[0]?.value === name) break;
+  }
+
+  return tokens;
+};
+
+module.exports = { _expandAlias, _findAliasLoop };
@@ -0,0 +1,279 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Characters that make a word a glob pattern, if they are not quoted or escaped.
+ */
+const GLOB_CHARS = ["*", "?", "["];
+
+/**
+ * Characters that separate directories in a path. On Windows, both slashes are used.
+ */
+const SEPARATORS = process.platform === "win32" ? ["/", "\\"] : ["/"];
+
+/**
+ * Split a word into its characters, recording if each character has a special meaning in a glob.
+ *
+ * @param {{ text: string, glob: boolean }[]} parts The parts of the word.
+ * @returns {{ char: string, special: boolean }[]} The characters of the word.
+ */
+const _toChars = (parts) => {
+  return parts.flatMap(({ text, glob }) => [...text].map((char) => ({ char, special: glob })));
+};
+
+/**
+ * Expand brace sets in a word (e.g. `file.{js,ts}` becomes `file.js` and `file.ts`).
+ *
+ * Braces can be nested, and a brace set must have at least one comma to be expanded.
+ *
+ * @param {{ char: string, special: boolean }[]} chars The characters of the word.
+ * @returns {{ char: string, special: boolean }[][]} The words that the brace sets expand into.
+ */
+const _expandBraces = (chars) => {
+  for (let start = 0; start < chars.length; start++) {
+    if (!(chars[start].special && chars[start].char === "{")) continue;
+
+    // Find the matching closing brace, and the commas that are not in nested braces
+    let depth = 0;
+    const commas = [];
+    for (let i = start; i < chars.length; i++) {
+      const { char, special } = chars[i];
+      if (!special) continue;
+
+      if (char === "{") depth++;
+      else if (char === "," && depth === 1) commas.push(i);
+      else if (char === "}" && --depth === 0) {
+        if (commas.length === 0) break;
+
+        const before = chars.slice(0, start);
+        const after = chars.slice(i + 1);
+        const bounds = [start, ...commas, i];
+
+        return bounds
+          .slice(1)
+          .flatMap((end, idx) =>
+            _expandBraces([...before, ...chars.slice(bounds[idx] + 1, end), ...after])
+          );
+      }
+    }
+  }
+
+  return [chars];
+};
+
+/**
+ * Convert a part of a path (between separators) into a regular expression.
+ *
+ * @param {{ char: string, special: boolean }[]} chars The characters of the part of the path.
+ * @returns {RegExp} The regular expression, which matches an entire file name.
+ */
+const _toRegex = (chars) => {
+  const escape = (char) => char.replace(/[.*+?^${}()|[\]\\/-]/g, "\\$&");
+  let regex = "";
+
+  for (let i = 0; i < chars.length; i++) {
+    const { char, special } = chars[i];
+    const close = chars.findIndex((c, idx) => idx > i + 1 && c.special && c.char === "]");
+
+    if (special && char === "*") {
+      regex += ".*";
+    } else if (special && char === "?") {
+      regex += ".";
+    } else if (special && char === "[" && close !== -1) {
+      // Character class, such as '[abc]', '[a-z]' or '[!abc]'
+      let set = chars.slice(i + 1, close);
+      const negate = set[0].char === "!" || set[0].char === "^";
+      if (negate) set = set.slice(1);
+
+      const contents = set
+        .map((c, idx) =>
+          c.char === "-" && idx !== 0 && idx !== set.length - 1 ? "-" : escape(c.char)
+        )
+        .join("");
+
+      regex += `[${negate ? "^" : ""}${contents}]`;
+      i = close;
+    } else {
+      regex += escape(char);
+    }
+  }
+
+  return new RegExp(`^${regex}$`, process.platform === "win32" ? "i" : "");
+};
+
+/**
+ * Find all paths that match the parts of a glob pattern, starting from a directory.
+ *
+ * @param {string} dir The absolute path of the directory to search in.
+ * @param {string} shown The path of the directory, as it should be shown in the results.
+ * @param {{ chars: { char: string, special: boolean }[], regex: RegExp | null, globstar: boolean }[]} segments The parts of the pattern that are left to match.
+ * @returns {string[]} The paths that match.
+ */
+const _match = (dir, shown, segments) => {
+  const [segment, ...rest] = segments;
+  const join = (name) =>
+    shown === "" || shown.endsWith(path.sep) ? `${shown}${name}` : `${shown}${path.sep}${name}`;
+
+  if (segment.regex === null) {
+    // No special characters, so the path only needs to exist
+    const name = segment.chars.map(({ char }) => char).join("");
+    const next = path.join(dir, name);
+
+    if (rest.length === 0) return fs.existsSync(next) ? [join(name)] : [];
+    return fs.existsSync(next) && fs.statSync(next).isDirectory()
+      ? _match(next, join(name), rest)
+      : [];
+  }
+
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  // Hidden files are only matched if the pattern starts with a dot
+  const showHidden = segment.chars[0]?.char === ".";
+  entries = entries
+    .filter((entry) => showHidden || !entry.name.startsWith("."))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const results = [];
+  if (segment.globstar) {
+    // '**' matches any number of directories, including none
+    results.push(..._match(dir, shown, rest));
+
+    // Symbolic links are not followed, to avoid loops
+    for (const entry of entries) {
+      if (entry.isDirectory())
+        results.push(..._match(path.join(dir, entry.name), join(entry.name), segments));
+    }
+
+    return [...new Set(results)];
+  }
+
+  for (const entry of entries) {
+    if (!segment.regex.test(entry.name)) continue;
+
+    const next = path.join(dir, entry.name);
+    if (rest.length === 0) results.push(join(entry.name));
+    else if (fs.statSync(next, { throwIfNoEntry: false })?.isDirectory())
+      results.push(..._match(next, join(entry.name), rest));
+  }
+
+  return results;
+};
+
+/**
+ * Expand a glob pattern into the paths that it matches.
+ *
+ * @param {{ char: string, special: boolean }[]} chars The characters of the pattern.
+ * @returns {string[]} The paths that match, or the pattern itself if it is not a glob or nothing matches.
+ */
+const _expandPattern = (chars) => {
+  const text = chars.map(({ char }) => char).join("");
+  if (!chars.some(({ char, special }) => special && GLOB_CHARS.includes(char))) return [text];
+
+  // Split the pattern into the parts of the path
+  const segments = [[]];
+  for (const c of chars) {
+    if (SEPARATORS.includes(c.char)) segments.push([]);
+    else segments[segments.length - 1].push(c);
+  }
+
+  // The start of the path that has no special characters (e.g. '/home/' or 'C:\')
+  const firstGlob = segments.findIndex((segment) =>
+    segment.some(({ char, special }) => special && GLOB_CHARS.includes(char))
+  );
+  const base = segments
+    .slice(0, firstGlob)
+    .map((segment) => segment.map(({ char }) => char).join(""));
+  let baseShown = base.join(path.sep);
+  // The root of the file system (e.g. '/' or 'C:\') must end with a separator
+  if (base.length !== 0 && (baseShown === "" || /^[A-Za-z]:$/.test(baseShown)))
+    baseShown += path.sep;
+  const baseDir = path.resolve(process.cwd(), baseShown || ".");
+
+  const rest = segments
+    .slice(firstGlob)
+    .filter((segment) => segment.length !== 0)
+    .map((segment) => {
+      const globstar =
+        segment.length === 2 && segment.every(({ char, special }) => special && char === "*");
+      const isGlob = segment.some(({ char, special }) => special && GLOB_CHARS.includes(char));
+
+      return { chars: segment, regex: isGlob ? _toRegex(segment) : null, globstar };
+    });
+
+  // A '**' at the end matches everything inside of the directories
+  if (rest[rest.length - 1].globstar)
+    rest.push({ chars: [{ char: "*", special: true }], regex: /^.*$/, globstar: false });
+
+  const matches = _match(baseDir, baseShown, rest);
+  return matches.length === 0 ? [text] : matches;
+};
+
+/**
+ * Check if a name or relative path matches a glob pattern, without looking at the file system
+ * (e.g. for `ls --filter`). The same patterns as `_expandGlob()` are supported, and every
+ * character in the pattern is special.
+ *
+ * @param {string} pattern The glob pattern (e.g. `*.js` or `src/**\/*.md`).
+ * @param {string} name The name or relative path to check.
+ * @returns {boolean} If the name matches the pattern.
+ */
+const _matchGlob = (pattern, name) => {
+  const names = process.platform === "win32" ? name.split(/[\\/]/) : name.split("/");
+
+  // Check if the parts of the pattern match the parts of the name, where '**' matches any number of parts
+  const matches = (segments, parts) => {
+    if (segments.length === 0) return parts.length === 0;
+
+    const [segment, ...rest] = segments;
+    if (segment.globstar)
+      return matches(rest, parts) || (parts.length !== 0 && matches(segments, parts.slice(1)));
+
+    return parts.length !== 0 && segment.regex.test(parts[0]) && matches(rest, parts.slice(1));
+  };
+
+  return _expandBraces(_toChars([{ text: pattern, glob: true }])).some((chars) => {
+    const segments = [[]];
+    for (const c of chars) {
+      if (SEPARATORS.includes(c.char)) segments.push([]);
+      else segments[segments.length - 1].push(c);
+    }
+
+    return matches(
+      segments
+        .filter((segment) => segment.length !== 0)
+        .map((segment) => ({
+          regex: _toRegex(segment),
+          globstar: segment.length === 2 && segment.every(({ char }) => char === "*"),
+        })),
+      names.filter((part) => part !== "")
+    );
+  });
+};
+
+/**
+ * Expand a word from `_tokenize()` into the paths it matches, if it is a glob pattern.
+ *
+ * The following patterns are supported, if they are not quoted or escaped:
+ * - `*` matches any number of characters in a file name.
+ * - `?` matches any single character in a file name.
+ * - `**` matches any number of directories (e.g. `**\/*.md` matches all Markdown files).
+ * - `[abc]` matches one of the characters in the brackets. Ranges (`[a-z]`) and
+ * negation (`[!abc]`) are also supported.
+ * - `{a,b}` expands into each of the options, even if the paths do not exist.
+ *
+ * Hidden files (starting with `.`) are only matched if the pattern starts with a dot.
+ * If a pattern does not match anything, it is kept as it is, so the command can show an error.
+ *
+ * @param {{ value: string, parts: { text: string, glob: boolean }[] }} word The word to expand.
+ * @returns {string[]} The paths that the word matches, in alphabetical order, or the word itself if it is not a glob pattern.
+ */
+const _expandGlob = (word) => {
+  return _expandBraces(_toChars(word.parts)).flatMap(_expandPattern);
+};
+
+module.exports = { _expandGlob, _matchGlob };
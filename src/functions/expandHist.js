@@ -0,0 +1,130 @@
+/**
+ * Matches the event after a `!`: `!!`, `!n`, `!-n` or `!prefix`.
+ *
+ * A `!` followed by a space, `=`, `(` or the end of the command is kept as it is.
+ */
+const EVENT_REGEX = /^(!|-?\d+|[^\s!;&|>'"=(][^\s;&|>'"]*)/;
+
+/**
+ * Matches a quick substitution (`^old^new`), which replaces text in the previous command.
+ */
+const QUICK_SUB_REGEX = /^\^([^^]+)\^([^^]*)\^?$/;
+
+/**
+ * Create an error which describes why a history expansion could not be done.
+ *
+ * The error will have the code `HISTORY_EXPANSION`, so that it can be
+ * told apart from other errors and shown using `Errors.historyExpansion()`.
+ *
+ * @param {string} expansion The history expansion that failed (e.g. `!ls`).
+ * @param {string} reason The reason why it failed.
+ * @returns The error, which should be thrown.
+ */
+const _expansionError = (expansion, reason) => {
+  const err = new Error(reason);
+  err.code = "HISTORY_EXPANSION";
+  err.expansion = expansion;
+  return err;
+};
+
+/**
+ * Find the command in the history that an event refers to.
+ *
+ * @param {string} event The event, without the `!` at the start (e.g. `!`, `3`, `-2` or `ls`).
+ * @param {string[]} history The commands in the history, from oldest to newest.
+ * @returns {string} The command that the event refers to.
+ */
+const _findEvent = (event, history) => {
+  if (history.length === 0)
+    throw _expansionError(`!${event}`, "there are no commands in the history");
+
+  let found;
+  if (event === "!") {
+    found = history[history.length - 1];
+  } else if (/^\d+$/.test(event)) {
+    found = history[Number(event) - 1];
+  } else if (/^-\d+$/.test(event)) {
+    found = Number(event) === 0 ? undefined : history[history.length + Number(event)];
+  } else {
+    found = history.findLast((command) => command.startsWith(event));
+    if (typeof found === "undefined")
+      throw _expansionError(
+        `!${event}`,
+        `there is no command in the history starting with '${event}'`
+      );
+  }
+
+  if (typeof found === "undefined")
+    throw _expansionError(`!${event}`, `there is no command at that point in the history`);
+  return found;
+};
+
+/**
+ * Replace the history expansions in a command with the commands they refer to, like in Bash.
+ *
+ * The following expansions are supported:
+ * - `!!` is replaced with the previous command.
+ * - `!n` is replaced with the command at point _n_ in the history (the same number as the `history` command shows).
+ * - `!-n` is replaced with the command _n_ commands ago (e.g. `!-1` is the same as `!!`).
+ * - `!prefix` is replaced with the latest command that starts with _prefix_.
+ * - `^old^new`, as the whole command, runs the previous command with the first _old_ replaced with _new_.
+ *
+ * Expansions are not replaced in single quotes, or if the `!` is escaped (e.g. `\!`).
+ *
+ * If an expansion cannot be done (e.g. there is no matching command), an error with the
+ * code `HISTORY_EXPANSION` is thrown.
+ *
+ * @param {string} command The command to replace the history expansions in.
+ * @param {string[]} history The commands in the history, from oldest to newest.
+ * @returns {string} The command with all of its history expansions replaced, or the same command if it has none.
+ */
+const _expandHistory = (command, history) => {
+  const quick = command.match(QUICK_SUB_REGEX);
+  if (quick !== null) {
+    const [, oldText, newText] = quick;
+    const previous = history[history.length - 1];
+
+    if (typeof previous === "undefined")
+      throw _expansionError(command, "there are no commands in the history");
+    if (!previous.includes(oldText))
+      throw _expansionError(command, `'${oldText}' is not in the previous command`);
+    return previous.replace(oldText, () => newText);
+  }
+
+  let result = "";
+  let quote = null;
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+
+    if (quote === "'") {
+      // Everything is literal in single quotes
+      if (char === "'") quote = null;
+      result += char;
+      continue;
+    }
+
+    if (char === "\\") {
+      // Keep the escape, so that it is still escaped when the command is parsed
+      result += char + (command[i + 1] ?? "");
+      i++;
+      continue;
+    }
+
+    if (char === '"') quote = quote === null ? '"' : null;
+    else if (char === "'" && quote === null) quote = "'";
+
+    const event = char === "!" ? command.slice(i + 1).match(EVENT_REGEX)?.[1] : undefined;
+    if (typeof event === "undefined") {
+      result += char;
+      continue;
+    }
+
+    result += _findEvent(event, history);
+    i += event.length;
+  }
+
+  return result;
+};
+
+module.exports = _expandHistory;
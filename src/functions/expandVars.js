@@ -0,0 +1,39 @@
+const Variables = require("../classes/Variables");
+
+/**
+ * Matches a variable in any of the supported formats: `${NAME}`, `$NAME` or `%NAME%`.
+ *
+ * `$?` (the status of the last command), `$0` to `$9` (the arguments of a `.bub` file),
+ * `$#` (the number of arguments) and `$@` (all of the arguments) are also matched.
+ * Arguments after `$9` must be in braces (e.g. `${10}`).
+ */
+const VARIABLE_REGEX =
+  /\$\{([A-Za-z_][A-Za-z0-9_]*|[?#@]|\d+)\}|\$([A-Za-z_][A-Za-z0-9_]*|[?#@]|\d)|%([^%\s=]+)%/g;
+
+/**
+ * Replace all of the variables in a word from `_tokenize()` with their values.
+ *
+ * Variables in the `$NAME` and `${NAME}` formats that do not exist are replaced with
+ * nothing, while variables in the `%NAME%` format that do not exist are kept as they are
+ * (the same way that the Windows Command Prompt works). The value of a variable is always
+ * kept in the same word, even if it contains spaces.
+ *
+ * @param {{ value: string, parts: { text: string, expand: boolean, glob: boolean }[] }} word The word to expand the variables in.
+ * @returns {{ value: string, parts: { text: string, expand: boolean, glob: boolean }[] }} The word with all of its variables replaced.
+ */
+const _expandVariables = (word) => {
+  const parts = word.parts.map((part) => {
+    if (!part.expand) return part;
+
+    const text = part.text.replace(VARIABLE_REGEX, (match, braced, plain, percent) => {
+      if (typeof percent !== "undefined") return Variables.get(percent) ?? match;
+      return Variables.get(braced ?? plain) ?? "";
+    });
+
+    return { ...part, text };
+  });
+
+  return { value: parts.map((part) => part.text).join(""), parts };
+};
+
+module.exports = _expandVariables;
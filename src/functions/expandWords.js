@@ -0,0 +1,26 @@
+const _expandVariables = require("./expandVars");
+const { _expandGlob } = require("./expandGlob");
+
+const Variables = require("../classes/Variables");
+
+/**
+ * Expand words from `_tokenize()` into the arguments that they become.
+ *
+ * Variables are replaced with their values first, and then glob patterns are
+ * expanded into the paths they match. A word that is only `$@` (or `${@}`),
+ * even if it is in double quotes, becomes a separate argument for each of
+ * the arguments of the `.bub` file or function that is running.
+ *
+ * @param {{ value: string, parts: { text: string, expand: boolean, glob: boolean }[] }[]} words The words to expand.
+ * @returns {string[]} The arguments that the words expand into.
+ */
+const _expandWords = (words) => {
+  return words.flatMap((word) => {
+    if (word.parts.length === 1 && word.parts[0].expand && /^\$(@|\{@\})$/.test(word.parts[0].text))
+      return Variables.getArgs().slice(1);
+
+    return _expandGlob(_expandVariables(word));
+  });
+};
+
+module.exports = _expandWords;
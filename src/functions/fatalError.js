@@ -26,10 +26,16 @@ const ERROR_INFO_FILENAME = `${SHORT_NAME}_error_info.txt`.toUpperCase();
  * }
  * ```
  *
+ * If BubbleOS is not interactive (see `_isInteractive()`),
+ * it ends straight away instead of waiting for the Enter key.
+ *
  * @param {Error} err The error that caused the fatal error.
  * @param {boolean} doFileDump Whether or not to save a file containing error info. Defaults to `true`.
  */
 const _fatalError = (err, doFileDump = true) => {
+  // Required here, as the functions it uses require this function
+  const _isInteractive = require("./isInteractive");
+
   const errProperties = {
     // For 'Error':
     Code: err?.code,
@@ -101,7 +107,8 @@ const _fatalError = (err, doFileDump = true) => {
     }
   }
 
-  question(chalk.red("Press the Enter key to continue . . . "), { hideEchoBack: true, mask: "" });
+  if (_isInteractive())
+    question(chalk.red("Press the Enter key to continue . . . "), { hideEchoBack: true, mask: "" });
 
   console.log(`${chalk.bold(`\nTerminating ${GLOBAL_NAME} process...\n`)}`);
   process.exit(1);
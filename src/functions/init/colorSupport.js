@@ -2,7 +2,14 @@ const chalk = require("chalk");
 
 const { GLOBAL_NAME } = require("../../variables/constants");
 
+const _isInteractive = require("../isInteractive");
+
 const _colorSupport = () => {
+  // Commands and '.bub' files that are passed into the executable (e.g. 'bubble -c' in a
+  // scheduled job) often do not run in a terminal, so they are shown without colors instead
+  const runsCommand = process.argv.slice(2).some((arg) => !arg.startsWith("-"));
+  if (!_isInteractive() || runsCommand) return;
+
   if (!chalk.supportsColor) {
     console.log(`${GLOBAL_NAME} requires the terminal to support at least 16 colors. Exiting...\n`);
     process.exit(1);
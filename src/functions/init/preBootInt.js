@@ -1,16 +1,92 @@
+const fs = require("fs");
+
 const _intCmds = require("../interpret");
+const _detectArgs = require("../detectArgs");
+const bub = require("../../commands/bub");
 
+const Errors = require("../../classes/Errors");
 const Verbose = require("../../classes/Verbose");
 
+/**
+ * Quote an argument that was passed into the executable, so that it is read as the same word
+ * when it is run as part of a command (e.g. `a  b` keeps both spaces, and `*` is not a glob).
+ *
+ * @param {string} arg The argument to quote.
+ * @returns {string} The argument, quoted if it has characters with a special meaning.
+ */
+const _quoteArg = (arg) => {
+  if (/^[\w@+=:,./-]+$/.test(arg)) return arg;
+  if (!arg.includes("'")) return `'${arg}'`;
+  return `"${arg.replace(/["\\$%!]/g, "\\$&")}"`;
+};
+
+/**
+ * Run a command or a `.bub` file that was passed into the executable, and exit with its status.
+ *
+ * With `-c "<commands>"`, the commands are run (e.g. `bubble -c "cd build; ls"`), and with `-`,
+ * each line of the standard input is run as a command (empty lines and lines starting with `#` are
+ * skipped). These are made for other programs (such as scheduled jobs), so nothing is stored in the
+ * history, and nothing waits for the user to answer (see `_isInteractive()`).
+ *
+ * Startup arguments (such as `--no-intro`) can be passed before the command or file.
+ * If the first other argument is a path to a `.bub` file (e.g. from a `#!/usr/bin/env bubble` line at
+ * the start of the file), the file is run with `bub`, and the rest of the arguments are passed into
+ * the file (as `$1`, `$2`, etc.). As the file is the only thing that is running, the `exit` command
+ * is allowed in it. Otherwise, all of the arguments are run as a command, where each argument is one
+ * word, even if it has spaces or quotes in it.
+ */
 const _preBootInterpreter = async () => {
   Verbose.custom("Getting arguments passed into executable...");
   const args = process.argv.slice(2);
 
+  Verbose.custom("Detecting if commands were passed with '-c'...");
+  if (_detectArgs("command")) {
+    const commands = args[args.indexOf("-c") + 1];
+    if (typeof commands === "undefined") {
+      Verbose.chkEmpty();
+      Errors.enterParameter("the commands to run", 'bubble -c "cd build; ls"');
+      process.exit(1);
+    }
+
+    Verbose.custom("Running the commands given with '-c'...");
+    process.exit(await _intCmds(commands, false));
+  }
+
+  Verbose.custom("Detecting if commands should be read from the standard input...");
+  if (_detectArgs("stdin")) {
+    Verbose.custom("Reading commands from the standard input...");
+    const lines = fs.readFileSync(0, { encoding: "utf-8" }).split("\n");
+
+    let status = 0;
+    for (const line of lines) {
+      const command = line.trim();
+      if (command === "" || command.startsWith("#")) continue;
+
+      Verbose.custom("Running the command from the standard input...");
+      status = await _intCmds(command, false);
+    }
+
+    // Exit with the status of the last command, like with '-c'
+    process.exit(status);
+  }
+
   Verbose.custom("Detecting if pre-boot interpreter was invoked...");
-  if (!args[0]?.startsWith("-") && args.length !== 0) {
+  const commandIdx = args.findIndex((arg) => !arg.startsWith("-"));
+  if (commandIdx !== -1) {
+    const [command, ...params] = args.slice(commandIdx);
+
+    if (command.endsWith(".bub")) {
+      Verbose.custom("Running the '.bub' file given to the pre-boot interpreter...");
+      const status = await bub(_intCmds, command, "--allow-exit", "--", ...params);
+
+      process.exit(status ?? 1);
+    }
+
     Verbose.custom("Running the command given to the pre-boot interpreter...");
-    await _intCmds(args.join(" "));
-    process.exit(0);
+    const status = await _intCmds([command, ...params].map(_quoteArg).join(" "));
+
+    // Exit with the status of the last command, so that other programs can check if it succeeded
+    process.exit(status ?? 1);
   }
 };
 
@@ -17,6 +17,14 @@ const _startupArgs = () => {
     "--no-dump": "Disables the fatal error file dump feature.",
     "--reset": `Resets the ${GLOBAL_NAME} configuration file.`,
     "--verbose": "Enables verbose mode to give more information on processes.",
+    "-c": "Runs the commands after it (e.g. 'bubble -c \"cd build; ls\"') without prompting, and exits.",
+    "-": "Runs each line of the standard input as a command without prompting, and exits.",
+    "--yes": "Answers 'yes' to all yes/no questions without asking them.",
+    "--assume-no": "Answers 'no' to all yes/no questions without asking them.",
+    "--json":
+      "Makes informational commands (such as 'sysinfo') show JSON instead of text, like 'format json'.",
+    "--no-prompts":
+      "Shows an error instead of asking any question, so that nothing waits for an answer.",
   };
 
   // Sorts keys alphabetically
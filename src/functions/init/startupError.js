@@ -4,11 +4,16 @@ const { question } = require("readline-sync");
 const { GLOBAL_NAME } = require("../../variables/constants");
 
 const _fatalError = require("../fatalError");
+const _isInteractive = require("../isInteractive");
 
 const startupError = (message, doFatalError = false, fatalErrorMessage = "") => {
   try {
     console.log(chalk.red(`${message}${doFatalError ? `\n${GLOBAL_NAME} will now crash.\n` : ""}`));
-    question(chalk.red("Press the Enter key to continue . . . "), { hideEchoBack: true, mask: "" });
+    if (_isInteractive())
+      question(chalk.red("Press the Enter key to continue . . . "), {
+        hideEchoBack: true,
+        mask: "",
+      });
 
     console.log();
 
@@ -1,86 +1,315 @@
 const chalk = require("chalk");
+const { stripVTControlCharacters } = require("util");
 
 const { COMMANDS, ALIASES } = require("../variables/commands");
 
+const _parseCommand = require("./parseCommand");
+const _convertAbsolute = require("./convAbs");
+const _expandVariables = require("./expandVars");
+const _expandWords = require("./expandWords");
+const _expandHistory = require("./expandHist");
 const _fatalError = require("./fatalError");
-const { _addToHist } = require("../commands/history");
+const { _flagsOf } = require("./complete");
+const { _withPromptPolicy, PROMPT_FLAGS } = require("./promptPolicy");
+const { _addToHist, _getHist } = require("../commands/history");
 
 const Errors = require("../classes/Errors");
+const Streams = require("../classes/Streams");
+const Variables = require("../classes/Variables");
+const ScriptFunctions = require("../classes/ScriptFunctions");
 const Verbose = require("../classes/Verbose");
 const InfoMessages = require("../classes/InfoMessages");
+const ConfigManager = require("../classes/ConfigManager");
+
+const getKeyByValue = (object, value) => Object.keys(object).find((key) => object[key] === value);
 
 /**
- * Split the commands passed into BubbleOS, and then remove the actual command name (the first word)
+ * Run a single BubbleOS command, or show an error if the command is unrecognized.
+ *
+ * Functions defined in the `.bub` file that is running are checked before
+ * the built-in commands, so a function can replace a command.
+ *
+ * A command can return its own status as a number. Otherwise, the command
+ * is treated as failed if it showed an error, and succeeded if it did not.
+ *
+ * If a command has one of the `PROMPT_FLAGS` in its help message (e.g.
+ * `del *.log --assume-no`), the flag is removed from its arguments, and
+ * the command runs with that prompt policy.
  *
- * @param {string} command The entire command that the user entered.
+ * @param {string[]} argv The command name, followed by its arguments.
+ * @param {boolean} allowExit If the `exit` command can run. If not, it is skipped.
+ * @returns {Promise<number>} The status of the command, which is `0` if it succeeded, else, it failed.
  */
-const _multiParam = (command) => {
-  const params = command.split(" ");
-  params.shift();
-  return params;
+const _runCommand = async (argv, allowExit) => {
+  let [enteredCmd, ...params] = argv;
+
+  // All of the words expanded into nothing (e.g. '$@' with no arguments)
+  if (typeof enteredCmd === "undefined") return 0;
+
+  if (enteredCmd === "exit" && !allowExit) {
+    // Prevents .bub files from exiting BubbleOS
+    // if --allow-exit was not passed
+    Verbose.custom("Command was detected to be the 'exit' command, skipping...");
+    InfoMessages.info("Running the 'exit' command from a '.bub' file is currently disabled.");
+    return 0;
+  }
+
+  const func = ScriptFunctions.get(enteredCmd);
+  if (typeof func !== "undefined") {
+    Verbose.custom(`Command '${enteredCmd}' was detected to be a function, running function...`);
+    return await func(params);
+  }
+
+  // The command is currently unrecognized
+  let recognized = false;
+  let status;
+
+  for (let [key, value] of Object.entries(COMMANDS)) {
+    if (enteredCmd === key) {
+      Verbose.custom("Command has been recognized, executing command...");
+      recognized = true;
+
+      const run = async () => {
+        if (key === "bub") {
+          // If the command is 'bub', it requires the '_intCmds' function, so call/pass it separately
+          return await value(_intCmds, ...params);
+        } else {
+          return await value(...params);
+        }
+      };
+
+      const promptFlag = Object.keys(PROMPT_FLAGS).find(
+        (flag) => params.includes(flag) && _flagsOf(key).includes(flag)
+      );
+      if (typeof promptFlag !== "undefined") {
+        Verbose.custom(`Running command with the prompt policy of '${promptFlag}'...`);
+        params = params.filter((param) => param !== promptFlag);
+        status = await _withPromptPolicy(PROMPT_FLAGS[promptFlag], run);
+      } else {
+        status = await run();
+      }
+    }
+  }
+
+  // If the command is not recognized
+  if (!recognized) {
+    Verbose.custom(
+      `Command '${enteredCmd}' was detected to be unrecognized, show respective error...`
+    );
+    Errors.unrecognizedCommand(enteredCmd);
+
+    // Alias detection
+    for (const alias of Object.values(ALIASES)) {
+      for (const cmd of alias) {
+        if (cmd === enteredCmd) {
+          Verbose.custom("Alias detected for entered command, show tip to user...");
+          InfoMessages.info(
+            `There is no command called ${chalk.italic(enteredCmd)}. Did you mean ${chalk.bold(
+              getKeyByValue(ALIASES, alias)
+            )}?`
+          );
+
+          break;
+        }
+      }
+    }
+
+    return 1;
+  }
+
+  return typeof status === "number" ? status : Number(Streams.hasFailed());
 };
 
-const getKeyByValue = (object, value) => Object.keys(object).find((key) => object[key] === value);
+/**
+ * Open the files that the output and errors of a command are redirected to.
+ *
+ * If there are multiple redirections for the same output, all of
+ * the files are created, but only the last one is written to.
+ *
+ * @param {{ operator: ">" | ">>" | "2>" | "2>>", file: { value: string, parts: { text: string, expand: boolean, glob: boolean }[] } }[]} redirects The redirections of the command.
+ * @returns {{ stdout: { write: (text: string) => void } | undefined, stderr: { write: (text: string) => void } | undefined } | null} The outputs of the command, or `null` if a file could not be opened.
+ */
+const _openRedirects = (redirects) => {
+  const outputs = { stdout: undefined, stderr: undefined };
+
+  for (const { operator, file } of redirects) {
+    const path = _convertAbsolute(_expandVariables(file).value);
+
+    try {
+      Verbose.custom(`Redirecting output of command to '${path}'...`);
+      outputs[operator.startsWith("2") ? "stderr" : "stdout"] = Streams.toFile(
+        path,
+        operator.endsWith(">>")
+      );
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        // If the parent directory does not exist
+        Verbose.chkExists(path);
+        Errors.doesNotExist("file", path);
+        return null;
+      } else if (err.code === "EISDIR") {
+        Verbose.custom("The path was detected to be a directory.");
+        Errors.expectedFile(path);
+        return null;
+      } else if (err.code === "EPERM" || err.code === "EACCES") {
+        Verbose.permError();
+        Errors.noPermissions("write to the file", path);
+        return null;
+      } else if (err.code === "EBUSY") {
+        Verbose.inUseError();
+        Errors.inUse("file", path);
+        return null;
+      } else {
+        throw err;
+      }
+    }
+  }
+
+  return outputs;
+};
+
+/**
+ * Run a pipeline of commands, where the output of each command is passed into the next one.
+ *
+ * Variables and glob patterns (such as `*.txt`) in the arguments of each command
+ * are expanded right before the command runs.
+ *
+ * @param {{ argv: { value: string, parts: { text: string, expand: boolean, glob: boolean }[] }[], redirects: { operator: ">" | ">>" | "2>" | "2>>", file: { value: string, parts: { text: string, expand: boolean, glob: boolean }[] } }[] }[]} pipeline The commands in the pipeline.
+ * @param {boolean} allowExit If the `exit` command can run (see `_runCommand()`).
+ * @returns {Promise<number>} The status of the last command in the pipeline.
+ */
+const _runPipeline = async (pipeline, allowExit) => {
+  // The output of the previous command in the pipeline
+  let stdin;
+  let status = 0;
+
+  for (let i = 0; i < pipeline.length; i++) {
+    const isLast = i === pipeline.length - 1;
+    const output = [];
+
+    Verbose.custom("Expanding variables and glob patterns in command...");
+    const argv = _expandWords(pipeline[i].argv);
+    const redirects = _openRedirects(pipeline[i].redirects);
+
+    // Unless it is the last command or the output is redirected,
+    // collect the output to pass into the next command
+    Verbose.custom(`Running command ${i + 1} of ${pipeline.length} in the pipeline...`);
+    if (redirects !== null) {
+      status = await Streams.run(() => _runCommand(argv, allowExit), {
+        stdin,
+        stdout: redirects.stdout ?? (isLast ? undefined : { write: (text) => output.push(text) }),
+        stderr: redirects.stderr,
+      });
+    } else {
+      status = 1;
+    }
+
+    // Commands end their output with a blank line to space it out, which is not part of the text
+    // that is passed on (e.g. so that 'print a | wcount -l' counts one line)
+    stdin = stripVTControlCharacters(output.join("")).replace(/(\r?\n)+$/, "");
+  }
+
+  return status;
+};
 
 /**
  * Interpret all available BubbleOS commands.
  *
+ * Multiple commands can be joined with the pipe operator (`|`),
+ * which passes the output of one command into the input of the
+ * next (e.g. `ls | wcount -l`). Colors and the newlines at the end
+ * are removed from the output before it is passed to the next command.
+ *
+ * The output of a command can also be written to a file using `>` (replace)
+ * or `>>` (append), and its errors using `2>` or `2>>` (e.g. `ls > files.txt`).
+ * Colors are removed from the text written to the file.
+ *
+ * Commands can be chained using `;` (always run the next command), `&&` (only run
+ * the next command if the one before it succeeded) and `||` (only run the next command
+ * if the one before it failed), for example, `mkdir build && cd build`.
+ *
+ * Aliases created with the `alias` command are replaced with the command they run before
+ * the command is parsed. Variables (`$NAME`, `${NAME}` or `%NAME%`) are replaced with their values before each
+ * command runs, and `$?` is replaced with the status of the last command.
+ *
+ * If the command is stored in history, history expansions (such as `!!`, `!n`, `!prefix`
+ * or `^old^new`) are replaced first, and the expanded command is shown before it runs.
+ * The expanded command is stored in the history, rather than the one that was entered.
+ *
  * @param {string} command The command that was requested to be interpreted by the user.
  * @param {boolean} storeInHistory Whether or not to store the command in history. Defaults to true.
+ * @param {boolean} allowExit Whether or not the `exit` command can run, anywhere in the command (e.g. `print x; exit 1`). Defaults to true.
+ * @returns {Promise<number>} The status of the last command that was run, which is `0` if it succeeded, else, it failed.
  */
-const _intCmds = async (command, storeInHistory = true) => {
+const _intCmds = async (command, storeInHistory = true, allowExit = true) => {
   try {
     Verbose.custom("Checking if command entered is empty...");
     const isEmpty = command.length === 0;
-    Verbose.custom("Checking entered command...");
-    const enteredCmd = command.split(" ")[0];
-
-    // The command is currently unrecognized
-    let recognized = false;
 
-    for (let [key, value] of Object.entries(COMMANDS)) {
-      if (enteredCmd === key) {
-        Verbose.custom("Command has been recognized, executing command...");
-        recognized = true;
-
-        if (key === "bub") {
-          // If the command is 'bub', it requires the '_intCmds' function, so call/pass it separately
-          await value(_intCmds, ..._multiParam(command));
-        } else {
-          await value(..._multiParam(command));
+    // History expansions are only used for commands entered by the user, and not in scripts
+    if (storeInHistory) {
+      Verbose.custom("Replacing history expansions in command...");
+      try {
+        const expanded = _expandHistory(command, _getHist());
+        if (expanded !== command) {
+          Streams.log(expanded);
+          command = expanded;
         }
+      } catch (err) {
+        if (err.code !== "HISTORY_EXPANSION") throw err;
+
+        Verbose.custom("History expansion in command could not be done...");
+        Errors.historyExpansion(err.expansion, err.message);
+        Variables.setLastStatus(1);
+        return 1;
       }
     }
 
-    // If the command is not recognized and isn't empty
-    if (!recognized && !isEmpty) {
-      Verbose.custom(
-        `Command '${enteredCmd}' was detected to be unrecognized, show respective error...`
-      );
-      Errors.unrecognizedCommand(enteredCmd);
-
-      // Alias detection
-      for (const alias of Object.values(ALIASES)) {
-        for (const cmd of alias) {
-          if (cmd === enteredCmd) {
-            Verbose.custom("Alias detected for entered command, show tip to user...");
-            InfoMessages.info(
-              `There is no command called ${chalk.italic(enteredCmd)}. Did you mean ${chalk.bold(
-                getKeyByValue(ALIASES, alias)
-              )}?`
-            );
-
-            break;
-          }
-        }
+    // When and where the command started, to store in the history
+    const startTime = Date.now();
+    const startCwd = process.cwd();
+
+    // Split the command into its pipelines, and the pipelines into their commands and arguments
+    Verbose.custom("Parsing command...");
+    let list = [];
+    let status = 0;
+    try {
+      Verbose.custom("Getting aliases stored in configuration file...");
+      const aliases = new ConfigManager().getConfig()?.aliases ?? {};
+
+      list = _parseCommand(command, aliases);
+    } catch (err) {
+      if (err.code !== "INVALID_SYNTAX") throw err;
+
+      Verbose.custom("Command was detected to have invalid syntax...");
+      Errors.invalidSyntax(err.message);
+      status = 1;
+      Variables.setLastStatus(status);
+    }
+
+    for (const { connector, pipeline } of list) {
+      // Skip the pipeline if the status of the one before it does not match the connector
+      if ((connector === "&&" && status !== 0) || (connector === "||" && status === 0)) {
+        Verbose.custom(`Skipping pipeline after '${connector}' due to the previous status...`);
+        continue;
       }
+
+      status = await _runPipeline(pipeline, allowExit);
+      Variables.setLastStatus(status);
     }
 
     // TODO I don't like 'history -c' being hardcoded for some reason
     if (!isEmpty && storeInHistory && command !== "history -c") {
       Verbose.custom("Adding command to history...");
-      _addToHist(command);
+      _addToHist(command, {
+        time: startTime,
+        cwd: startCwd,
+        duration: Date.now() - startTime,
+        status,
+      });
     }
+
+    return status;
   } catch (err) {
     Verbose.fatalError();
     _fatalError(err);
@@ -0,0 +1,15 @@
+const _detectArgs = require("./detectArgs");
+
+/**
+ * Check if BubbleOS can ask the user for input.
+ *
+ * BubbleOS is not interactive when it was started to run commands for another
+ * program, with `-c "<commands>"` or `-` (commands from the standard input).
+ * In that case, nothing should wait for the user to answer, so that scheduled
+ * jobs (such as cron jobs) do not hang.
+ *
+ * @returns {boolean} If BubbleOS can ask the user for input.
+ */
+const _isInteractive = () => !_detectArgs("command") && !_detectArgs("stdin");
+
+module.exports = _isInteractive;
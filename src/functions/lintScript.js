@@ -0,0 +1,274 @@
+const fs = require("fs");
+const path = require("path");
+
+const HELP = require("../variables/helpMessages");
+
+const _tokenize = require("./tokenize");
+const _parseCommand = require("./parseCommand");
+const { _parseScript } = require("./parseScript");
+
+const ConfigManager = require("../classes/ConfigManager");
+
+/**
+ * Keywords of `.bub` files which start or end a block, and are not commands.
+ */
+const BLOCK_KEYWORDS = ["function", "for", "try", "catch", "finally", "end"];
+
+/**
+ * Matches a variable assignment in a script (e.g. `name=value`).
+ */
+const ASSIGNMENT_REGEX = /^[A-Za-z_][A-Za-z0-9_]*=/;
+
+/**
+ * Matches an argument which is a flag (e.g. `-s` or `--all`), but not a negative number.
+ */
+const FLAG_REGEX = /^--?[A-Za-z]/;
+
+/**
+ * Find the canonical absolute path of a file, so that it can be compared with other paths.
+ *
+ * @param {string} file The path of the file.
+ * @returns {string} The path with symbolic links resolved, or the absolute path if it does not exist.
+ */
+const _canonical = (file) => {
+  try {
+    return fs.realpathSync.native(file);
+  } catch {
+    return path.resolve(file);
+  }
+};
+
+/**
+ * Check if a word from `_tokenize()` contains a variable, so that its value is only known when the file runs.
+ *
+ * @param {{ parts: { text: string, expand: boolean }[] }} word The word to check.
+ * @returns {boolean} If the word contains a variable.
+ */
+const _hasVariable = (word) => word.parts.some((part) => part.expand && /[$%]/.test(part.text));
+
+/**
+ * Find the names of the functions defined in a `.bub` file, and in the files that it includes.
+ *
+ * @param {string} file The absolute path of the file.
+ * @param {Set<string>} visited The files that have already been read, so that each file is only read once.
+ * @returns {string[]} The names of the functions.
+ */
+const _functionsIn = (file, visited = new Set()) => {
+  if (visited.has(_canonical(file)) || !fs.existsSync(file)) return [];
+  visited.add(_canonical(file));
+
+  return fs
+    .readFileSync(file, "utf-8")
+    .split("\n")
+    .flatMap((line) => {
+      const func = line.trim().match(/^function\s+(\S+)$/);
+      if (func !== null) return [func[1]];
+
+      const source = line.trim().match(/^(?:source|include)\s+(\S+)$/);
+      if (source === null || /[$%'"]/.test(source[1])) return [];
+      return _functionsIn(path.resolve(path.dirname(file), source[1]), visited);
+    });
+};
+
+/**
+ * Check a `.bub` file for problems without running it, for `bub --check`.
+ *
+ * The following problems are found:
+ * - Errors that stop the file from running, such as unclosed quotes or blocks without an `end`.
+ * - Commands that do not exist. Functions in the file (or in the files it includes) and aliases are allowed.
+ * - Flags that a command does not have, using the arguments in its help message. Commands without any flags are not checked, as their arguments can start with `-`.
+ * - Commands that are missing a required parameter (e.g. `cd` without a directory), using the usage in its help message.
+ * - The file running or including itself.
+ * - Files that are included, but do not exist.
+ * - The `exit` command, if `--allow-exit` is not passed.
+ *
+ * Arguments which contain variables (such as `$1`) are not checked, as their values are only known when the file runs.
+ *
+ * @param {string} file The absolute path of the file.
+ * @param {{ allowExit: boolean }} options Options that change the problems that are found.
+ * @returns {{ line: number, column: number, message: string }[]} The problems in the file, sorted by where they are.
+ */
+const _lintScript = (file, options = { allowExit: false }) => {
+  // The commands are required here, as they require 'bub', which requires this function
+  const { COMMANDS, ALIASES } = require("../variables/commands");
+  const { _flagsOf } = require("./complete");
+
+  const lines = fs.readFileSync(file, { encoding: "utf-8", flag: "r" }).split("\n");
+  const aliases = new ConfigManager().getConfig()?.aliases ?? {};
+  const functions = _functionsIn(file);
+  const canonicalFile = _canonical(file);
+  const problems = [];
+  // Lines which cannot be split into words, so they are left out when checking the blocks
+  const unreadable = new Set();
+
+  const report = (line, column, message) => problems.push({ line, column, message });
+  const isCommand = (name, command) =>
+    COMMANDS[name] === COMMANDS[command] && typeof COMMANDS[name] !== "undefined";
+
+  // Find the required parameters of a command, which are the ones outside of square brackets
+  const requiredOf = (command) => {
+    const name = Object.keys(HELP).find((key) => key === command || isCommand(key, command));
+    if (typeof name === "undefined") return [];
+
+    let usage = HELP[name].usage;
+    while (/\[[^[\]]*\]/.test(usage)) usage = usage.replace(/\[[^[\]]*\]/g, "");
+    return usage.match(/<[^>]+>/g) ?? [];
+  };
+
+  // Check a command (which can be a chain or pipeline) that starts at a column in a line
+  const checkCommand = (text, line, column) => {
+    let list;
+    try {
+      list = _parseCommand(text);
+    } catch (err) {
+      if (err.code !== "INVALID_SYNTAX") throw err;
+
+      report(line, column + (err.index ?? 0), err.message);
+      return;
+    }
+
+    for (const { pipeline } of list) {
+      pipeline.forEach(({ argv }, idx) => {
+        const [name, ...args] = argv;
+        const at = (word) => column + word.index;
+        const command = name.value;
+
+        if (_hasVariable(name) || functions.includes(command)) return;
+        if (Object.hasOwn(aliases, command)) return;
+
+        if (!Object.hasOwn(COMMANDS, command)) {
+          const suggestion = Object.keys(ALIASES).find((key) => ALIASES[key].includes(command));
+          report(
+            line,
+            at(name),
+            `the command '${command}' does not exist${
+              typeof suggestion !== "undefined" ? ` (did you mean '${suggestion}'?)` : ""
+            }`
+          );
+          return;
+        }
+
+        // Arguments after '--' are not flags of 'bub'
+        const separator = args.findIndex((arg) => arg.value === "--");
+        const ownArgs =
+          isCommand("bub", command) && separator !== -1 ? args.slice(0, separator) : args;
+
+        const flags = _flagsOf(command);
+        if (flags.length !== 0) {
+          for (const arg of ownArgs) {
+            if (FLAG_REGEX.test(arg.value) && !_hasVariable(arg) && !flags.includes(arg.value))
+              report(
+                line,
+                at(arg),
+                `the command '${command}' does not have the flag '${arg.value}'`
+              );
+          }
+        }
+
+        // Commands after the first one in a pipeline can read from the one before it instead
+        // The value of '--max-depth' is not a parameter
+        const params = ownArgs.filter(
+          (arg, argIdx) =>
+            !FLAG_REGEX.test(arg.value) && ownArgs[argIdx - 1]?.value !== "--max-depth"
+        );
+        const required = requiredOf(command);
+        if (idx === 0 && params.length < required.length)
+          report(
+            line,
+            at(name),
+            `the command '${command}' is missing the required parameter '${
+              required[params.length]
+            }'`
+          );
+
+        if (
+          isCommand("bub", command) &&
+          params.length !== 0 &&
+          !_hasVariable(params[0]) &&
+          _canonical(path.resolve(params[0].value)) === canonicalFile
+        )
+          report(line, at(params[0]), "the file runs itself, which would stop it with an error");
+
+        if (isCommand("exit", command) && !options.allowExit)
+          report(line, at(name), "the 'exit' command is skipped, as '--allow-exit' was not passed");
+      });
+    }
+  };
+
+  // Check a condition of an 'if' or 'while' statement, which may be a command
+  const checkCondition = (condition, line, column) => {
+    const negated = condition.match(/^not\s+/);
+    if (negated !== null)
+      return checkCondition(condition.slice(negated[0].length), line, column + negated[0].length);
+    if (/^exists\s/.test(condition)) return;
+
+    const tokens = _tokenize(condition);
+    if (
+      tokens.length === 3 &&
+      tokens.every((token) => token.type === "word") &&
+      ["==", "!="].includes(tokens[1].value)
+    )
+      return;
+
+    checkCommand(condition, line, column);
+  };
+
+  lines.forEach((raw, idx) => {
+    const line = idx + 1;
+    const text = raw.trim();
+    const column = raw.length - raw.trimStart().length + 1;
+
+    if (text === "" || text.startsWith("#")) return;
+
+    const keyword = text.split(/\s+/, 1)[0];
+    const rest = text.slice(keyword.length).trim();
+    const restColumn = column + text.indexOf(rest, keyword.length);
+
+    // Unclosed quotes are found first, so that the rest of the line can be checked
+    try {
+      _tokenize(text);
+    } catch (err) {
+      if (err.code !== "INVALID_SYNTAX") throw err;
+
+      report(line, column + err.index, err.message);
+      unreadable.add(line);
+      return;
+    }
+
+    if (keyword === "if" || keyword === "while") {
+      if (rest !== "") checkCondition(rest, line, restColumn);
+    } else if (keyword === "else") {
+      const condition = rest.match(/^if\s+(.+)$/);
+      if (condition !== null)
+        checkCondition(condition[1], line, restColumn + rest.indexOf(condition[1], 2));
+    } else if (keyword === "source" || keyword === "include") {
+      const [source] = _tokenize(rest);
+      if (typeof source === "undefined" || _hasVariable(source)) return;
+
+      const sourceFile = path.resolve(path.dirname(file), source.value);
+      if (_canonical(sourceFile) === canonicalFile)
+        report(line, restColumn, "the file includes itself, which would stop it with an error");
+      else if (!fs.existsSync(sourceFile))
+        report(line, restColumn, `the included file, '${sourceFile}', does not exist`);
+    } else if (!BLOCK_KEYWORDS.includes(keyword) && !ASSIGNMENT_REGEX.test(text)) {
+      checkCommand(text, line, column);
+    }
+  });
+
+  // Errors in the blocks of the file, which stop it from running, so they are always shown (unless
+  // the same problem was already found on the line)
+  try {
+    _parseScript(lines.map((raw, idx) => (unreadable.has(idx + 1) ? "" : raw)));
+  } catch (err) {
+    if (err.code !== "SCRIPT_ERROR") throw err;
+
+    if (!problems.some((problem) => problem.line === err.line && problem.message === err.message)) {
+      const raw = lines[err.line - 1];
+      report(err.line, err.column ?? raw.length - raw.trimStart().length + 1, err.message);
+    }
+  }
+
+  return problems.sort((a, b) => a.line - b.line || a.column - b.column);
+};
+
+module.exports = _lintScript;
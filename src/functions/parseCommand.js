@@ -0,0 +1,131 @@
+const _tokenize = require("./tokenize");
+const _syntaxError = require("./syntaxError");
+const { _expandAlias } = require("./expandAlias");
+
+/**
+ * Operators that redirect the output of a command to a file.
+ */
+const REDIRECTS = [">", ">>", "2>", "2>>"];
+/**
+ * Operators that must have a command after them.
+ */
+const CONDITIONAL_CONNECTORS = ["&&", "||"];
+
+/**
+ * Parse a command entered into BubbleOS into a list of pipelines.
+ *
+ * A pipeline is a list of commands where the output of each command is
+ * piped into the input of the next one (separated by `|`).
+ *
+ * Each command can also have redirections, which write its output (`>` and `>>`)
+ * or its errors (`2>` and `2>>`) to a file. `>` and `2>` replace the contents of the file,
+ * while `>>` and `2>>` add to the end of it.
+ *
+ * Pipelines are chained together with a connector, which decides if the pipeline runs,
+ * based on the status of the pipeline before it:
+ * - `;` always runs the pipeline.
+ * - `&&` only runs the pipeline if the one before it succeeded.
+ * - `||` only runs the pipeline if the one before it failed.
+ *
+ * If the first word of a command is an alias, it is replaced with the command
+ * that the alias runs, which can also contain operators (e.g. `mkdir build && cd build`).
+ *
+ * The arguments and file names are words from `_tokenize()`, which still contain
+ * variables (such as `$NAME`), as they are only expanded right before the command runs.
+ * They also keep the `index` that they start at in the command (or in the alias they came from).
+ *
+ * The first pipeline has a connector of `null`. For example,
+ * `ls -s | wcount -l > count.txt && cd ..` will be parsed into (with the words shortened to their values):
+ *
+ * ```js
+ * [
+ *   {
+ *     connector: null,
+ *     pipeline: [
+ *       { argv: ["ls", "-s"], redirects: [] },
+ *       { argv: ["wcount", "-l"], redirects: [{ operator: ">", file: "count.txt" }] },
+ *     ],
+ *   },
+ *   { connector: "&&", pipeline: [{ argv: ["cd", ".."], redirects: [] }] },
+ * ];
+ * ```
+ *
+ * If the syntax is invalid (e.g. there is no command after a `|`),
+ * an error with the code `INVALID_SYNTAX` is thrown.
+ *
+ * @param {string} command The command to parse.
+ * @param {Object<string, string>} aliases Optional. The aliases to expand, and the commands they run. Defaults to no aliases.
+ * @returns {{ connector: "&&" | "||" | ";" | null, pipeline: { argv: { value: string, parts: { text: string, expand: boolean, glob: boolean }[] }[], redirects: { operator: ">" | ">>" | "2>" | "2>>", file: { value: string, parts: { text: string, expand: boolean, glob: boolean }[] } }[] }[] }[]} The pipelines in the command, or an empty array if the command is empty.
+ */
+const _parseCommand = (command, aliases = {}) => {
+  const tokens = _tokenize(command);
+  const list = [];
+  // Tokens before this index came from an alias, so they are not expanded again
+  let expandedUntil = 0;
+
+  let connector = null;
+  let pipeline = [{ argv: [], redirects: [] }];
+  // The redirection operator that is waiting for a file name
+  let redirect = null;
+
+  for (let i = 0; i < tokens.length; i++) {
+    let token = tokens[i];
+    const current = pipeline[pipeline.length - 1];
+
+    if (
+      token.type === "word" &&
+      redirect === null &&
+      current.argv.length === 0 &&
+      i >= expandedUntil
+    ) {
+      const expanded = _expandAlias(token, aliases);
+      tokens.splice(i, 1, ...expanded);
+      expandedUntil = i + expanded.length;
+
+      // The alias may be empty
+      if (i >= tokens.length) break;
+      token = tokens[i];
+    }
+
+    if (redirect !== null) {
+      if (token.type === "operator")
+        throw _syntaxError(`there is no file after the '${redirect}' operator`, token.index);
+
+      current.redirects.push({
+        operator: redirect,
+        file: { value: token.value, index: token.index, parts: token.parts },
+      });
+      redirect = null;
+    } else if (token.type === "word") {
+      current.argv.push({ value: token.value, index: token.index, parts: token.parts });
+    } else if (REDIRECTS.includes(token.value)) {
+      redirect = token.value;
+    } else if (current.argv.length === 0) {
+      throw _syntaxError(`there is no command before the '${token.value}' operator`, token.index);
+    } else if (token.value === "|") {
+      pipeline.push({ argv: [], redirects: [] });
+    } else {
+      list.push({ connector, pipeline });
+
+      connector = token.value;
+      pipeline = [{ argv: [], redirects: [] }];
+    }
+  }
+
+  if (redirect !== null) throw _syntaxError(`there is no file after the '${redirect}' operator`);
+
+  const last = pipeline[pipeline.length - 1];
+  if (last.argv.length !== 0) {
+    list.push({ connector, pipeline });
+  } else if (pipeline.length > 1) {
+    throw _syntaxError(`there is no command after the '|' operator`);
+  } else if (last.redirects.length !== 0) {
+    throw _syntaxError(`there is no command before the redirection`);
+  } else if (CONDITIONAL_CONNECTORS.includes(connector)) {
+    throw _syntaxError(`there is no command after the '${connector}' operator`);
+  }
+
+  return list;
+};
+
+module.exports = _parseCommand;
@@ -0,0 +1,229 @@
+const _tokenize = require("./tokenize");
+
+const Variables = require("../classes/Variables");
+
+/**
+ * Matches a variable assignment in a script (e.g. `name=value`).
+ */
+const ASSIGNMENT_REGEX = /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/;
+
+/**
+ * Matches a valid function name, which can also contain dashes (e.g. `build-all`).
+ */
+const FUNCTION_NAME_REGEX = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+/**
+ * Matches the directives that make a script stop at the first line that fails (`#strict`),
+ * or keep running after it (`#nostrict`).
+ */
+const STRICT_DIRECTIVE_REGEX = /^#\s*(no)?strict$/i;
+
+/**
+ * Create an error which describes a problem in a `.bub` script.
+ *
+ * The error will have the code `SCRIPT_ERROR`, so that it can be
+ * told apart from other errors and shown using `Errors.scriptError()`.
+ *
+ * @param {string} reason The reason why the script is invalid.
+ * @param {number} line The line number in the script that caused the error.
+ * @param {number} column Optional. The column in the line that caused the error, if it is known.
+ * @returns The error, which should be thrown.
+ */
+const _scriptError = (reason, line, column = undefined) => {
+  const err = new Error(reason);
+  err.code = "SCRIPT_ERROR";
+  err.line = line;
+  err.column = column;
+  return err;
+};
+
+/**
+ * Check that text in a script can be split into words, and only contains words if required.
+ *
+ * @param {string} text The text to check.
+ * @param {number} line The line number of the text in the script.
+ * @param {number} column The column that the text starts at in the line.
+ * @param {boolean} wordsOnly If operators (such as `|` or `&&`) are not allowed in the text.
+ * @returns {{ type: "word" | "operator", value: string }[]} The words and operators in the text.
+ */
+const _checkSyntax = (text, line, column, wordsOnly = false) => {
+  let tokens;
+  try {
+    tokens = _tokenize(text);
+  } catch (err) {
+    if (err.code !== "INVALID_SYNTAX") throw err;
+    throw _scriptError(err.message, line, column + (err.index ?? 0));
+  }
+
+  const operator = tokens.find((token) => token.type === "operator");
+  if (wordsOnly && typeof operator !== "undefined")
+    throw _scriptError(
+      `the '${operator.value}' operator cannot be used here`,
+      line,
+      column + operator.index
+    );
+
+  return tokens;
+};
+
+/**
+ * Parse the lines of a `.bub` script into the statements that it runs.
+ *
+ * The following statements are supported (each on its own line):
+ * - `if <condition>`, `else if <condition>`, `else` and `end`: Run the lines in the block if the condition is true.
+ * - `for <NAME> in <values>...` and `end`: Run the lines in the block once for each value, which is stored in the variable.
+ * - `while <condition>` and `end`: Run the lines in the block for as long as the condition is true.
+ * - `function <name>` and `end`: Define a function, which runs the lines in the block when it is called like a command.
+ * - `try`, `catch`, `finally` and `end`: Run the lines in the block, and if one fails, run the lines in `catch` instead of the rest. The lines in `finally` are always run.
+ * - `source <file>` or `include <file>`: Run another `.bub` file, so that its functions and variables can be used.
+ * - `<NAME>=<value>`: Set a variable.
+ * - Anything else is run as a command.
+ *
+ * Empty lines and lines starting with `#` are ignored, apart from the `#strict` and `#nostrict` directives,
+ * which become `directive` statements and must be before all other statements. If the script is invalid (e.g. a block
+ * is missing its `end`), an error with the code `SCRIPT_ERROR` and the `line` number is thrown.
+ *
+ * @param {string[]} lines The lines of the script.
+ * @returns {object[]} The statements in the script. Each statement has a `type`, the `line` number and the `text` of the line, and any statements it contains.
+ */
+const _parseScript = (lines) => {
+  const statements = [];
+
+  // The blocks that are currently open, where the last one is the innermost block.
+  // A block is 'chained' if it was started by 'else if', so it ends with the 'if' before it
+  const stack = [{ statement: null, body: statements, chained: false }];
+  const current = () => stack[stack.length - 1];
+
+  const openBlock = (statement, body, chained = false) => {
+    current().body.push(statement);
+    stack.push({ statement, body, chained });
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = i + 1;
+    const text = lines[i].trim();
+
+    // The column of text at the end of the line (e.g. the condition of an 'if' statement)
+    const columnOf = (part) => lines[i].trimEnd().length - part.length + 1;
+
+    const directive = text.match(STRICT_DIRECTIVE_REGEX);
+    if (directive) {
+      const name = directive[1] ? "nostrict" : "strict";
+      if (statements.some((statement) => statement.type !== "directive"))
+        throw _scriptError(`the '#${name}' directive must be before all other lines`, line);
+
+      statements.push({ type: "directive", line, text, name });
+      continue;
+    }
+
+    if (text === "" || text.startsWith("#")) continue;
+
+    const keyword = text.split(/\s+/, 1)[0];
+    const rest = text.slice(keyword.length).trim();
+
+    if (keyword === "if" || keyword === "while") {
+      if (rest === "") throw _scriptError(`'${keyword}' must be followed by a condition`, line);
+      _checkSyntax(rest, line, columnOf(rest));
+
+      const statement = { type: keyword, line, text, condition: rest, body: [] };
+      if (keyword === "if") statement.else = [];
+
+      openBlock(statement, statement.body);
+    } else if (keyword === "else") {
+      const block = current();
+      if (block.statement?.type !== "if" || block.body === block.statement.else)
+        throw _scriptError("'else' must be inside of an 'if' block, and only used once", line);
+
+      block.body = block.statement.else;
+
+      if (rest !== "") {
+        // 'else if' starts another 'if' block, which ends with the same 'end'
+        const condition = rest.slice(rest.split(/\s+/, 1)[0].length).trim();
+        if (!/^if(\s|$)/.test(rest))
+          throw _scriptError("'else' can only be followed by 'if'", line);
+        if (condition === "") throw _scriptError("'else if' must be followed by a condition", line);
+        _checkSyntax(condition, line, columnOf(condition));
+
+        const statement = { type: "if", line, text, condition, body: [], else: [] };
+        openBlock(statement, statement.body, true);
+      }
+    } else if (keyword === "try") {
+      if (rest !== "") throw _scriptError("'try' must be on its own line", line);
+
+      const statement = { type: "try", line, text, body: [], catch: null, finally: null };
+      openBlock(statement, statement.body);
+    } else if (keyword === "catch" || keyword === "finally") {
+      const block = current();
+      if (block.statement?.type !== "try" || block.body === block.statement.finally)
+        throw _scriptError(
+          `'${keyword}' must be inside of a 'try' block, before its 'finally'`,
+          line
+        );
+      if (block.statement[keyword] !== null)
+        throw _scriptError(`'${keyword}' can only be used once in a 'try' block`, line);
+      if (rest !== "") throw _scriptError(`'${keyword}' must be on its own line`, line);
+
+      block.statement[keyword] = [];
+      block.body = block.statement[keyword];
+    } else if (keyword === "for") {
+      const match = rest.match(/^(\S+)\s+in(?:\s+(.*))?$/);
+      if (match === null)
+        throw _scriptError("'for' must be written like 'for <NAME> in <values>...'", line);
+      if (!Variables.validName(match[1]))
+        throw _scriptError(`'${match[1]}' is not a valid variable name`, line);
+      _checkSyntax(match[2] ?? "", line, columnOf(match[2] ?? ""), true);
+
+      const statement = {
+        type: "for",
+        line,
+        text,
+        name: match[1],
+        values: match[2] ?? "",
+        body: [],
+      };
+      openBlock(statement, statement.body);
+    } else if (keyword === "function") {
+      if (!FUNCTION_NAME_REGEX.test(rest))
+        throw _scriptError(`'${rest}' is not a valid function name`, line);
+
+      const statement = { type: "function", line, text, name: rest, body: [] };
+      openBlock(statement, statement.body);
+    } else if (keyword === "source" || keyword === "include") {
+      if (_checkSyntax(rest, line, columnOf(rest), true).length !== 1)
+        throw _scriptError(`'${keyword}' must be followed by one file`, line);
+
+      current().body.push({ type: "source", line, text, file: rest });
+    } else if (keyword === "end") {
+      if (stack.length === 1) throw _scriptError("'end' does not close any block", line);
+      if (rest !== "") throw _scriptError("'end' must be on its own line", line);
+
+      const { statement } = current();
+      if (statement.type === "try" && statement.catch === null && statement.finally === null)
+        throw _scriptError("the 'try' block must have a 'catch' or 'finally'", statement.line);
+
+      // Close the block, and the blocks it is chained to
+      while (stack.pop().chained);
+    } else if (ASSIGNMENT_REGEX.test(text)) {
+      const [, name, value] = text.match(ASSIGNMENT_REGEX);
+      _checkSyntax(value, line, columnOf(value), true);
+
+      current().body.push({ type: "assign", line, text, name, value });
+    } else {
+      _checkSyntax(text, line, columnOf(text));
+      current().body.push({ type: "command", line, text });
+    }
+  }
+
+  if (stack.length !== 1) {
+    // Find the block that is missing its 'end', which is the 'if' at the start of a chain
+    let idx = stack.length - 1;
+    while (stack[idx].chained) idx--;
+
+    const { type, line } = stack[idx].statement;
+    throw _scriptError(`the '${type}' block is missing its 'end'`, line);
+  }
+
+  return statements;
+};
+
+module.exports = { _parseScript, _scriptError, STRICT_DIRECTIVE_REGEX };
@@ -3,6 +3,10 @@ const yn = require("yn");
 const { question } = require("readline-sync");
 
 const _fatalError = require("./fatalError");
+const { _promptPolicy } = require("./promptPolicy");
+
+const Errors = require("../classes/Errors");
+const Streams = require("../classes/Streams");
 
 /**
  * Prompt the user for a yes/no prompt message.
@@ -12,11 +16,28 @@ const _fatalError = require("./fatalError");
  * it will automatically decline and return `false`.
  * Otherwise, it will accept and return `true`.
  *
+ * The user is only asked if the prompt policy is `ask`
+ * (see `_promptPolicy()`). If it is `yes` or `no`, the
+ * message is still shown with the answer, so that it
+ * appears in logs. If it is `fail`, an error is shown
+ * and the prompt is declined.
+ *
  * @param {string} message The message to display to the user in the yes/no prompt.
  * @returns `true` if the user accepts, `false` if the user declines.
  */
 const _promptForYN = (message) => {
   try {
+    const policy = _promptPolicy();
+
+    if (policy === "fail") {
+      Streams.log(`${message} [${chalk.green("y")}/${chalk.red.bold("N")}]`);
+      Errors.promptNotAllowed("an answer");
+      return false;
+    } else if (policy !== "ask") {
+      Streams.log(`${message} [${chalk.green("y")}/${chalk.red.bold("N")}] ${policy.charAt(0)}`);
+      return policy === "yes";
+    }
+
     return yn(
       question(`${message} [${chalk.green("y")}/${chalk.red.bold("N")}] `, { guide: false }),
       {
@@ -0,0 +1,83 @@
+const _detectArgs = require("./detectArgs");
+const _isInteractive = require("./isInteractive");
+
+const ConfigManager = require("../classes/ConfigManager");
+
+/**
+ * The policies for answering yes/no prompts:
+ * - `ask`: Ask the user.
+ * - `yes`: Accept without asking.
+ * - `no`: Decline without asking.
+ * - `fail`: Show an error and decline, as nothing should be asked.
+ */
+const PROMPT_POLICIES = ["ask", "yes", "no", "fail"];
+
+/**
+ * The flags that set the prompt policy for a single command (e.g. `del *.log --assume-no`),
+ * which are accepted by the commands that list them in their help message. `-y` is not
+ * included, as each command accepts its own prompts with it.
+ */
+const PROMPT_FLAGS = { "--assume-no": "no", "--no-prompts": "fail" };
+
+/**
+ * The prompt policies set for the commands that are currently running with one of the
+ * `PROMPT_FLAGS`, where the last one is for the innermost command.
+ *
+ * @type {("no" | "fail")[]}
+ */
+const _overrides = [];
+
+/**
+ * Find how yes/no prompts (such as the one in `del`) should be answered.
+ *
+ * The policy comes from the flag of the command that is running (see `PROMPT_FLAGS`), the
+ * startup arguments `--yes`, `--assume-no` or `--no-prompts` (for `fail`), or else, the
+ * `promptPolicy` key in the configuration file. Otherwise, the
+ * user is asked. If BubbleOS is not interactive (see `_isInteractive()`), `ask` becomes
+ * `no`, so that nothing waits for an answer.
+ *
+ * Commands with a `-y` flag (such as `del -y`) skip their prompt, whatever the policy is.
+ *
+ * @returns {"ask" | "yes" | "no" | "fail"} The policy to use.
+ */
+const _promptPolicy = () => {
+  let policy = "ask";
+
+  if (_overrides.length !== 0) policy = _overrides[_overrides.length - 1];
+  else if (_detectArgs("yes")) policy = "yes";
+  else if (_detectArgs("assumeNo")) policy = "no";
+  else if (_detectArgs("noPrompts")) policy = "fail";
+  else {
+    const configPolicy = new ConfigManager().getConfig()?.promptPolicy;
+    if (PROMPT_POLICIES.includes(configPolicy)) policy = configPolicy;
+  }
+
+  return policy === "ask" && !_isInteractive() ? "no" : policy;
+};
+
+/**
+ * Check if the user can be asked for input that is not a yes/no answer (such as
+ * the phrase to find in `fif`), which cannot be answered by the prompt policy.
+ *
+ * @returns {boolean} `false` if BubbleOS is not interactive or the prompt policy is `fail`, else, `true`.
+ */
+const _canAsk = () => _isInteractive() && _promptPolicy() !== "fail";
+
+/**
+ * Run a function (usually a command) with a prompt policy that is only used while it runs.
+ *
+ * @param {"no" | "fail"} policy The prompt policy to use.
+ * @param {Function} fn The function to run. It can be asynchronous.
+ * @returns The value returned by the function.
+ */
+const _withPromptPolicy = async (policy, fn) => {
+  _overrides.push(policy);
+
+  try {
+    return await fn();
+  } finally {
+    _overrides.pop();
+  }
+};
+
+module.exports = { _promptPolicy, _canAsk, _withPromptPolicy, PROMPT_FLAGS };
@@ -0,0 +1,168 @@
+const chalk = require("chalk");
+const readline = require("readline");
+
+const { _complete } = require("./complete");
+const { _getHist } = require("../commands/history");
+
+/**
+ * Search the history for the newest command containing a query, for the Ctrl+R reverse search.
+ *
+ * @param {string[]} history The commands in the history, from newest to oldest.
+ * @param {string} query The text to search for.
+ * @param {number} start The index in the history to start searching from.
+ * @returns {number} The index of the command that was found, or `-1` if there is none.
+ */
+const _searchHist = (history, query, start) => {
+  return history.findIndex((command, idx) => idx >= start && command.includes(query));
+};
+
+/**
+ * Add a reverse search of the history (Ctrl+R) to a `readline` interface.
+ *
+ * While searching, typing narrows down the search, Ctrl+R finds the next older match
+ * and Ctrl+G cancels the search. Enter runs the command that was found, and any other
+ * key (such as the arrow keys) stops searching so that the command can be edited.
+ *
+ * The keypress listener of the interface is replaced with one that handles searching,
+ * and passes all other keys on to the original listener.
+ *
+ * @param {readline.Interface} rl The interface to add the reverse search to.
+ * @param {(str: string, key: object) => void} listener The keypress listener that was added by `rl`.
+ * @param {string[]} history The commands in the history, from newest to oldest.
+ * @param {string} prompt The normal prompt of the interface.
+ * @returns {(str: string, key: object) => void} The new keypress listener.
+ */
+const _addReverseSearch = (rl, listener, history, prompt) => {
+  // The state of the search, or 'null' if the user is not searching
+  let search = null;
+
+  const replaceLine = (text) => {
+    rl.write(null, { ctrl: true, name: "e" });
+    rl.write(null, { ctrl: true, name: "u" });
+    rl.write(text);
+  };
+
+  const showSearch = () => {
+    const failed = search.query !== "" && search.match === -1;
+    rl.setPrompt(
+      `${failed ? chalk.red("(failed reverse-i-search)") : "(reverse-i-search)"}'${search.query}': `
+    );
+    replaceLine(search.match === -1 ? "" : history[search.match]);
+  };
+
+  const endSearch = (text) => {
+    search = null;
+    rl.setPrompt(prompt);
+    replaceLine(text);
+  };
+
+  return (str, key = {}) => {
+    if (search === null) {
+      if (key.ctrl && key.name === "r") {
+        search = { query: "", match: -1, original: rl.line };
+        showSearch();
+        return;
+      }
+
+      return listener(str, key);
+    }
+
+    if (key.ctrl && key.name === "r") {
+      // Find the next older match
+      const next = _searchHist(history, search.query, search.match + 1);
+      if (next !== -1) search.match = next;
+      showSearch();
+    } else if (key.ctrl && key.name === "g") {
+      endSearch(search.original);
+    } else if (key.name === "backspace") {
+      search.query = search.query.slice(0, -1);
+      search.match = search.query === "" ? -1 : _searchHist(history, search.query, 0);
+      showSearch();
+    } else if (
+      typeof str === "string" &&
+      str.length === 1 &&
+      !key.ctrl &&
+      !key.meta &&
+      str >= " "
+    ) {
+      search.query += str;
+      search.match = _searchHist(history, search.query, Math.max(search.match, 0));
+      showSearch();
+    } else {
+      // Any other key stops searching, and is then handled normally
+      endSearch(search.match === -1 ? search.original : history[search.match]);
+      if (key.name !== "escape") listener(str, key);
+    }
+  };
+};
+
+/**
+ * Ask the user for a command in the BubbleOS shell.
+ *
+ * Pressing Tab completes the command name, flag or path that is being typed.
+ * If there is more than one possible completion, the common start of them is
+ * completed, and pressing Tab again lists all of them.
+ *
+ * The line can be edited with the following keys:
+ * - Up/Down: Go through the commands in the history, including ones from previous sessions.
+ * - Ctrl+R: Search the history for a command.
+ * - Ctrl+A/Ctrl+E: Move to the start/end of the line.
+ * - Ctrl+W: Delete the word before the cursor.
+ * - Ctrl+U: Delete everything before the cursor.
+ * - Ctrl+C: Cancel the line, and start a new one.
+ *
+ * A new `readline` interface is created for each command, and closed once the command
+ * is entered, so that commands can still ask for input themselves (e.g. `_promptForYN()`).
+ *
+ * @param {string} prompt The prompt to show before the command.
+ * @returns {Promise<string | null>} The command that the user entered, or `null` if the input has ended.
+ */
+const _readCommand = (prompt) => {
+  return new Promise((resolve) => {
+    // The history is newest first in 'readline'
+    const history = [..._getHist()].reverse();
+
+    const listeners = process.stdin.listeners("keypress");
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      completer: _complete,
+      history: [...history],
+      historySize: history.length + 1,
+      tabSize: 4,
+    });
+
+    // Replace the keypress listener of the interface, to add the reverse search
+    const listener = process.stdin.listeners("keypress").find((l) => !listeners.includes(l));
+    let searchListener;
+    if (typeof listener !== "undefined") {
+      searchListener = _addReverseSearch(rl, listener, history, prompt);
+      process.stdin.removeListener("keypress", listener);
+      process.stdin.on("keypress", searchListener);
+    }
+
+    let entered = false;
+    const finish = (command) => {
+      entered = true;
+      rl.close();
+      resolve(command);
+    };
+
+    // Cancel the line instead of exiting BubbleOS
+    rl.on("SIGINT", () => {
+      process.stdout.write("^C\n");
+      finish("");
+    });
+
+    // If the input ends before a command is entered (e.g. Ctrl+D), there is no command
+    rl.on("close", () => {
+      if (typeof searchListener !== "undefined")
+        process.stdin.removeListener("keypress", searchListener);
+      if (!entered) resolve(null);
+    });
+
+    rl.question(prompt, finish);
+  });
+};
+
+module.exports = _readCommand;
@@ -0,0 +1,24 @@
+/**
+ * Create an error which describes invalid syntax in a command.
+ *
+ * The error will have the code `INVALID_SYNTAX`, so that it can be
+ * told apart from other errors and shown using `Errors.invalidSyntax()`.
+ *
+ * Usage:
+ *
+ * ```js
+ * throw _syntaxError("there is an unclosed double quote", 5);
+ * ```
+ *
+ * @param {string} reason The reason why the syntax is invalid.
+ * @param {number} index Optional. The index of the character in the command that caused the error.
+ * @returns The error, which should be thrown.
+ */
+const _syntaxError = (reason, index) => {
+  const err = new SyntaxError(reason);
+  err.code = "INVALID_SYNTAX";
+  err.index = index;
+  return err;
+};
+
+module.exports = _syntaxError;
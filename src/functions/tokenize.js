@@ -0,0 +1,164 @@
+const _syntaxError = require("./syntaxError");
+
+/**
+ * Characters that separate words in a command.
+ */
+const WHITESPACE = [" ", "\t", "\r", "\n"];
+/**
+ * Operators that separate commands, such as the pipe (`|`) and
+ * the chaining operators (`&&`, `||` and `;`), or that redirect
+ * the output of a command to a file (`>`, `>>`, `2>` and `2>>`).
+ *
+ * Longer operators are listed first, so that `>>` is not read as two `>` operators.
+ */
+const OPERATORS = ["2>>", "2>", ">>", ">", "&&", "||", "|", ";"];
+/**
+ * Characters that start an operator, and so can be escaped with a backslash.
+ *
+ * The `2` in `2>` is not included, as it is only an operator at the start of a word.
+ */
+const OPERATOR_CHARS = ["|", ">", "&", ";"];
+
+/**
+ * Characters that can be escaped with a backslash outside of quotes.
+ *
+ * Any other character after a backslash will keep the backslash, so that
+ * Windows paths (such as `C:\Users\bubble`) can still be entered normally.
+ */
+const ESCAPABLE = [...WHITESPACE, ...OPERATOR_CHARS, "'", '"', "\\", "$", "%", "!"];
+
+/**
+ * Characters that can be escaped with a backslash inside of double quotes.
+ */
+const ESCAPABLE_IN_DOUBLE_QUOTES = ['"', "\\", "$", "%", "!"];
+
+/**
+ * Get the operator that starts at a position in a command, if there is one.
+ *
+ * @param {string} command The command to check.
+ * @param {number} index The position in the command to check.
+ * @param {boolean} inWord If a word has been started. Operators starting with `2` are only read at the start of a word.
+ * @returns {string | undefined} The operator, or `undefined` if there is no operator at that position.
+ */
+const _operatorAt = (command, index, inWord) => {
+  return OPERATORS.find(
+    (operator) => command.startsWith(operator, index) && !(inWord && operator.startsWith("2"))
+  );
+};
+
+/**
+ * Split a command into its words (the command name, followed
+ * by its arguments) and operators, the same way that most shells do.
+ *
+ * The following rules are used:
+ * - Words are separated by one or more spaces or tabs.
+ * - Operators (such as `|`, `&&` or `>`) are separate tokens, even if they are not
+ * surrounded by spaces. `2>` and `2>>` are only operators at the start of a word,
+ * so `file2>out.txt` is read as `file2`, `>` and `out.txt`. They can be used as normal text if they are
+ * quoted or escaped (e.g. `"|"` or `\|`).
+ * - Text in single quotes (`'`) is kept exactly as it is.
+ * - Text in double quotes (`"`) is kept as it is, except that
+ * `\"`, `\\`, `\$`, `\%` and `\!` are replaced with `"`, `\`, `$`, `%` and `!` respectively.
+ * - Outside of quotes, a backslash escapes a space, a quote, an
+ * operator, a `$`, a `%`, a `!` or another backslash. Other backslashes are kept, so Windows paths
+ * do not need to be escaped.
+ * - Empty quotes (`""` or `''`) are kept as an empty word.
+ *
+ * Each word is also split into parts, which record if variables (such as `$NAME`)
+ * can be expanded in that part of the word (`expand`), and if it can be a glob pattern
+ * (`glob`). Variables are not expanded in single quotes, or if the `$` or `%` is
+ * escaped (e.g. `\$NAME`). Glob patterns (such as `*.txt`) are only used outside of quotes.
+ *
+ * Each word and operator also has the `index` of the character in the command that it starts at.
+ *
+ * If a quote is not closed, an error with the code `INVALID_SYNTAX` is thrown.
+ *
+ * @param {string} command The command to split into words.
+ * @returns {{ type: "word" | "operator", value: string, index: number, parts?: { text: string, expand: boolean, glob: boolean }[] }[]} An array of all of the words and operators in the command. Only words have `parts`.
+ */
+const _tokenize = (command = "") => {
+  const tokens = [];
+
+  // The parts of the current word
+  let parts = [];
+  // If a word has been started, even if it is empty (e.g. ""), and where it was started
+  let inWord = false;
+  let wordIndex = -1;
+  // The quote that is currently open, and where it was opened
+  let quote = null;
+  let quoteIndex = -1;
+
+  // Add text to the current word, joining it with the last part if they can both be expanded (or not)
+  const append = (text, expand, glob = false) => {
+    const last = parts[parts.length - 1];
+
+    if (last?.expand === expand && last?.glob === glob) last.text += text;
+    else parts.push({ text, expand, glob });
+  };
+  const startWord = (index) => {
+    if (!inWord) wordIndex = index;
+    inWord = true;
+  };
+  const endWord = () => {
+    if (inWord)
+      tokens.push({
+        type: "word",
+        value: parts.map((part) => part.text).join(""),
+        index: wordIndex,
+        parts,
+      });
+
+    parts = [];
+    inWord = false;
+  };
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+    const next = command[i + 1];
+    const operator = quote === null ? _operatorAt(command, i, inWord) : undefined;
+
+    if (quote === "'") {
+      // Everything is literal in single quotes
+      if (char === "'") quote = null;
+      else append(char, false);
+    } else if (quote === '"') {
+      if (char === "\\" && ESCAPABLE_IN_DOUBLE_QUOTES.includes(next)) {
+        append(next, false);
+        i++;
+      } else if (char === '"') {
+        quote = null;
+      } else {
+        append(char, true);
+      }
+    } else if (WHITESPACE.includes(char) || typeof operator !== "undefined") {
+      // End of the current word
+      endWord();
+      if (typeof operator !== "undefined") {
+        tokens.push({ type: "operator", value: operator, index: i });
+        i += operator.length - 1;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      quoteIndex = i;
+      startWord(i);
+    } else if (char === "\\" && ESCAPABLE.includes(next)) {
+      append(next, false);
+      startWord(i);
+      i++;
+    } else {
+      append(char, true, true);
+      startWord(i);
+    }
+  }
+
+  if (quote !== null)
+    throw _syntaxError(
+      `there is an unclosed ${quote === '"' ? "double" : "single"} quote (${quote})`,
+      quoteIndex
+    );
+
+  endWord();
+  return tokens;
+};
+
+module.exports = _tokenize;
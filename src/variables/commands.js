@@ -3,8 +3,13 @@ const { keyInPause } = require("readline-sync");
 
 const { GLOBAL_NAME } = require("./constants");
 
+const _isInteractive = require("../functions/isInteractive");
+
+const Streams = require("../classes/Streams");
+
 // Import all commands
 const about = require("../commands/about");
+const { alias } = require("../commands/alias");
 const bub = require("../commands/bub");
 const cd = require("../commands/cd");
 const cls = require("../commands/cls");
@@ -13,9 +18,12 @@ const crash = require("../commands/crash");
 const date = require("../commands/date");
 const del = require("../commands/del");
 const dirtree = require("../commands/dirtree");
+const env = require("../commands/env");
 const exec = require("../commands/exec");
 const exit = require("../commands/exit");
+const exportVariables = require("../commands/export");
 const fif = require("../commands/fif");
+const format = require("../commands/format");
 const hash = require("../commands/hash");
 const help = require("../commands/help");
 const { history } = require("../commands/history");
@@ -29,6 +37,7 @@ const ping = require("../commands/ping");
 const print = require("../commands/print");
 const readfile = require("../commands/readfile");
 const rename = require("../commands/rename");
+const { set } = require("../commands/set");
 const size = require("../commands/size");
 const symlink = require("../commands/symlink");
 const sysinfo = require("../commands/sysinfo");
@@ -36,6 +45,8 @@ const taskkill = require("../commands/taskkill");
 const tasklist = require("../commands/tasklist");
 const time = require("../commands/time");
 const tips = require("../commands/tips");
+const unalias = require("../commands/unalias");
+const unset = require("../commands/unset");
 const wcount = require("../commands/wcount");
 
 // Easter egg :D
@@ -48,9 +59,10 @@ const cConCon = () => {
   );
   console.log(chalk.blueBright(`*  Press any key to terminate ${GLOBAL_NAME}.`));
   console.log(chalk.blueBright(`*  Press CTRL+ALT+DEL to terminate your PC.\n`));
-  keyInPause(chalk.blueBright(`Press any key to continue ${chalk.bold.grey("_")}`), {
-    guide: false,
-  });
+  if (_isInteractive())
+    keyInPause(chalk.blueBright(`Press any key to continue ${chalk.bold.grey("_")}`), {
+      guide: false,
+    });
 
   console.log();
   process.exit(1);
@@ -66,6 +78,7 @@ const cConCon = () => {
  */
 const COMMANDS = {
   about,
+  alias,
   bub,
   "C:\\con\\con": cConCon,
   cd,
@@ -75,16 +88,19 @@ const COMMANDS = {
   copy,
   crash,
   cwd: () => {
-    console.log(process.cwd() + "\n");
+    Streams.log(process.cwd() + "\n");
   },
   date,
   del,
   // Aliases: dirtree, tree
   dirtree,
   tree: dirtree,
+  env,
   exec,
   exit,
+  export: exportVariables,
   fif,
+  format,
   hash,
   help,
   history,
@@ -102,6 +118,7 @@ const COMMANDS = {
   echo: print,
   readfile,
   rename,
+  set,
   size,
   symlink,
   sysinfo,
@@ -109,6 +126,8 @@ const COMMANDS = {
   tasklist,
   time,
   tips,
+  unalias,
+  unset,
   wcount,
 };
 
@@ -120,6 +139,7 @@ const COMMANDS = {
  */
 const ALIASES = {
   about: ["info", "information", "ver", "version"],
+  alias: ["doskey"],
   bub: ["bubble", "int", "interpret"],
   cd: ["chdir"],
   cls: [],
@@ -129,9 +149,12 @@ const ALIASES = {
   date: [],
   del: ["rm", "delete", "rmfile", "rmdir"],
   dirtree: [],
+  env: ["printenv"],
   exec: ["run"],
   exit: ["end"],
+  export: [],
   fif: ["find", "search"],
+  format: [],
   help: ["man"],
   history: ["hist"],
   ifnet: ["ipconfig", "ifconfig"],
@@ -144,6 +167,7 @@ const ALIASES = {
   print: [],
   readfile: ["cat", "more", "type", "rdfile", "read", "tail"],
   rename: ["mv", "ren"],
+  set: ["let", "var", "setenv"],
   size: ["df"],
   symlink: ["symblnk", "ln", "link"],
   sysinfo: ["uname", "systeminfo", "userinfo", "whoami"],
@@ -151,6 +175,8 @@ const ALIASES = {
   tasklist: ["ps", "top", "htop"],
   time: [],
   tips: ["tip"],
+  unalias: [],
+  unset: ["unsetenv"],
   wcount: ["wc"],
 };
 
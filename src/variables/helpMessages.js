@@ -9,14 +9,35 @@ const HELP = {
     desc: `Get information about ${GLOBAL_NAME}, including the build, version, author, and links to various related websites. You can also view the license by running the command with '-l'.`,
     args: { "[-l]": `View the license of ${GLOBAL_NAME}.` },
   },
+  alias: {
+    usage: "alias [<name>[=<command>]]",
+    desc: `Create a shortcut for a command. When a command starts with the name of an alias, the name is replaced with the command the alias runs, which can also contain operators such as '&&' (e.g. 'alias ll="ls -s"'). Aliases are saved, so they are kept when ${GLOBAL_NAME} is restarted. Aliases that would create a loop cannot be set. If nothing is passed, all aliases are shown.`,
+    args: {
+      "[<name>]": "The name of the alias. If no command is passed, the alias is shown.",
+      "[<command>]": "The command that the alias runs. Use quotes if the command has spaces.",
+    },
+  },
   bub: {
-    usage: "bub <file> [-d] [--allow-exit]",
-    desc: `Run a file which contains ${GLOBAL_NAME} commands. The file must end with '.bub'. To add comments in the file, start a line with '#'.`,
+    usage:
+      "bub <file> [<args>...] [-d] [--allow-exit] [--strict] [--dry-run] [--step] [--check] [--max-depth <number>]",
+    desc: `Run a file which contains ${GLOBAL_NAME} commands. The file must end with '.bub'. To add comments in the file, start a line with '#'. Variables can be set with 'NAME=value'. Lines can be run conditionally with 'if <condition>', 'else if <condition>', 'else' and 'end', and repeated with 'for NAME in <values>...' or 'while <condition>' followed by 'end'. A condition can be a command (true if it succeeded), 'exists <path>', '<value> == <value>', '<value> != <value>', or 'not' followed by another condition. Functions can be defined with 'function <name>' followed by 'end', and are run like commands. Other '.bub' files (such as libraries of functions) can be run in the same file with 'source <file>' or 'include <file>', relative to the file that includes them. Lines can be run with 'try', followed by 'catch' (which runs if a line in 'try' fails, instead of the rest of it) and/or 'finally' (which always runs), and 'end'. If a file starts with the '#strict' directive, it stops at the first line that fails (new files made with 'mkfile' start with it). To make files without a directive stop too, set 'bubStrict' to true in the configuration file, and start the files that should not stop with the '#nostrict' directive. Once the file has finished, the lines that failed are shown. If the file has an error, nothing is run and the line of the error is shown. A file cannot run itself, either directly or through other files, and the chain of files is shown if it tries to. Files can also be run outside of ${GLOBAL_NAME} by starting them with '#!/usr/bin/env bubble'.`,
     args: {
       "<file>": "The file of which to execute commands in.",
+      "[<args>...]":
+        "Arguments to pass into the file, which can be used as '$1', '$2', etc. '$#' is the number of arguments, and '$@' is all of them. Use '--' to pass arguments that are the same as the flags below.",
       "[-d]":
         "Whether to display the commands that the program is executing from the file or not. By default, commands do not display.",
       "[--allow-exit]": `By default, ${GLOBAL_NAME} will not allow the 'exit' command to be run if it is in a '.bub' file. If this flag is passed, it will allow exiting ${GLOBAL_NAME} from the script.`,
+      "[--strict]":
+        "Stop running the file at the first line that fails, as if the file started with the '#strict' directive.",
+      "[--dry-run]":
+        "Show the commands in the file with their variables and glob patterns expanded, without running them. Commands that delete or change files or processes (such as 'del', 'rename' and 'taskkill') are marked. Conditions are not checked, so every part of each block is shown.",
+      "[--step]":
+        "Pause before each line, and choose to continue (c or Enter), skip the line (s), show the current directory and the status of the last command (w), run the rest of the file without pausing (r), or abort the file (a).",
+      "[--check]":
+        "Check the file for problems without running it, and show each one with its line and column. This finds unclosed quotes and blocks, commands that do not exist, flags that a command does not have, missing required parameters, the file running itself, and the 'exit' command (unless '--allow-exit' is passed).",
+      "[--max-depth <number>]":
+        "The maximum number of '.bub' files that can be running inside of each other (with 'bub', 'source' or 'include'), including this one. Files run by this file use the same maximum. Defaults to 32, or 'bubMaxDepth' in the configuration file.",
     },
   },
   cd: {
@@ -35,7 +56,7 @@ const HELP = {
     args: {},
   },
   copy: {
-    usage: "copy <src> <dest> [-s] [-y] [-t] [--rm-symlink]",
+    usage: "copy <src> <dest> [-s] [-y] [-t] [--rm-symlink] [--assume-no] [--no-prompts]",
     desc: "Copies a file/directory from the source to the destination (with its contents). Absolute and relative paths for both arguments are accepted. The destination must have the name of the copied file/directory (otherwise if the path already exists, it will be overwritten).",
     args: {
       "<src>":
@@ -50,13 +71,20 @@ const HELP = {
         "Only for copying directories. Keeps the original timestamps of the nested files/directories. By default, this is false.",
       "[--rm-symlink]":
         "Only for copying directories. If a file/folder in the directory is a symbolic link, it will be replaced by the contents of the path it was pointing to. By default, this is false.",
+      "[--assume-no]":
+        "Answer 'no' to the confirmation prompts without asking, whatever the prompt policy is.",
+      "[--no-prompts]": "Show an error instead of asking anything, whatever the prompt policy is.",
     },
   },
   crash: {
-    usage: "crash [<index>]",
+    usage: "crash [<index>] [-y] [--assume-no] [--no-prompts]",
     desc: `USE WITH CAUTION! Crashes ${GLOBAL_NAME} in multiple ways, including causing a fatal error, hanging the terminal session, and causing a memory leak. Note that with the memory leak, ${GLOBAL_NAME} will crash once it has its maximum allocated memory space.`,
     args: {
       "[<index>]": `An index which points to the crashing method. If the index does not exist, a warning will appear, and it will default to asking for a prompt.`,
+      "[-y]": "Automatically accept the confirmation prompts before crashing.",
+      "[--assume-no]":
+        "Answer 'no' to the confirmation prompts without asking, whatever the prompt policy is.",
+      "[--no-prompts]": "Show an error instead of asking anything, whatever the prompt policy is.",
     },
   },
   cwd: {
@@ -65,31 +93,55 @@ const HELP = {
     args: {},
   },
   date: {
-    usage: "date",
+    usage: "date [--json]",
     desc: `Gets the current date from your local system. The date will be printed out in a friendly format like so: "[day], the [date] of [month] [year]". The date will have the appropriate ordinal (e.g. 'st'), and the day/month will have their names. Below the friendly name in brackets is a date styled in the slash-like format.`,
-    args: {},
+    args: {
+      "[--json]":
+        "Show the date as JSON, with the 'year', 'month', 'day', 'dayName', 'monthName' and 'iso' fields.",
+    },
   },
   del: {
-    usage: "del <path> [-s] [-y]",
+    usage: "del <path>... [-s] [-y] [--assume-no] [--no-prompts]",
     desc: `Delete any file/directory, regardless of if it is empty or not. The command will automatically infer whether the path entered is a file or directory, and appropriately delete it. In the case of an error, ${GLOBAL_NAME} will keep trying to delete it until the maximum tries have been surpassed.`,
     args: {
       "<path>":
-        "The file/directory to delete. The command will work even if the directory is empty or not.",
+        "The files/directories to delete. The command will work even if the directory is empty or not. Multiple paths can be passed (e.g. with a glob pattern like '*.log'), and they will all be confirmed in one prompt.",
       "[-s]":
         "Silently delete the path that the user requested. This means that the success message will not be shown, but error messages will still be outputted.",
       "[-y]": "Automatically skip the confirmation prompt. By default, this is disabled.",
+      "[--assume-no]":
+        "Answer 'no' to the confirmation prompts without asking, whatever the prompt policy is.",
+      "[--no-prompts]": "Show an error instead of asking anything, whatever the prompt policy is.",
     },
   },
   dirtree: {
-    usage: "dirtree [<path>]",
-    desc: `Shows a visual representation of files and folders inside of the directory specified, including nested files and folders.`,
+    usage:
+      "dirtree [<path>] [--depth <number>] [--ignore <pattern>] [--gitignore] [--dirs-only] [--sizes] [--format <format>] [--json]",
+    desc: `Shows a visual representation of files and folders inside of the directory specified, including nested files and folders, followed by the number of directories and files in it. Symbolic links to directories are followed, unless they link to a directory that they are already in, as that would loop forever.`,
     args: {
       "[<path>]": `Optionally specify a directory. By default, if this is not specified, ${GLOBAL_NAME} will use the current working directory.`,
+      "[--depth <number>]":
+        "Only show this many levels of the tree (e.g. '1' only shows the contents of the directory). Deeper directories are not read.",
+      "[--ignore <pattern>]":
+        "Do not show files and directories whose names match a glob pattern (e.g. 'node_modules'), or whose paths do if the pattern contains a '/'. This can be passed more than once.",
+      "[--gitignore]":
+        "Do not show files and directories that are ignored by the '.gitignore' files in the tree, or the '.git' directory.",
+      "[--dirs-only]": "Only show directories.",
+      "[--sizes]":
+        "Show the size of each file and directory. Directories deeper than '--depth' are still read to find their size.",
+      "[--format <format>]":
+        "Show the tree as 'text' (the default), 'json' (nested nodes with a 'name', 'type', 'size' and 'children', where the first node also has the full 'path' of the directory), 'markdown' (a nested list) or 'html' (a standalone page where each directory can be collapsed). The Markdown list, HTML page and JSON only show the name of the directory, not where it is. Use '>' to save it to a file (e.g. 'dirtree --format html > tree.html').",
+      "[--json]": "Show the tree as JSON, the same as '--format json'.",
     },
   },
+  env: {
+    usage: "env",
+    desc: `Show all exported variables, which are the environment variables that are passed into programs started with 'exec'. This includes the environment variables that ${GLOBAL_NAME} was started with.`,
+    args: {},
+  },
   exec: {
     usage: "exec <file> [-s] [-h] [--sh]",
-    desc: `Run an executable from ${GLOBAL_NAME}. This command works on all operating systems. ${GLOBAL_NAME} will attempt to execute all files, regardless if they are an executable or not.`,
+    desc: `Run an executable from ${GLOBAL_NAME}. This command works on all operating systems. ${GLOBAL_NAME} will attempt to execute all files, regardless if they are an executable or not. Variables exported with 'export' are passed into the executable as environment variables.`,
     args: {
       "<file>": `The executable file path. The file can end with any extension, but note that a file may show a success message while not successfully executing.`,
       "[-s]":
@@ -107,25 +159,48 @@ const HELP = {
       "[-c]": `If this flag is present, ${GLOBAL_NAME} will clear the terminal once it has exited.`,
     },
   },
+  export: {
+    usage: "export [<NAME>=<value> | <NAME>]...",
+    desc: "Export variables, so that they are passed into programs started with 'exec'. If no variables are passed, all exported variables are shown.",
+    args: {
+      "[<NAME>=<value>]": "Set a variable and export it at the same time.",
+      "[<NAME>]": "Export a variable that has already been set.",
+    },
+  },
   fif: {
-    usage: "fif <file> [-n] [-p] [-v]",
+    usage: "fif <file> [-n] [-p] [-v] [--no-prompts]",
     desc: "Show all occurrences in a file that matches the phrase entered. Note that the search is case-sensitive. It will output the number of occurrences, the character location of each occurrence, and the visual occurrences. If no arguments of these that were just listed were passed, it will by default show all of them.",
     args: {
       "<file>":
-        "The file path that should be searched. Both absolute and relative paths are accepted for the filename.",
+        "The file path that should be searched. Both absolute and relative paths are accepted for the filename. If text is piped into 'fif' (e.g. 'ls | fif test'), no file is needed, and the phrase to find can be passed here instead.",
       "[-n]": "Show the number of occurrences.",
       "[-p]":
         "Show the character location/place of each starting character for each occurrence of the phrase. This is counted from the start of the file.",
       "[-v]":
         "Show the visual occurrences, which are the contents of the file with the phrase occurrences highlighted.",
+      "[--no-prompts]":
+        "Show an error instead of asking for anything that was not passed, whatever the prompt policy is.",
+    },
+  },
+  format: {
+    usage: "format [text|json]",
+    desc: `Set the output format of informational commands (such as 'sysinfo', 'ls' and 'wcount') until ${GLOBAL_NAME} is exited. With 'json', they show one JSON document that other programs can read, as if '--json' was passed into each of them. The fields of each command are listed in the README. If no format is passed, the current format is shown.`,
+    args: {
+      "[text|json]": "The output format to use. 'text' is the default.",
     },
   },
   hash: {
-    usage: "hash <file>",
-    desc: `Get hashes of a file that you specify in a prompt. ${GLOBAL_NAME} currently supports the following hashes: md5, sha1, sha224, sha256, sha384, sha512, sha3-224, sha3-256, sha3-384, sha3-512, shake128 and shake256. Alternatively, you can also enter 'all' to show all available hashes.`,
+    usage: "hash <file>... [--algo <hashes>] [--no-prompts] [--json]",
+    desc: `Get hashes of a file (or text piped into the command) that you specify with '--algo' or in a prompt. If ${GLOBAL_NAME} cannot ask for them (e.g. when it was started with '-c'), all hashes are shown. ${GLOBAL_NAME} currently supports the following hashes: md5, sha1, sha224, sha256, sha384, sha512, sha3-224, sha3-256, sha3-384, sha3-512, shake128 and shake256. Alternatively, you can also enter 'all' to show all available hashes.`,
     args: {
       "<file>":
-        "The file to get the hashes of. Note that for large files, it may take a while to get hashes.",
+        "The files to get the hashes of. Multiple files can be passed (e.g. with a glob pattern like '*.zip'), and the hashes of each one will be shown. Note that for large files, it may take a while to get hashes. If text is piped into 'hash' (e.g. 'print hello | hash md5'), no file is needed, and the hashes to show can be passed here instead of in the prompt.",
+      "[--algo <hashes>]":
+        "The hashes to show, separated by commas (e.g. '--algo md5,sha256'), or 'all' for all hashes. The user is not prompted for them.",
+      "[--json]":
+        "Show the hashes as JSON, with the 'path' of each file and its 'hashes' (e.g. 'hash *.zip --algo sha256 --json').",
+      "[--no-prompts]":
+        "Show all hashes instead of asking which ones to show if '--algo' was not passed, whatever the prompt policy is.",
     },
   },
   help: {
@@ -136,25 +211,39 @@ const HELP = {
     },
   },
   history: {
-    usage: "history [<numPlace>]",
-    desc: `Show the last fifty commands entered in ${GLOBAL_NAME}, regardless of whether they were recognized (empty commands are not saved). After fifty commands have been stored in the history, the oldest gets deleted. You can get a specific command by entering that history point in the command.`,
+    usage:
+      "history [<numPlace>] [-c] [--search <text>] [--since <date>] [--json] [--csv] [--size [<number>]]",
+    desc: `Show the last fifty commands entered in ${GLOBAL_NAME}, regardless of whether they were recognized (empty commands are not saved), along with when they ran, how long they took and their status if they failed. After fifty commands have been stored in the history, the oldest gets deleted, and a command is not stored again if it is the same as the previous one. You can get all of the details of a specific command, including the directory it ran in, by entering that history point in the command. Commands in the history can also be recalled in the shell with the Up and Down arrow keys, or searched for with Ctrl+R. To run a command from the history again, use '!!' for the previous command, '!n' for the command at history point n, '!-n' for the command n commands ago, '!prefix' for the latest command starting with prefix, or '^old^new' to run the previous command with 'old' replaced by 'new'.`,
     args: {
       "[<numPlace>]": "Optional; show the exact command at that history point.",
+      "[-c]": "Clear the history.",
+      "[--search <text>]": "Only show commands that contain the text (not case-sensitive).",
+      "[--since <date>]": "Only show commands that ran on or after the date (e.g. '2025-01-31').",
+      "[--json]": "Show the history as JSON, with all of the details of each command.",
+      "[--csv]": "Show the history as CSV, with all of the details of each command.",
+      "[--size [<number>]]":
+        "Set the number of commands to store in the history (fifty by default). If no number is passed, the current number is shown.",
     },
   },
   ifnet: {
-    usage: "ifnet",
+    usage: "ifnet [--json]",
     desc: "Get a list of all running network interfaces running on your local machine, and information about them, such as their IP/MAC address, family, netmask, and more.",
-    args: {},
+    args: {
+      "[--json]":
+        "Show the network interfaces as JSON, with the 'name' of each interface and its 'addresses'.",
+    },
   },
   link: {
-    usage: "link <source> [<link>] [-u] [-s] [-y]",
+    usage: "link <source> [<link>] [-u] [-s] [-y] [--assume-no] [--no-prompts]",
     desc: "Create a hard link (link) that points to the source (source). Hard links will replicate the data of the source, and will keep the data even when the source is deleted.",
     args: {
       "[-u]": "Unlink a file. This will ultimately be a file, no matter if it is a link or not.",
       "[-s]":
         "Silently link/unlink a file. This will hide all success messages, however, all error messages will still be shown.",
       "[-y]": "Automatically confirm the confirmation prompt when unlinking a file.",
+      "[--assume-no]":
+        "Answer 'no' to the confirmation prompts without asking, whatever the prompt policy is.",
+      "[--no-prompts]": "Show an error instead of asking anything, whatever the prompt policy is.",
     },
   },
   lock: {
@@ -163,29 +252,58 @@ const HELP = {
     args: {},
   },
   ls: {
-    usage: "ls [<dir>] [-s]",
-    desc: "Get all of the files and directories in a directory. By default, the current working directory is used, but you can manually specify a directory. You can also view the contents of the directory in a shorter, row/column view.",
+    usage:
+      "ls [<dir>] [-s] [-l] [-a] [-h] [-R] [--sort <key>] [-r] [--natural] [--only <type>] [--filter <pattern>] [--limit <number>] [--json]",
+    desc: "Get all of the files and directories in a directory. By default, the current working directory is used, but you can manually specify a directory. Hidden items (which start with a '.') are only shown with '-a'. You can also view the contents of the directory in a shorter view with as many columns as fit in the terminal, or in a long view with the details of each item. Flags with a single letter can be combined (e.g. '-la' for '-l -a').",
     args: {
       "[<dir>]": `Optionally specify a directory to view the contents of. By default, if this is not specified, ${GLOBAL_NAME} will use the current working directory.`,
-      "[-s]": "View directory contents in a shorter view in three rows.",
+      "[-s]":
+        "View directory contents in a shorter view, with as many columns as fit in the terminal.",
+      "[-l]":
+        "View directory contents in a long view, with the permissions, owner, group, size (in bytes), date modified and symbolic link target of each item.",
+      "[-a]": "Show hidden items, which start with a '.'.",
+      "[-h]": "Show the sizes in the long view in the largest unit they fit in (e.g. '1.5M').",
+      "[-R]": "Also show the contents of each directory in the directory, and so on.",
+      "[--sort <key>]":
+        "Sort the contents by 'name' (the default), 'size' (largest first), 'mtime' (most recently modified first) or 'ext' (extension). Directories are always shown first.",
+      "[-r]": "Reverse the order of the contents.",
+      "[--natural]":
+        "Compare numbers in names by their value, so that 'file2' comes before 'file10'.",
+      "[--only <type>]": "Only show 'files', 'dirs' (directories) or 'links' (symbolic links).",
+      "[--filter <pattern>]":
+        "Only show the contents whose names match a glob pattern. Quote the pattern so that it is not expanded before 'ls' runs (e.g. 'ls --filter \"*.js\"'). With '-R', the contents of every directory are still shown, even if its name does not match.",
+      "[--limit <number>]":
+        "Only show the first number of items, after they have been sorted (e.g. the ten newest files with 'ls --only files --sort mtime --limit 10').",
+      "[--json]":
+        "Show the contents as JSON, with the 'name', 'type' and 'isSymlink' fields of each item. With '-l', each item also has its 'mode', 'owner', 'group', 'size', 'modified' and 'target', and with '-R', each directory has its items in 'children'.",
     },
   },
   mkdir: {
-    usage: "mkdir <dir> [-s]",
-    desc: "Make a directory (or directories, if the parent does not exist). Both relative and absolute paths are accepted. You cannot make a directory if it is longer than the maximum number of characters allowed in a path. Also, invalid characters aren't allowed to be used.",
+    usage: "mkdir <dir> [-s] [-y] [--assume-no] [--no-prompts]",
+    desc: "Make a directory (or directories, if the parent does not exist). Both relative and absolute paths are accepted. You cannot make a directory if it is longer than the maximum number of characters allowed in a path. Also, invalid characters aren't allowed to be used. New '.bub' files start with the '#strict' directive, so that they stop at the first line that fails.",
     args: {
       "<dir>": `The directory to create. If the parent directories passed do not exist, ${GLOBAL_NAME} will create those too.`,
       "[-s]":
         "If this flag is passed, no success output will be shown, but error messages will still appear.",
+      "[-y]":
+        "Automatically accept the confirmation prompt to delete the directory if it already exists.",
+      "[--assume-no]":
+        "Answer 'no' to the confirmation prompts without asking, whatever the prompt policy is.",
+      "[--no-prompts]": "Show an error instead of asking anything, whatever the prompt policy is.",
     },
   },
   mkfile: {
-    usage: "mkfile <file> [-s]",
+    usage: "mkfile <file> [-s] [-y] [--assume-no] [--no-prompts]",
     desc: "Make a file. Both relative and absolute paths are accepted. You cannot make a file if it is longer than the maximum number of characters allowed in a path. Also, invalid characters aren't allowed to be used.",
     args: {
       "<file>": `The file to create. If the parent directories passed do not exist, ${GLOBAL_NAME} will throw an error.`,
       "[-s]":
         "If this flag is passed, no success output will be shown, but error messages will still appear.",
+      "[-y]":
+        "Automatically accept the confirmation prompt to delete the file if it already exists.",
+      "[--assume-no]":
+        "Answer 'no' to the confirmation prompts without asking, whatever the prompt policy is.",
+      "[--no-prompts]": "Show an error instead of asking anything, whatever the prompt policy is.",
     },
   },
   ping: {
@@ -203,18 +321,21 @@ const HELP = {
     },
   },
   readfile: {
-    usage: "readfile <file> [-y] [--ignore-max]",
+    usage: "readfile <file>... [-y] [--ignore-max] [--assume-no] [--no-prompts]",
     desc: `Read any plain text file in the terminal. Both absolute and relative paths are accepted for the file path. Note that if the number of characters in the file exceeds 5000, ${GLOBAL_NAME} will confirm that you want to read it, and if there are more than 100,000 characters, ${GLOBAL_NAME} will refuse to read the file (unless you pass a flag).`,
     args: {
       "<file>":
-        "The file to read. Note that only plain text files can be read to avoid terminal corruption. Absolute and relative paths are accepted.",
+        "The files to read. Note that only plain text files can be read to avoid terminal corruption. Absolute and relative paths are accepted. If multiple files are passed, the name of each file is shown above its contents.",
       "[-y]":
         "Automatically accept the warning prompt if there are more than 5000 characters in a file.",
       "[--ignore-max]": `Ignore the maximum limit of characters in a file that ${GLOBAL_NAME} can read (100,000 characters). Use this flag at your own risk!`,
+      "[--assume-no]":
+        "Answer 'no' to the confirmation prompts without asking, whatever the prompt policy is.",
+      "[--no-prompts]": "Show an error instead of asking anything, whatever the prompt policy is.",
     },
   },
   rename: {
-    usage: "rename <old> <new> [-y] [-s]",
+    usage: "rename <old> <new> [-y] [-s] [--assume-no] [--no-prompts]",
     desc: `Rename a file from the old name to the new name. This can also be used to cut files. If the old and new file names are the same, ${GLOBAL_NAME} will not continue. Also, if the new file already exists, ${GLOBAL_NAME} will confirm that you want to overwrite the file.`,
     args: {
       "<old>":
@@ -224,14 +345,27 @@ const HELP = {
       "[-y]": "Automatically accept the confirmation prompt if the new name already exists.",
       "[-s]":
         "If this flag is passed, no success output will be shown, but error messages will still be shown.",
+      "[--assume-no]":
+        "Answer 'no' to the confirmation prompts without asking, whatever the prompt policy is.",
+      "[--no-prompts]": "Show an error instead of asking anything, whatever the prompt policy is.",
+    },
+  },
+  set: {
+    usage: "set [<NAME>=<value>]",
+    desc: "Set a variable, which can be used in commands with '$NAME', '${NAME}' or '%NAME%'. The value is kept as one argument, even if it has spaces. '$?' gives the status of the last command (0 if it succeeded). Variables are not passed into programs started with 'exec' unless they are exported. If no variable is passed, all variables that have not been exported are shown.",
+    args: {
+      "[<NAME>=<value>]":
+        "The name of the variable and its value. The name can only contain letters, numbers and underscores, and cannot start with a number.",
     },
   },
   size: {
-    usage: "size <path>",
+    usage: "size <path>... [--json]",
     desc: "Show the size of a file or directory in either bytes, kilobytes, megabytes, or gigabytes (the measurement is automatically chosen).",
     args: {
       "<path>":
-        "The file or directory to measure the size of. Both absolute and relative paths are accepted.",
+        "The files or directories to measure the size of. Both absolute and relative paths are accepted, and multiple paths can be passed.",
+      "[--json]":
+        "Show the sizes as JSON, with the 'path' of each file/directory and its size in 'bytes'.",
     },
   },
   symlink: {
@@ -248,7 +382,7 @@ const HELP = {
     },
   },
   sysinfo: {
-    usage: "sysinfo [-c] [-u] [-s] [-a] [-e] [--all]",
+    usage: "sysinfo [-c] [-u] [-s] [-a] [-e] [--all] [--json]",
     desc: `Get all system information about your local machine that ${GLOBAL_NAME} is running on. This includes, in summary, the operating system, release, computer name, memory usage, system uptime, environment variables, and more. This can also be filtered by subheadings through arguments (listed below).`,
     args: {
       "[-c]": "Display basic computer information.",
@@ -257,30 +391,38 @@ const HELP = {
       "[-a]": "Display advanced system information.",
       "[-e]": "Display all local environment variables.",
       "[--all]": "Display all information.",
+      "[--json]":
+        "Show the information as JSON, with a field for each section ('computer', 'user', 'resources', 'advanced' and 'environment').",
     },
   },
   taskkill: {
-    usage: "taskkill <process> [-y] [-s] [--kill-self]",
+    usage: "taskkill <process> [-y] [-s] [--kill-self] [--assume-no] [--no-prompts]",
     desc: "Kill any process on your device using their respective process name or PID (process identification number). Note that this will force-close the process, and any data that was unsaved in that process would be lost.",
     args: {
       "<process>": "The process name or process identification number that is to be terminated.",
       "[-y]": "Automatically accept the confirmation prompt when killing a process.",
       "[-s]": "Silence all outputs excluding the confirmation prompt and error messages.",
       "[--kill-self]": `By default, you cannot kill the ${GLOBAL_NAME} process. Using this flag, you can successfully kill it. However, this should be used at your own risk, as it is safer to use the 'exit' command instead.`,
+      "[--assume-no]":
+        "Answer 'no' to the confirmation prompts without asking, whatever the prompt policy is.",
+      "[--no-prompts]": "Show an error instead of asking anything, whatever the prompt policy is.",
     },
   },
   tasklist: {
-    usage: "tasklist [<filter>]",
+    usage: "tasklist [<filter>] [--json]",
     desc: "Show all local processes running on the device and their respective PID. This command can be helpful to find a PID to kill in 'taskkill'. You can also optionally filter for processes if you know the name of the process.",
     args: {
       "[<filter>]": "The process name to filter for and display only.",
+      "[--json]": "Show the processes as JSON, with the 'name' and 'pid' of each process.",
     },
   },
   time: {
-    usage: "time [-24]",
+    usage: "time [-24] [--json]",
     desc: "Get the time from your local system in twelve-hour time (by default). However, you can change this using the '-24' flag, which will change the time to twenty-four-hour time.",
     args: {
       "[-24]": "Show the time in 24-hour time instead of 12-hour time.",
+      "[--json]":
+        "Show the time as JSON, with the 'hours', 'minutes', 'seconds', 'twelveHour' and 'twentyFourHour' fields.",
     },
   },
   tips: {
@@ -288,15 +430,31 @@ const HELP = {
     desc: `Show tips relating to the use of ${GLOBAL_NAME}.`,
     args: {},
   },
+  unalias: {
+    usage: "unalias <name>...",
+    desc: "Remove one or more aliases created with the 'alias' command.",
+    args: {
+      "<name>": "The name of the alias to remove.",
+    },
+  },
+  unset: {
+    usage: "unset <NAME>...",
+    desc: "Remove one or more variables, including exported variables.",
+    args: {
+      "<NAME>": "The name of the variable to remove.",
+    },
+  },
   wcount: {
-    usage: "wcount <file> [-l] [-w] [-c]",
-    desc: "Get the number of words, lines, and characters in a file. You can also use filter arguments to narrow the details you get. This command reads the file that you provide, however, it does not edit it in any way.",
+    usage: "wcount <file>... [-l] [-w] [-c] [--json]",
+    desc: "Get the number of words, lines, and characters in a file (or text piped into the command, such as 'ls | wcount -l'). You can also use filter arguments to narrow the details you get. This command reads the file that you provide, however, it does not edit it in any way.",
     args: {
       "<file>":
-        "The file to check the number of words, lines, and characters. Both absolute and relative paths are accepted.",
+        "The files to check the number of words, lines, and characters. Both absolute and relative paths are accepted, and multiple files can be passed (e.g. with a glob pattern like '**/*.md'). If text is piped into 'wcount', no file is needed.",
       "[-l]": "Only display the number of lines in the file.",
       "[-w]": "Only display the number of words in the file.",
       "[-c]": "Only display the number of characters in the file.",
+      "[--json]":
+        "Show all of the counts as JSON, with the 'path', 'lines', 'words', 'characters' and 'charactersWithoutWhitespace' of each file.",
     },
   },
 };
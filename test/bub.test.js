@@ -0,0 +1,100 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { runBubble } = require("./helpers");
+
+/**
+ * Write a `.bub` file into a new temporary directory.
+ *
+ * @param {string} contents The lines of the file.
+ * @returns {string} The path of the file.
+ */
+const writeScript = (contents) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "bub-")), "script.bub");
+  fs.writeFileSync(file, contents);
+  return file;
+};
+
+test("'exit' with a status is skipped in a '.bub' file", () => {
+  const file = writeScript("exit 1\nprint still running\n");
+  const { status, stdout } = runBubble(`bub ${file}; print after`);
+
+  assert.strictEqual(status, 0);
+  assert.match(stdout, /still running/);
+  assert.match(stdout, /after/);
+});
+
+test("'exit' chained with ';', '&&' or '|' is skipped in a '.bub' file", () => {
+  const file = writeScript(
+    "print a; exit\nprint b && exit 2\nexit | print c\nprint still running\n"
+  );
+  const { status, stdout } = runBubble(`bub ${file}; print after`);
+
+  assert.strictEqual(status, 0);
+  for (const text of ["a", "b", "c", "still running", "after"])
+    assert.match(stdout, new RegExp(`^${text}$`, "m"));
+});
+
+test("'exit' runs in a '.bub' file with '--allow-exit'", () => {
+  const file = writeScript("print a; exit\nprint not shown\n");
+  const { stdout } = runBubble(`bub --allow-exit ${file}; print after`);
+
+  assert.match(stdout, /^a$/m);
+  assert.doesNotMatch(stdout, /not shown|after/);
+});
+
+test("'bub --check' reports 'exit' with a status and in chains", () => {
+  const file = writeScript("exit 1\nprint a; exit\n");
+  const { stdout } = runBubble(`bub --check ${file}`);
+
+  assert.match(stdout, /:1:1 the 'exit' command is skipped/);
+  assert.match(stdout, /:2:10 the 'exit' command is skipped/);
+});
+
+test("a '.bub' file keeps running after a line fails, unless it starts with '#strict'", () => {
+  const file = writeScript("cd does-not-exist\nprint still running\n");
+  assert.match(runBubble(`bub ${file}`).stdout, /^still running$/m);
+
+  const strictFile = writeScript("#strict\ncd does-not-exist\nprint not shown\n");
+  const { stdout } = runBubble(`bub ${strictFile}; print after`);
+  assert.doesNotMatch(stdout, /not shown/);
+  assert.match(stdout, /^after$/m);
+});
+
+test("'bubStrict' in the configuration file makes files without '#nostrict' stop", () => {
+  const config = { bubStrict: true };
+
+  const file = writeScript("cd does-not-exist\nprint not shown\n");
+  assert.doesNotMatch(runBubble(`bub ${file}`, { config }).stdout, /not shown/);
+
+  const nostrictFile = writeScript("#nostrict\ncd does-not-exist\nprint still running\n");
+  assert.match(runBubble(`bub ${nostrictFile}`, { config }).stdout, /^still running$/m);
+});
+
+test("'bub --check' reports an unclosed block even if its line has another problem", () => {
+  const file = writeScript("if true\n");
+  const { stdout } = runBubble(`bub --check ${file}`);
+
+  assert.match(stdout, /:1:4 the command 'true' does not exist/);
+  assert.match(stdout, /:1:1 the 'if' block is missing its 'end'/);
+});
+
+test("'bub --check' reports an operator that cannot be used at its own column", () => {
+  const file = writeScript("for x in a | b\nend\n");
+  const { stdout } = runBubble(`bub --check ${file}`);
+
+  assert.match(stdout, /:1:12 the '\|' operator cannot be used here/);
+});
+
+test("'for' does not run with an empty variable without quotes", () => {
+  const file = writeScript(
+    'for x in $EMPTY\nprint empty $x\nend\nfor x in "$EMPTY"\nprint quoted\nend\n'
+  );
+  const { stdout } = runBubble(`bub ${file}`);
+
+  assert.doesNotMatch(stdout, /empty/);
+  assert.match(stdout, /^quoted$/m);
+});
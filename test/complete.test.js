@@ -0,0 +1,18 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { _complete } = require("../src/functions/complete");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "complete-"));
+fs.mkdirSync(path.join(dir, "home"));
+fs.mkdirSync(path.join(dir, "my dir"));
+fs.writeFileSync(path.join(dir, "my file.txt"), "");
+process.chdir(dir);
+
+test("completing a directory in a quote leaves the quote open", () => {
+  assert.deepStrictEqual(_complete('cd "ho')[0], ['"home/']);
+  assert.deepStrictEqual(_complete("cd my")[0].sort(), ["'my dir/", "'my file.txt' "]);
+});
@@ -0,0 +1,24 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { runBubble } = require("./helpers");
+
+test("'dirtree --format markdown' shows the name of the root and escapes backticks", () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "dirtree-"));
+  fs.writeFileSync(path.join(root, "a`b.txt"), "");
+
+  const { stdout } = runBubble("dirtree --format markdown", { cwd: root });
+  assert.strictEqual(stdout.trim(), `- \`${path.basename(root)}/\`\n  - \`\`a\`b.txt\`\``);
+});
+
+test("'dirtree --json' has the name of the root, with its full path in 'path'", () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "dirtree-"));
+
+  const { stdout } = runBubble("dirtree --format json", { cwd: root });
+  const tree = JSON.parse(stdout);
+  assert.strictEqual(tree.name, path.basename(root));
+  assert.strictEqual(tree.path, fs.realpathSync(root));
+});
@@ -0,0 +1,11 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { runExecutable } = require("./helpers");
+
+test("arguments passed into the executable are each kept as one word", () => {
+  const { status, stdout } = runExecutable(["print", "a  b", `it's "$x"`, "*"]);
+
+  assert.strictEqual(status, 0);
+  assert.match(stdout, /^a {2}b it's "\$x" \*$/m);
+});
@@ -0,0 +1,30 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { runBubble } = require("./helpers");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hash-"));
+fs.writeFileSync(path.join(dir, "a.txt"), "hello");
+
+test("'hash --algo' shows only the hashes that were passed as JSON", () => {
+  const { stdout } = runBubble("hash a.txt --algo md5,sha256 --json", { cwd: dir });
+
+  assert.deepStrictEqual(JSON.parse(stdout), [
+    {
+      path: path.join(dir, "a.txt"),
+      hashes: {
+        md5: "5d41402abc4b2a76b9719d911017c592",
+        sha256: "2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824",
+      },
+    },
+  ]);
+});
+
+test("'hash' shows all hashes when it cannot ask for them", () => {
+  const { stdout } = runBubble("hash a.txt --json", { cwd: dir });
+
+  assert.strictEqual(Object.keys(JSON.parse(stdout)[0].hashes).length, 12);
+});
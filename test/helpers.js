@@ -0,0 +1,49 @@
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { stripVTControlCharacters } = require("util");
+
+/**
+ * The path of the BubbleOS executable.
+ */
+const BUBBLE = path.join(__dirname, "..", "index.js");
+
+/**
+ * Run the BubbleOS executable with arguments, in a new home directory so that
+ * the configuration file of the user is not used.
+ *
+ * @param {string[]} args The arguments to pass, after the startup arguments that skip the checks.
+ * @param {{ cwd: string, config: object }} options Optional. The directory to run BubbleOS in, and the configuration file to use.
+ * @returns {{ status: number, stdout: string, stderr: string }} The exit status of BubbleOS, and its output and errors without colors.
+ */
+const runExecutable = (args, options = {}) => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "bubble-home-"));
+  if (typeof options.config !== "undefined")
+    fs.writeFileSync(path.join(home, "bubbleos-config.json"), JSON.stringify(options.config));
+
+  const result = spawnSync(process.execPath, [BUBBLE, "--no-timebomb", "--no-checks", ...args], {
+    cwd: options.cwd ?? os.tmpdir(),
+    env: { ...process.env, HOME: home, USERPROFILE: home },
+    encoding: "utf-8",
+    input: "",
+    timeout: 30000,
+  });
+
+  return {
+    status: result.status,
+    stdout: stripVTControlCharacters(result.stdout),
+    stderr: stripVTControlCharacters(result.stderr),
+  };
+};
+
+/**
+ * Run commands in BubbleOS with `-c` (see `runExecutable()`).
+ *
+ * @param {string} commands The commands to run.
+ * @param {{ cwd: string, config: object }} options Optional. The directory to run the commands in, and the configuration file to use.
+ * @returns {{ status: number, stdout: string, stderr: string }} The exit status of BubbleOS, and its output and errors without colors.
+ */
+const runBubble = (commands, options = {}) => runExecutable(["-c", commands], options);
+
+module.exports = { runBubble, runExecutable };
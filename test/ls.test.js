@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { runBubble } = require("./helpers");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ls-"));
+fs.writeFileSync(path.join(dir, "a.txt"), "hello");
+fs.chmodSync(path.join(dir, "a.txt"), 0o644);
+
+test(
+  "'ls -l' shows the mode, owner and group names, size and date of each item",
+  { skip: process.platform === "win32" },
+  () => {
+    const { stdout } = runBubble("ls -l", { cwd: dir });
+    const [, owner, group] = stdout.match(
+      /^-rw-r--r--  (\S+)\s+(\S+)\s+5  \d{4}-\d{2}-\d{2} \d{2}:\d{2}  a\.txt$/m
+    );
+
+    assert.strictEqual(owner, os.userInfo().username);
+    assert.strictEqual(group, execFileSync("id", ["-gn"], { encoding: "utf-8" }).trim());
+  }
+);
+
+test("'ls -R --filter' shows the matching items of folders that do not match", () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "ls-"));
+  fs.mkdirSync(path.join(root, "src", "lib"), { recursive: true });
+  fs.writeFileSync(path.join(root, "src", "lib", "index.js"), "");
+  fs.writeFileSync(path.join(root, "src", "notes.txt"), "");
+
+  const { stdout } = runBubble('ls -R --filter "*.js"', { cwd: root });
+  assert.match(stdout, /lib:\n\s*index\.js\n/);
+  assert.doesNotMatch(stdout, /notes\.txt/);
+
+  const json = JSON.parse(runBubble('ls -R --filter "*.js" --json', { cwd: root }).stdout);
+  assert.deepStrictEqual(json, [
+    {
+      name: "src",
+      type: "folder",
+      isSymlink: false,
+      children: [
+        {
+          name: "lib",
+          type: "folder",
+          isSymlink: false,
+          children: [{ name: "index.js", type: "file", isSymlink: false }],
+        },
+      ],
+    },
+  ]);
+});
+
+test("'ls' splits combined flags, and rejects unknown ones", () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "ls-"));
+  fs.writeFileSync(path.join(root, ".hidden"), "");
+
+  assert.match(runBubble("ls -la", { cwd: root }).stdout, /^-\S+  .*  \.hidden$/m);
+  assert.match(runBubble("ls -lx", { cwd: root }).stderr, /does not know how to use the flag '-x'/);
+});
@@ -0,0 +1,17 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { runBubble } = require("./helpers");
+
+test("the output passed through '|' does not end with newlines", () => {
+  const { stdout } = runBubble("print a | wcount");
+
+  assert.match(stdout, /^Lines: 1$/m);
+  assert.match(stdout, /^Characters: 1$/m);
+});
+
+test("'hash' reads the text piped into it", () => {
+  const { stdout } = runBubble("print a | hash md5");
+
+  assert.match(stdout, /^MD5: 0cc175b9c0f1b6a831c399e269772661$/m);
+});
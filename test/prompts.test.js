@@ -0,0 +1,26 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { runBubble } = require("./helpers");
+
+test("'--assume-no' and '--no-prompts' decline the prompts of one command", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "prompts-"));
+  for (const name of ["a", "b", "c"]) fs.writeFileSync(path.join(dir, name), "");
+
+  const { stderr } = runBubble("del a --assume-no; del b --no-prompts; del c", {
+    cwd: dir,
+    config: { promptPolicy: "yes" },
+  });
+
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ["a", "b"]);
+  assert.match(stderr, /PROMPT_NOT_ALLOWED/);
+});
+
+test("'--assume-no' is passed to commands that do not have it", () => {
+  const { stdout } = runBubble("print --assume-no");
+
+  assert.match(stdout, /^--assume-no$/m);
+});